@@ -1,5 +1,7 @@
 require('dotenv').config();
 const Database = require('./src/models/database');
+const { classifyTM2 } = require('./src/utils/tm2');
+const { getDefaultReleaseId } = require('./src/utils/icd11Release');
 
 const defaultMappings = [
   {
@@ -114,22 +116,29 @@ async function addDefaultMappings() {
     
     let successCount = 0;
     let skipCount = 0;
+
+    // Codes and mappings belong to the deployment's ICD-11 release
+    const releaseId = getDefaultReleaseId();
     
     for (const mapping of defaultMappings) {
       try {
-        // First, add the ICD-11 code if it doesn't exist
+        // First, add the ICD-11 code if it doesn't exist (the targets are
+        // Chapter 26 TM2 codes, tagged as disorders or patterns)
         const icd11Query = `
           INSERT OR IGNORE INTO icd11_codes 
-          (code, display, system_uri, description, status)
-          VALUES (?, ?, ?, ?, ?)
+          (code, release_id, display, system_uri, description, chapter, tm2_type, status)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
         await new Promise((resolve, reject) => {
           db.db.run(icd11Query, [
             mapping.icd11_code,
+            releaseId,
             mapping.icd11_display,
             'http://id.who.int/icd/release/11/mms',
             mapping.icd11_description,
+            '26',
+            classifyTM2(mapping.icd11_code, mapping.icd11_display),
             'active'
           ], function(err) {
             if (err) reject(err);
@@ -140,8 +149,8 @@ async function addDefaultMappings() {
         // Then add the mapping
         const mappingQuery = `
           INSERT OR REPLACE INTO concept_mappings 
-          (namaste_code, icd11_code, equivalence, confidence, mapping_type, similarity_score, mapping_details)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
+          (namaste_code, icd11_code, icd11_release, equivalence, confidence, mapping_type, similarity_score, mapping_details)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
         const mappingDetails = JSON.stringify({
@@ -155,6 +164,7 @@ async function addDefaultMappings() {
           db.db.run(mappingQuery, [
             mapping.namaste_code,
             mapping.icd11_code,
+            releaseId,
             mapping.equivalence,
             mapping.confidence,
             mapping.mapping_type,
@@ -197,7 +207,7 @@ async function addDefaultMappings() {
         ic.description as icd11_description
       FROM concept_mappings cm
       LEFT JOIN namaste_codes nc ON cm.namaste_code = nc.code
-      LEFT JOIN icd11_codes ic ON cm.icd11_code = ic.code
+      LEFT JOIN icd11_codes ic ON cm.icd11_code = ic.code AND cm.icd11_release = ic.release_id
       WHERE cm.namaste_code = 'A'
       LIMIT 1
     `;
@@ -53,7 +53,7 @@ async function checkAvailableCodes() {
         ic.display as icd11_display,
         ic.description as icd11_description
       FROM concept_mappings cm
-      LEFT JOIN icd11_codes ic ON cm.icd11_code = ic.code
+      LEFT JOIN icd11_codes ic ON cm.icd11_code = ic.code AND cm.icd11_release = ic.release_id
       WHERE cm.namaste_code = 'SR10'
     `;
     
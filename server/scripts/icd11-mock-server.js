@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * ICD-11 API mock server
+ * Serves the WHO ICD-API token, search and entity endpoints from recorded
+ * fixtures (data/icd11-fixtures/entities.json), in the API's JSON-LD shape,
+ * so sync, search and mapping generation can run without WHO credentials
+ * or network access. Point the service at it with
+ *   ICD11_API_BASE_URL=http://localhost:8081
+ *   ICD11_TOKEN_URL=http://localhost:8081/connect/token
+ * and any ICD11_CLIENT_ID / ICD11_CLIENT_SECRET.
+ * Usage: node scripts/icd11-mock-server.js [port]
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'data', 'icd11-fixtures');
+const MOCK_ACCESS_TOKEN = 'icd11-mock-access-token';
+
+/**
+ * Load the recorded entities: each fixture holds the foundation entity,
+ * its MMS linearization entity and its chapter number
+ */
+function loadFixtures(fixturesDir) {
+  const entities = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'entities.json'), 'utf8'));
+  return new Map(entities.map(entity => [entity.foundation['@id'].split('/').pop(), entity]));
+}
+
+/**
+ * Terms an entity is found by: its title, synonyms and index terms
+ */
+function searchTerms(document) {
+  return [document.title, ...(document.synonym || []), ...(document.indexTerm || [])]
+    .map(term => (term && term.label ? term.label : term))
+    .filter(Boolean)
+    .map(term => term['@value']);
+}
+
+/**
+ * Whether every query word starts a word of one of the terms
+ */
+function matches(terms, words) {
+  const termWords = terms.join(' ').toLowerCase().split(/[^a-z0-9]+/);
+  return words.every(word => termWords.some(termWord => termWord.startsWith(word)));
+}
+
+// Search results mark the matched words the way WHO does
+function highlight(title, words) {
+  return title.replace(/[A-Za-z0-9]+/g, titleWord =>
+    words.some(word => titleWord.toLowerCase().startsWith(word))
+      ? `<em class='found'>${titleWord}</em>`
+      : titleWord
+  );
+}
+
+/**
+ * Re-home a recorded linearization entity onto the requested release and
+ * linearization, so its @id, parent and child URIs match the request
+ */
+function linearizationDocument(entity, releaseId, linearization) {
+  const recorded = /\/release\/11\/[^/]+\/[^/]+\//.exec(entity.linearization['@id'])[0];
+  const requested = `/release/11/${releaseId}/${linearization}/`;
+  return JSON.parse(JSON.stringify(entity.linearization).split(recorded).join(requested));
+}
+
+function createMockServer({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+  const entities = loadFixtures(fixturesDir);
+  const app = express();
+
+  app.use(express.urlencoded({ extended: false }));
+
+  // OAuth2 client credentials, as icdaccessmanagement.who.int issues them
+  app.post('/connect/token', (req, res) => {
+    const basic = /^Basic (.+)$/.exec(req.get('Authorization') || '');
+    const hasClient = basic || (req.body.client_id && req.body.client_secret);
+
+    if (req.body.grant_type !== 'client_credentials' || !hasClient) {
+      return res.status(400).json({ error: req.body.grant_type ? 'invalid_client' : 'unsupported_grant_type' });
+    }
+
+    res.json({
+      access_token: MOCK_ACCESS_TOKEN,
+      expires_in: 3600,
+      token_type: 'Bearer',
+      scope: 'icdapi_access'
+    });
+  });
+
+  // Every API call needs the bearer token
+  app.use('/icd', (req, res, next) => {
+    if (req.get('Authorization') !== `Bearer ${MOCK_ACCESS_TOKEN}`) {
+      return res.status(401).json({ error: 'invalid_token', message: 'A valid bearer token is required' });
+    }
+    next();
+  });
+
+  const search = (req, res, linearization) => {
+    const words = String(req.query.q || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    const destinationEntities = [];
+
+    for (const entity of entities.values()) {
+      const document = linearization
+        ? linearizationDocument(entity, req.params.releaseId, linearization)
+        : entity.foundation;
+      if (!words.length || !matches(searchTerms(document), words)) continue;
+
+      destinationEntities.push({
+        id: entity.foundation['@id'],
+        title: highlight(document.title['@value'], words),
+        stemId: linearization ? document['@id'] : entity.foundation['@id'],
+        isLeaf: !document.child,
+        postcoordinationAvailability: 0,
+        hasCodingNote: false,
+        hasMaternalChapterLink: false,
+        hasPerinatalChapterLink: false,
+        matchingPVs: [],
+        propertiesTruncated: false,
+        isResidualOther: false,
+        isResidualUnspecified: false,
+        chapter: entity.chapter,
+        theCode: linearization ? document.code : null,
+        score: 1,
+        titleIsASearchResult: true,
+        titleIsTopScore: true,
+        entityType: 0,
+        important: false,
+        descendants: []
+      });
+    }
+
+    res.json({
+      destinationEntities,
+      error: false,
+      errorMessage: null,
+      resultChopped: false,
+      wordSuggestionsChopped: false,
+      guessType: 0,
+      uniqueSearchId: `mock-${Date.now()}`,
+      words: null
+    });
+  };
+
+  const notFound = (res, id) => res.status(404).json({ error: 'NotFound', message: `No recorded entity ${id}` });
+
+  app.get('/icd/entity/search', (req, res) => search(req, res, null));
+
+  app.get('/icd/entity/:id', (req, res) => {
+    const entity = entities.get(req.params.id);
+    if (!entity) return notFound(res, req.params.id);
+    res.json(entity.foundation);
+  });
+
+  app.get('/icd/release/11/:releaseId/:linearization/search', (req, res) =>
+    search(req, res, req.params.linearization));
+
+  app.get('/icd/release/11/:releaseId/:linearization/:id', (req, res) => {
+    const entity = entities.get(req.params.id);
+    if (!entity) return notFound(res, req.params.id);
+    res.json(linearizationDocument(entity, req.params.releaseId, req.params.linearization));
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.argv[2] || process.env.ICD11_MOCK_PORT || 8081;
+  const fixturesDir = process.env.ICD11_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+  createMockServer({ fixturesDir }).listen(port, () => {
+    console.log(`🧪 ICD-11 API mock serving ${fixturesDir} on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMockServer };
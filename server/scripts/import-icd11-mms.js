@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * ICD-11 MMS import script
+ * Loads every chapter, block and category of a WHO ICD-11 MMS simple
+ * tabulation file (TSV as distributed, or XLSX) into the database, without
+ * calling the WHO API. The codes are stored as the given release (by
+ * default ICD11_RELEASE_ID, or 2024-01).
+ * Usage: node scripts/import-icd11-mms.js path/to/LinearizationMiniOutput-MMS-en.txt [releaseId]
+ */
+
+const path = require('path');
+require('dotenv').config();
+
+const Database = require('../src/models/database');
+const ICD11Service = require('../src/services/icd11Service');
+
+async function importTabulation(filePath, releaseId) {
+  const db = new Database(process.env.DB_PATH);
+
+  try {
+    console.log('🚀 Importing ICD-11 MMS tabulation...');
+
+    await db.connect();
+    await db.createTables();
+
+    const icd11Service = new ICD11Service(db);
+    const results = await icd11Service.importTabulation(filePath && path.resolve(filePath), { releaseId });
+
+    console.log(`✅ Imported ${results.source} as release ${results.releaseId}: ${results.inserted} inserted, ${results.updated} updated`);
+    results.errors.forEach(error => console.log(`   ⚠️  ${error}`));
+
+    await db.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error importing ICD-11 tabulation:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  importTabulation(process.argv[2], process.argv[3]);
+}
+
+module.exports = importTabulation;
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * NAMASTE workbook import script
+ * Upserts every row of a NAMASTE workbook or CSV file into the database,
+ * mapping its columns through an import profile (data/import-profiles).
+ * With --retire-missing the file is a full release, and the codes of the
+ * imported systems it no longer has are retired.
+ * Usage: node scripts/import-namaste-workbook.js [path/to/workbook.xls] [profile-id] [--retire-missing]
+ * e.g.   node scripts/import-namaste-workbook.js NSMC.xlsx namaste-siddha
+ */
+
+const path = require('path');
+require('dotenv').config();
+
+const Database = require('../src/models/database');
+const FHIRCodeSystemService = require('../src/services/fhirCodeSystemService');
+const TerminologyImportService = require('../src/services/terminologyImportService');
+
+async function importWorkbook(filePath, profile, { retireMissing = false } = {}) {
+  const db = new Database(process.env.DB_PATH);
+
+  try {
+    console.log('🚀 Importing NAMASTE workbook...');
+
+    await db.connect();
+    await db.createTables();
+
+    const codeSystemService = new FHIRCodeSystemService(db);
+    const importService = new TerminologyImportService(db, codeSystemService);
+    const { source, rows } = codeSystemService.readTerminologyFile(
+      filePath && path.resolve(filePath),
+      profile
+    );
+    const results = await importService.importRows(rows, { source, retireMissing });
+
+    console.log(`✅ Imported ${results.source}: ${results.inserted} inserted, ${results.updated} updated, ${results.retired} retired, ${results.reactivated} reactivated`);
+    results.errors.forEach(error => console.log(`   ⚠️  ${error}`));
+
+    await db.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error importing NAMASTE workbook:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const [filePath, profile] = args.filter(arg => arg !== '--retire-missing');
+  importWorkbook(filePath, profile, { retireMissing: args.includes('--retire-missing') });
+}
+
+module.exports = importWorkbook;
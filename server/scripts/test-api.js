@@ -103,6 +103,30 @@ async function testCodeSystemLookup() {
   }
 }
 
+async function testCodeSystemValidateCode() {
+  console.log('✔️  Testing CodeSystem Validate Code...');
+  try {
+    const { status, data } = await makeRequest(
+      `${BASE_URL}/fhir/CodeSystem/$validate-code?url=http://terminology.ayush.gov.in/CodeSystem/namaste&code=AYU001&display=Vata%20Dosha%20Imbalance`
+    );
+    
+    console.log(`   Status: ${status}`);
+    if (data.parameter) {
+      const resultParam = data.parameter.find(p => p.name === 'result');
+      const messageParam = data.parameter.find(p => p.name === 'message');
+      console.log(`   Valid: ${resultParam?.valueBoolean}`);
+      if (messageParam) {
+        console.log(`   Message: ${messageParam.valueString}`);
+      }
+      console.log('   ✅ Code validation successful\n');
+    } else {
+      console.log(`   Response: ${JSON.stringify(data, null, 2)}\n`);
+    }
+  } catch (error) {
+    console.log(`   ❌ Code validation failed: ${error.message}\n`);
+  }
+}
+
 async function testConceptMapTranslate() {
   console.log('🔄 Testing ConceptMap Translation...');
   try {
@@ -229,6 +253,7 @@ async function runTests() {
   await testHealthCheck();
   await testCapabilityStatement();
   await testCodeSystemLookup();
+  await testCodeSystemValidateCode();
   await testConceptMapTranslate();
   await testValueSetExpansion();
   await testBundleUpload();
@@ -8,8 +8,12 @@ const path = require('path');
 const Database = require('./models/database');
 const FHIRCodeSystemService = require('./services/fhirCodeSystemService');
 const FHIRConceptMapService = require('./services/fhirConceptMapService');
+const FHIRResourceService = require('./services/fhirResourceService');
 const ICD11Service = require('./services/icd11Service');
 const SimilarityMatcher = require('./services/similarityMatcher');
+const TerminologySearchService = require('./services/terminologySearchService');
+const TerminologyImportService = require('./services/terminologyImportService');
+const ReleaseDiffService = require('./services/releaseDiffService');
 
 // Import routes
 const terminologyRoutes = require('./routes/terminology');
@@ -30,8 +34,12 @@ class AyushTerminologyServer {
     this.db = null;
     this.codeSystemService = null;
     this.conceptMapService = null;
+    this.resourceService = null;
     this.icd11Service = null;
     this.similarityMatcher = null;
+    this.searchService = null;
+    this.importService = null;
+    this.releaseDiffService = null;
   }
 
   async initialize() {
@@ -40,12 +48,21 @@ class AyushTerminologyServer {
       console.log('🔗 Connecting to database...');
       this.db = new Database(process.env.DB_PATH);
       await this.db.connect();
+      await this.db.createTables();
       
       // Initialize services
       this.codeSystemService = new FHIRCodeSystemService(this.db);
       this.conceptMapService = new FHIRConceptMapService(this.db);
+      this.resourceService = new FHIRResourceService(this.db);
       this.icd11Service = new ICD11Service(this.db);
       this.similarityMatcher = new SimilarityMatcher(this.db);
+      this.searchService = new TerminologySearchService(this.db);
+      this.importService = new TerminologyImportService(this.db, this.codeSystemService);
+      this.releaseDiffService = new ReleaseDiffService(this.db, this.codeSystemService);
+
+      // Derive parent links and TM2 tags for codes stored before they existed
+      await this.codeSystemService.rebuildHierarchy();
+      await this.icd11Service.tagTM2Codes();
 
       // Setup middleware
       this.setupMiddleware();
@@ -87,7 +104,7 @@ class AyushTerminologyServer {
     }));
 
     // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
+    this.app.use(express.json({ limit: '10mb', type: ['application/json', 'application/fhir+json'] }));
     this.app.use(express.urlencoded({ extended: true }));
 
     // Make services available to routes
@@ -126,20 +143,39 @@ class AyushTerminologyServer {
           endpoints: [
             'GET /health - Health check',
             'GET /fhir/metadata - FHIR capability statement',
+            'GET /fhir/CodeSystem - Search CodeSystems',
             'GET /fhir/CodeSystem/{id} - Get CodeSystem',
+            'GET /fhir/ConceptMap - Search ConceptMaps',
             'GET /fhir/ConceptMap/{id} - Get ConceptMap',
-            'GET /fhir/ValueSet/$expand - Expand ValueSet',
-            'POST /fhir/CodeSystem/$lookup - Lookup code',
-            'POST /fhir/ConceptMap/$translate - Translate code',
+            'GET /fhir/ValueSet - Search ValueSets',
+            'GET /fhir/ValueSet/{id} - Get ValueSet',
+            'POST /fhir/ValueSet - Create ValueSet',
+            'PUT /fhir/ValueSet/{id} - Create or update ValueSet',
+            'GET|POST /fhir/ValueSet/$expand - Expand ValueSet',
+            'GET|POST /fhir/ValueSet/{id}/$expand - Expand a stored ValueSet',
+            'GET|POST /fhir/ValueSet/$validate-code - Check ValueSet membership',
+            'GET|POST /fhir/CodeSystem/$lookup - Lookup code',
+            'GET|POST /fhir/CodeSystem/{id}/$lookup - Lookup code in a CodeSystem',
+            'GET|POST /fhir/CodeSystem/$validate-code - Validate code and display',
+            'GET|POST /fhir/CodeSystem/$subsumes - Test subsumption between two codes',
+            'GET|POST /fhir/ConceptMap/$translate - Translate code',
+            'GET|POST /fhir/ConceptMap/{id}/$translate - Translate code with a ConceptMap',
             'POST /fhir/Bundle - Upload Bundle',
+            'GET /api/terminology/autocomplete - Ranked type-ahead search',
+            'GET /api/terminology/browse - Browse the NAMASTE hierarchy',
             'GET /api/icd11/codes - Get ICD-11 codes',
             'GET /api/icd11/search - Search ICD-11 codes from WHO API',
             'POST /api/icd11/sync - Sync ICD-11 codes from WHO API',
+            'GET /api/icd11/releases - List stored ICD-11 releases',
             'GET /api/mappings - Get stored mappings',
             'POST /api/mappings/generate - Generate new mappings',
             'GET /api/mappings/stats - Get mapping statistics',
             'POST /api/mappings/find-similar - Find similar codes',
             'POST /admin/csv/import - Import NAMASTE CSV',
+            'POST /admin/icd11/import - Import an ICD-11 MMS tabulation file',
+            'GET /admin/icd11/cache - ICD-11 API response cache statistics',
+            'POST /admin/icd11/cache/warm - Fetch ICD-11 search results and entities into the cache',
+            'DELETE /admin/icd11/cache - Invalidate cached ICD-11 API responses',
             'GET /admin/stats - Get statistics'
           ]
         },
@@ -152,8 +188,12 @@ class AyushTerminologyServer {
       req.db = this.db;
       req.codeSystemService = this.codeSystemService;
       req.conceptMapService = this.conceptMapService;
+      req.resourceService = this.resourceService;
       req.icd11Service = this.icd11Service;
       req.similarityMatcher = this.similarityMatcher;
+      req.searchService = this.searchService;
+      req.importService = this.importService;
+      req.releaseDiffService = this.releaseDiffService;
       next();
     });
 
@@ -176,8 +216,9 @@ class AyushTerminologyServer {
           'GET /fhir/metadata',
           'GET /fhir/CodeSystem/{id}',
           'GET /fhir/ConceptMap/{id}',
-          'POST /fhir/CodeSystem/$lookup',
-          'POST /fhir/ConceptMap/$translate'
+          'GET|POST /fhir/CodeSystem/$lookup',
+          'GET|POST /fhir/CodeSystem/$validate-code',
+          'GET|POST /fhir/ConceptMap/$translate'
         ]
       });
     });
@@ -1,14 +1,38 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { LEGACY_RELEASE_ID, getDefaultReleaseId } = require('../utils/icd11Release');
+
+// Full-text indexes: the code table, its FTS5 table, the SQL for the extra
+// searchable terms of a row (given the row alias) and any table those terms
+// are read from, whose changes re-index the owning code
+const SEARCH_INDEXES = [
+  {
+    table: 'namaste_codes',
+    fts: 'namaste_codes_fts',
+    terms: (row) => `COALESCE(${row}.synonyms, '') || ' ' || COALESCE(
+      (SELECT group_concat(value, ' ') FROM namaste_designations d WHERE d.code = ${row}.code), ''
+    )`,
+    related: 'namaste_designations'
+  },
+  {
+    table: 'icd11_codes',
+    fts: 'icd11_codes_fts',
+    terms: (row) => `${row}.synonyms`
+  }
+];
 
 class Database {
   constructor(dbPath = './data/ayush-terminology.db') {
     this.dbPath = path.resolve(dbPath);
     this.db = null;
+    this.transactions = Promise.resolve(); // Tail of the transaction() queue
+    this.transactionScope = new AsyncLocalStorage(); // Set within a transaction's work
+    this.savepoints = 0; // Names the savepoints of nested transaction() calls
   }
 
   async connect() {
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       this.db = new sqlite3.Database(this.dbPath, (err) => {
         if (err) {
           console.error('Error opening database:', err.message);
@@ -19,6 +43,9 @@ class Database {
         }
       });
     });
+
+    // Let INSERT OR REPLACE fire delete triggers so search indexes stay in sync
+    await this.run('PRAGMA recursive_triggers = ON');
   }
 
   async initialize() {
@@ -37,30 +64,52 @@ class Database {
         system_name TEXT NOT NULL DEFAULT 'AYUSH',
         specialty TEXT NOT NULL,
         description TEXT,
+        synonyms TEXT,
+        ontology_branch TEXT,
+        namc_id TEXT,
+        namc_term TEXT,
+        short_definition TEXT,
+        long_definition TEXT,
+        name_english TEXT,
+        name_english_under_index TEXT,
+        primary_index_related TEXT,
         status TEXT DEFAULT 'active',
+        status_reason TEXT,
+        status_date TEXT,
+        replaced_by TEXT,
+        parent_code TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
 
-      // ICD-11 Codes table
+      // ICD-11 Codes table; several releases can be stored side by side
       `CREATE TABLE IF NOT EXISTS icd11_codes (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        code TEXT UNIQUE NOT NULL,
+        code TEXT NOT NULL,
+        release_id TEXT NOT NULL,
         display TEXT NOT NULL,
         system_uri TEXT DEFAULT 'http://id.who.int/icd/release/11/mms',
         chapter TEXT,
         block TEXT,
         category TEXT,
+        parent_code TEXT,
+        class_kind TEXT,
+        tm2_type TEXT,
         description TEXT,
+        synonyms TEXT,
+        inclusions TEXT,
+        exclusions TEXT,
         status TEXT DEFAULT 'active',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(code, release_id)
       )`,
 
-      // Concept Mappings table
+      // Concept Mappings table; each mapping targets one ICD-11 release
       `CREATE TABLE IF NOT EXISTS concept_mappings (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         namaste_code TEXT NOT NULL,
         icd11_code TEXT NOT NULL,
+        icd11_release TEXT NOT NULL,
         equivalence TEXT DEFAULT 'equivalent',
         confidence REAL DEFAULT 1.0,
         mapping_type TEXT DEFAULT 'manual',
@@ -69,20 +118,83 @@ class Database {
         created_by TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (namaste_code) REFERENCES namaste_codes(code),
-        FOREIGN KEY (icd11_code) REFERENCES icd11_codes(code),
-        UNIQUE(namaste_code, icd11_code)
+        FOREIGN KEY (icd11_code, icd11_release) REFERENCES icd11_codes(code, release_id),
+        UNIQUE(namaste_code, icd11_code, icd11_release)
       )`,
 
       // FHIR Resources table (for caching)
       `CREATE TABLE IF NOT EXISTS fhir_resources (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        resource_id TEXT UNIQUE NOT NULL,
+        resource_id TEXT NOT NULL,
         resource_type TEXT NOT NULL,
         version TEXT DEFAULT '1',
         content TEXT NOT NULL,
         status TEXT DEFAULT 'active',
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(resource_type, resource_id)
+      )`,
+
+      // Additional designations (IAST, Devanagari, ...) of NAMASTE codes
+      `CREATE TABLE IF NOT EXISTS namaste_designations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL,
+        language TEXT NOT NULL,
+        use_code TEXT DEFAULT 'display',
+        value TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(code, language, use_code)
+      )`,
+
+      // Dry-run import previews awaiting review and apply
+      `CREATE TABLE IF NOT EXISTS import_previews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        preview_id TEXT UNIQUE NOT NULL,
+        source TEXT,
+        rows TEXT NOT NULL,
+        diff TEXT NOT NULL,
+        retire_missing INTEGER NOT NULL DEFAULT 0,
+        status TEXT DEFAULT 'pending',
+        created_by TEXT,
+        applied_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        applied_at DATETIME
+      )`,
+
+      // Published NAMASTE CodeSystem releases; the frozen CodeSystems are
+      // stored in fhir_resources under <CodeSystem id>-<version>
+      `CREATE TABLE IF NOT EXISTS code_system_releases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        version TEXT UNIQUE NOT NULL,
+        notes TEXT,
+        concept_count INTEGER,
+        published_by TEXT,
+        published_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Previous versions of stored FHIR resources
+      `CREATE TABLE IF NOT EXISTS fhir_resource_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        resource_id TEXT NOT NULL,
+        resource_type TEXT NOT NULL,
+        version TEXT NOT NULL,
+        content TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(resource_type, resource_id, version)
+      )`,
+
+      // WHO ICD-API responses, by request URL, release and language; kept
+      // past expiry to answer when the API is unreachable
+      `CREATE TABLE IF NOT EXISTS icd11_api_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        release_id TEXT NOT NULL,
+        language TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        content TEXT NOT NULL,
+        fetched_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL,
+        UNIQUE(url, release_id, language)
       )`,
 
       // Audit Events table
@@ -109,11 +221,72 @@ class Database {
       await this.run(table);
     }
 
+    // Columns added after the initial schema, for databases created earlier
+    const columns = [
+      ['namaste_codes', 'ontology_branch', 'TEXT'],
+      ['namaste_codes', 'synonyms', 'TEXT'],
+      ['namaste_codes', 'namc_id', 'TEXT'],
+      ['namaste_codes', 'namc_term', 'TEXT'],
+      ['namaste_codes', 'short_definition', 'TEXT'],
+      ['namaste_codes', 'long_definition', 'TEXT'],
+      ['namaste_codes', 'name_english', 'TEXT'],
+      ['namaste_codes', 'name_english_under_index', 'TEXT'],
+      ['namaste_codes', 'primary_index_related', 'TEXT'],
+      ['namaste_codes', 'status_reason', 'TEXT'],
+      ['namaste_codes', 'status_date', 'TEXT'],
+      ['namaste_codes', 'replaced_by', 'TEXT'],
+      ['namaste_codes', 'parent_code', 'TEXT'],
+      ['icd11_codes', 'synonyms', 'TEXT'],
+      ['icd11_codes', 'parent_code', 'TEXT'],
+      ['icd11_codes', 'class_kind', 'TEXT'],
+      ['icd11_codes', 'tm2_type', 'TEXT'],
+      ['icd11_codes', 'inclusions', 'TEXT'],
+      ['icd11_codes', 'exclusions', 'TEXT'],
+      ['import_previews', 'retire_missing', 'INTEGER NOT NULL DEFAULT 0']
+    ];
+
+    for (const [table, column, definition] of columns) {
+      await this.addColumnIfMissing(table, column, definition);
+    }
+
+    // Tables whose keys gained the ICD-11 release: rebuilt once, recording
+    // existing rows under the release they were fetched from
+    const releaseKeyed = [
+      ['icd11_codes', 'release_id'],
+      ['concept_mappings', 'icd11_release']
+    ];
+
+    for (const [table, column] of releaseKeyed) {
+      const existing = await this.all(`PRAGMA table_info(${table})`);
+      if (!existing.some(info => info.name === column)) {
+        const definition = tables.find(sql => sql.includes(`EXISTS ${table} (`));
+        await this.rebuildTable(table, definition, { [column]: LEGACY_RELEASE_ID });
+      }
+    }
+
+    // Resource ids are unique per resource type, as in FHIR: tables keyed
+    // on resource_id alone, where saving a ValueSet could replace the
+    // CodeSystem of the same id, are rebuilt once
+    const fhirResources = await this.get(
+      "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'fhir_resources'"
+    );
+    if (!fhirResources.sql.includes('UNIQUE(resource_type, resource_id)')) {
+      const definition = tables.find(sql => sql.includes('EXISTS fhir_resources ('));
+      await this.rebuildTable('fhir_resources', definition);
+    }
+
     // Create indexes for better performance
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_namaste_code ON namaste_codes(code)',
       'CREATE INDEX IF NOT EXISTS idx_namaste_specialty ON namaste_codes(specialty)',
+      'CREATE INDEX IF NOT EXISTS idx_namaste_parent ON namaste_codes(parent_code)',
+      'CREATE INDEX IF NOT EXISTS idx_namaste_designation_code ON namaste_designations(code)',
       'CREATE INDEX IF NOT EXISTS idx_icd11_code ON icd11_codes(code)',
+      'CREATE INDEX IF NOT EXISTS idx_icd11_release ON icd11_codes(release_id)',
+      'CREATE INDEX IF NOT EXISTS idx_icd11_parent ON icd11_codes(parent_code)',
+      'CREATE INDEX IF NOT EXISTS idx_icd11_tm2 ON icd11_codes(tm2_type)',
+      'CREATE INDEX IF NOT EXISTS idx_icd11_cache_release ON icd11_api_cache(release_id)',
+      'CREATE INDEX IF NOT EXISTS idx_fhir_history_resource ON fhir_resource_history(resource_type, resource_id)',
       'CREATE INDEX IF NOT EXISTS idx_mapping_namaste ON concept_mappings(namaste_code)',
       'CREATE INDEX IF NOT EXISTS idx_mapping_icd11 ON concept_mappings(icd11_code)',
       'CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_events(timestamp)',
@@ -124,9 +297,152 @@ class Database {
       await this.run(index);
     }
 
+    await this.createSearchIndexes();
+
     console.log('Database tables and indexes created successfully');
   }
 
+  /**
+   * FTS5 full-text indexes over the code tables. Each index row shares the
+   * rowid of its code row and is maintained by triggers, so every writer
+   * (CSV import, ICD-11 sync, scripts) keeps it current. The tokenizer
+   * folds diacritics, so "vatavyadhi" also finds "vātavyādhi".
+   */
+  async createSearchIndexes() {
+    for (const index of SEARCH_INDEXES) {
+      await this.run(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS ${index.fts} USING fts5(
+          code UNINDEXED,
+          display,
+          description,
+          terms,
+          tokenize = 'unicode61 remove_diacritics 2'
+        )
+      `);
+
+      // Triggers are recreated so changes to the indexed terms take effect
+      const values = `NEW.id, NEW.code, NEW.display, NEW.description, ${index.terms('NEW')}`;
+      const triggers = {
+        insert: `AFTER INSERT ON ${index.table} BEGIN
+          INSERT INTO ${index.fts} (rowid, code, display, description, terms) VALUES (${values});
+        END`,
+        update: `AFTER UPDATE ON ${index.table} BEGIN
+          DELETE FROM ${index.fts} WHERE rowid = OLD.id;
+          INSERT INTO ${index.fts} (rowid, code, display, description, terms) VALUES (${values});
+        END`,
+        delete: `AFTER DELETE ON ${index.table} BEGIN
+          DELETE FROM ${index.fts} WHERE rowid = OLD.id;
+        END`
+      };
+
+      if (index.related) {
+        // Re-index the code a related row belongs to
+        const reindex = (row) => `
+          DELETE FROM ${index.fts} WHERE rowid IN (SELECT id FROM ${index.table} WHERE code = ${row}.code);
+          INSERT INTO ${index.fts} (rowid, code, display, description, terms)
+          SELECT id, code, display, description, ${index.terms(index.table)}
+          FROM ${index.table} WHERE code = ${row}.code;`;
+
+        triggers.related_insert = `AFTER INSERT ON ${index.related} BEGIN ${reindex('NEW')} END`;
+        triggers.related_update = `AFTER UPDATE ON ${index.related} BEGIN ${reindex('OLD')} ${reindex('NEW')} END`;
+        triggers.related_delete = `AFTER DELETE ON ${index.related} BEGIN ${reindex('OLD')} END`;
+      }
+
+      for (const [event, body] of Object.entries(triggers)) {
+        await this.run(`DROP TRIGGER IF EXISTS ${index.fts}_${event}`);
+        await this.run(`CREATE TRIGGER ${index.fts}_${event} ${body}`);
+      }
+
+      // Backfill rows written before the index existed
+      const counts = await this.get(`
+        SELECT (SELECT COUNT(*) FROM ${index.table}) AS rows,
+               (SELECT COUNT(*) FROM ${index.fts}) AS indexed
+      `);
+      if (counts.rows !== counts.indexed) {
+        await this.rebuildSearchIndex(index);
+      }
+    }
+  }
+
+  async rebuildSearchIndex(index) {
+    await this.run(`DELETE FROM ${index.fts}`);
+    await this.run(`
+      INSERT INTO ${index.fts} (rowid, code, display, description, terms)
+      SELECT id, code, display, description, ${index.terms(index.table)} FROM ${index.table}
+    `);
+  }
+
+  /**
+   * Recreate a table from its current definition, for changes ALTER TABLE
+   * cannot make (such as its UNIQUE keys). Rows keep their ids, so search
+   * index rows stay attached; columns new to the table take the given
+   * values. The search index triggers are dropped with the old table and
+   * recreated by createSearchIndexes.
+   */
+  async rebuildTable(table, definition, values = {}) {
+    const columns = (await this.all(`PRAGMA table_info(${table})`)).map(info => info.name);
+    const added = Object.keys(values).filter(column => !columns.includes(column));
+
+    await this.transaction(async () => {
+      await this.run(definition.replace(`EXISTS ${table} (`, `EXISTS ${table}_rebuilt (`));
+      await this.run(`
+        INSERT INTO ${table}_rebuilt (${[...columns, ...added].join(', ')})
+        SELECT ${[...columns, ...added.map(() => '?')].join(', ')} FROM ${table}
+      `, added.map(column => values[column]));
+      await this.run(`DROP TABLE ${table}`);
+      await this.run(`ALTER TABLE ${table}_rebuilt RENAME TO ${table}`);
+    });
+  }
+
+  /**
+   * Run work in a transaction, committed when it resolves and rolled back
+   * when it throws. All requests share one connection, so transactions are
+   * queued and run one at a time; a call made from within a transaction's
+   * work is nested in it as a savepoint instead.
+   */
+  async transaction(work) {
+    if (this.transactionScope.getStore()) {
+      return this.savepoint(work);
+    }
+
+    const queued = this.transactions.then(() => this.transactionScope.run(true, async () => {
+      await this.run('BEGIN TRANSACTION');
+      try {
+        const result = await work();
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw error;
+      }
+    }));
+
+    // A failed transaction must not hold up the ones queued behind it
+    this.transactions = queued.catch(() => {});
+    return queued;
+  }
+
+  async savepoint(work) {
+    const savepoint = `sp_${++this.savepoints}`;
+    await this.run(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await work();
+      await this.run(`RELEASE ${savepoint}`);
+      return result;
+    } catch (error) {
+      await this.run(`ROLLBACK TO ${savepoint}`);
+      await this.run(`RELEASE ${savepoint}`);
+      throw error;
+    }
+  }
+
+  async addColumnIfMissing(table, column, definition) {
+    const existing = await this.all(`PRAGMA table_info(${table})`);
+    if (!existing.some(info => info.name === column)) {
+      await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
   async seedInitialData() {
     // Check if data already exists
     const count = await this.get('SELECT COUNT(*) as count FROM namaste_codes');
@@ -171,15 +487,16 @@ class Database {
     }
 
     // Insert ICD-11 codes
-    const insertICD11 = `INSERT INTO icd11_codes (code, display, system_uri, chapter, block, category) VALUES (?, ?, ?, ?, ?, ?)`;
+    const releaseId = getDefaultReleaseId();
+    const insertICD11 = `INSERT INTO icd11_codes (code, display, system_uri, chapter, block, category, release_id) VALUES (?, ?, ?, ?, ?, ?, ?)`;
     for (const code of icd11Codes) {
-      await this.run(insertICD11, code);
+      await this.run(insertICD11, [...code, releaseId]);
     }
 
     // Insert mappings
-    const insertMapping = `INSERT INTO concept_mappings (namaste_code, icd11_code, equivalence, confidence) VALUES (?, ?, ?, ?)`;
+    const insertMapping = `INSERT INTO concept_mappings (namaste_code, icd11_code, equivalence, confidence, icd11_release) VALUES (?, ?, ?, ?, ?)`;
     for (const mapping of mappings) {
-      await this.run(insertMapping, mapping);
+      await this.run(insertMapping, [...mapping, releaseId]);
     }
 
     console.log('Sample data seeded successfully');
@@ -1,12 +1,19 @@
 const express = require('express');
+const busboy = require('busboy');
 const csv = require('csv-parser');
 const { Readable } = require('stream');
+const TerminologyImportParser = require('../utils/terminologyImportParser');
+const { getDefaultReleaseId } = require('../utils/icd11Release');
 const router = express.Router();
 
-// Import CSV data
+// Largest accepted terminology upload
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB, 10) || 100;
+
+// Import CSV data (dryRun: validate and preview the diff without committing;
+// retireMissing: a full release, retiring the uploaded systems' other codes)
 router.post('/csv/import', async (req, res) => {
   try {
-    const { csvData } = req.body;
+    const { csvData, profile = 'namaste-csv', dryRun = false, retireMissing = false } = req.body;
 
     if (!csvData) {
       return res.status(400).json({
@@ -24,13 +31,30 @@ router.post('/csv/import', async (req, res) => {
       .on('data', (data) => results.push(data))
       .on('end', async () => {
         try {
-          const importResult = await req.codeSystemService.ingestCSV(results);
+          const rows = TerminologyImportParser.mapRecords(
+            results,
+            TerminologyImportParser.loadProfile(profile)
+          );
+
+          if (dryRun) {
+            const preview = await req.importService.preview(rows, {
+              source: 'csv',
+              retireMissing,
+              createdBy: req.user?.id
+            });
+            return res.status(preview.valid ? 200 : 422).json({
+              message: preview.valid ? 'CSV import preview created' : 'CSV import validation failed',
+              preview
+            });
+          }
+
+          const importResult = await req.importService.importRows(rows, { source: 'csv', retireMissing });
           res.json({
             message: 'CSV import completed',
             results: importResult
           });
         } catch (error) {
-          res.status(500).json({
+          res.status(error.name === 'ValidationError' ? 400 : 500).json({
             error: 'Import Error',
             message: error.message
           });
@@ -51,6 +75,374 @@ router.post('/csv/import', async (req, res) => {
   }
 });
 
+// Apply a previewed import: commits exactly the previewed change set
+router.post('/imports/:previewId/apply', async (req, res) => {
+  try {
+    const result = await req.importService.apply(req.params.previewId, {
+      appliedBy: req.user?.id
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Import preview ${req.params.previewId} not found`
+      });
+    }
+
+    res.json({
+      message: 'Import preview applied',
+      ...result
+    });
+
+  } catch (error) {
+    res.status(error.name === 'ConflictError' ? 409 : 500).json({
+      error: error.name === 'ConflictError' ? 'Conflict' : 'Import Error',
+      message: error.message
+    });
+  }
+});
+
+// List the available import profiles
+router.get('/import-profiles', (req, res) => {
+  try {
+    res.json(TerminologyImportParser.listProfiles());
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Import a NAMASTE workbook or CSV file (XLS/XLSX/CSV) through an import profile
+router.post('/namaste/import', async (req, res) => {
+  try {
+    const { filePath, profile, dryRun = false, retireMissing = false } = req.body || {};
+
+    const { source, rows } = req.codeSystemService.readTerminologyFile(filePath, profile);
+
+    if (dryRun) {
+      const preview = await req.importService.preview(rows, { source, retireMissing, createdBy: req.user?.id });
+      return res.status(preview.valid ? 200 : 422).json({
+        message: preview.valid ? 'NAMASTE workbook import preview created' : 'NAMASTE workbook validation failed',
+        preview
+      });
+    }
+
+    const importResult = await req.importService.importRows(rows, { source, retireMissing });
+    res.json({
+      message: 'NAMASTE workbook import completed',
+      results: importResult
+    });
+
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: 'Import Error',
+      message: error.message
+    });
+  }
+});
+
+// Upload a NAMASTE workbook or CSV file as multipart/form-data (field "file").
+// CSV rows are imported as they stream in, in batched transactions; with
+// progress=true the response is NDJSON with a progress line per batch;
+// retireMissing=true imports the file as a full release.
+router.post('/namaste/upload', (req, res) => {
+  if (!req.is('multipart/form-data')) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Upload the file as multipart/form-data'
+    });
+  }
+
+  const { profile } = req.query;
+  const dryRun = req.query.dryRun === 'true';
+  const retireMissing = req.query.retireMissing === 'true';
+  const streamProgress = req.query.progress === 'true' && !dryRun;
+
+  let parser;
+  try {
+    parser = busboy({
+      headers: req.headers,
+      limits: { files: 1, fileSize: MAX_UPLOAD_MB * 1024 * 1024 }
+    });
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: error.message
+    });
+  }
+
+  // Busboy and the import can both report the same failure; only the
+  // first outcome is written
+  let responded = false;
+  const respond = (send) => {
+    if (responded) return;
+    responded = true;
+    send();
+  };
+
+  const fail = (error) => respond(() => {
+    if (res.headersSent) {
+      return res.end(JSON.stringify({ event: 'error', message: error.message }) + '\n');
+    }
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: 'Import Error',
+      message: error.message
+    });
+  });
+
+  let upload = null;
+
+  parser.on('file', (field, file, { filename }) => {
+    file.on('limit', () => {
+      const error = new Error(`Upload exceeds the ${MAX_UPLOAD_MB} MB limit`);
+      error.name = 'ValidationError';
+      file.destroy(error);
+    });
+
+    if (streamProgress) {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    }
+
+    upload = req.importService.importUpload(file, filename, {
+      profile,
+      dryRun,
+      retireMissing,
+      createdBy: req.user?.id,
+      onProgress: (results) => {
+        if (streamProgress && !responded) {
+          res.write(JSON.stringify({
+            event: 'progress',
+            processed: results.processed,
+            inserted: results.inserted,
+            updated: results.updated,
+            errors: results.errors.length
+          }) + '\n');
+        }
+      }
+    }).then((result) => respond(() => {
+      if (streamProgress) {
+        return res.end(JSON.stringify({ event: 'complete', results: result }) + '\n');
+      }
+      if (dryRun) {
+        return res.status(result.valid ? 200 : 422).json({
+          message: result.valid ? 'NAMASTE upload preview created' : 'NAMASTE upload validation failed',
+          preview: result
+        });
+      }
+      res.json({
+        message: 'NAMASTE upload import completed',
+        results: result
+      });
+    }), fail);
+  });
+
+  parser.on('close', () => {
+    if (!upload) {
+      respond(() => res.status(400).json({
+        error: 'Bad Request',
+        message: 'A file is required'
+      }));
+    }
+  });
+
+  parser.on('error', (error) => {
+    error.name = 'ValidationError';
+    fail(error);
+  });
+
+  req.pipe(parser);
+});
+
+// Deprecate or retire a NAMASTE code (optional reason, effectiveDate and
+// replacedBy in the body), or reactivate it
+const STATUS_ACTIONS = { deprecate: 'deprecated', retire: 'retired', reactivate: 'active' };
+
+router.post('/codes/:code/:action(deprecate|retire|reactivate)', async (req, res) => {
+  try {
+    const { reason, effectiveDate, replacedBy } = req.body || {};
+    const result = await req.codeSystemService.setCodeStatus(
+      req.params.code,
+      STATUS_ACTIONS[req.params.action],
+      { reason, effectiveDate, replacedBy }
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `NAMASTE code ${req.params.code} not found`
+      });
+    }
+
+    res.json({
+      message: `Code ${req.params.code} is ${result.status}`,
+      code: result
+    });
+
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: error.name === 'ValidationError' ? 'Bad Request' : 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Import an ICD-11 MMS simple tabulation file from the server's disk, for
+// deployments without access to the WHO API
+router.post('/icd11/import', async (req, res) => {
+  try {
+    const { filePath, releaseId, linearization } = req.body || {};
+
+    if (!filePath) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'filePath of the ICD-11 tabulation file is required'
+      });
+    }
+
+    const results = await req.icd11Service.importTabulation(filePath, { releaseId, linearization });
+    res.json({
+      message: 'ICD-11 tabulation import completed',
+      results
+    });
+
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: 'Import Error',
+      message: error.message
+    });
+  }
+});
+
+// WHO ICD-API response cache: entry counts by release, language and kind
+router.get('/icd11/cache', async (req, res) => {
+  try {
+    const stats = await req.icd11Service.cache.getStats();
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Fetch search results and their entities into the cache ahead of sync or
+// mapping generation (refresh re-fetches entries that are still fresh)
+router.post('/icd11/cache/warm', async (req, res) => {
+  try {
+    const { searchTerms = [], maxPerTerm = 10, refresh = false, releaseId, linearization, language } = req.body || {};
+    const results = await req.icd11Service.warmCache(searchTerms, {
+      maxPerTerm: parseInt(maxPerTerm),
+      refresh: refresh === true || refresh === 'true',
+      releaseId,
+      linearization,
+      language
+    });
+
+    res.json({
+      message: 'ICD-11 API cache warmed',
+      results
+    });
+
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: error.name === 'ValidationError' ? 'Bad Request' : 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Drop cached responses: all, or by releaseId, language, kind (entity,
+// search) and urlPrefix; expiredOnly=true keeps fresh entries
+router.delete('/icd11/cache', async (req, res) => {
+  try {
+    const { releaseId, language, kind, urlPrefix, expiredOnly } = req.query;
+
+    if (kind && !['entity', 'search'].includes(kind)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: "kind must be 'entity' or 'search'"
+      });
+    }
+
+    const removed = await req.icd11Service.cache.invalidate({
+      releaseId,
+      language,
+      kind,
+      urlPrefix,
+      expiredOnly: expiredOnly === 'true'
+    });
+
+    res.json({
+      message: `Removed ${removed} cached ICD-11 API responses`,
+      removed
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Publish the current NAMASTE CodeSystems as a frozen, named release
+router.post('/releases', async (req, res) => {
+  try {
+    const { version, notes } = req.body || {};
+    const release = await req.codeSystemService.publishRelease(version, {
+      notes,
+      publishedBy: req.user?.id
+    });
+
+    res.status(201).json({
+      message: `Release ${release.version} published`,
+      release
+    });
+
+  } catch (error) {
+    const conflict = error.name === 'ConflictError';
+    const invalid = error.name === 'ValidationError';
+    res.status(conflict ? 409 : invalid ? 400 : 500).json({
+      error: conflict ? 'Conflict' : invalid ? 'Bad Request' : 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// List published releases
+router.get('/releases', async (req, res) => {
+  try {
+    res.json(await req.codeSystemService.getReleases());
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Compare two versions of a code system (default NAMASTE, to the current
+// codes) and list the concept mappings to re-review
+router.get('/releases/diff', async (req, res) => {
+  try {
+    const {
+      system = 'http://terminology.ayush.gov.in/CodeSystem/namaste',
+      from,
+      to
+    } = req.query;
+
+    res.json(await req.releaseDiffService.compare(system, from, to));
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: error.name === 'ValidationError' ? 'Bad Request' : 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
 // Get statistics
 router.get('/stats', async (req, res) => {
   try {
@@ -69,9 +461,14 @@ router.get('/stats', async (req, res) => {
     `);
     stats.codesBySystem = systemCounts;
 
-    // Count ICD-11 codes
-    const icd11Count = await req.db.get('SELECT COUNT(*) as count FROM icd11_codes WHERE status = "active"');
+    // Count ICD-11 codes of the deployment's release, and of every release
+    const icd11Count = await req.db.get(
+      'SELECT COUNT(*) as count FROM icd11_codes WHERE status = "active" AND release_id = ?',
+      [getDefaultReleaseId()]
+    );
+    stats.icd11ReleaseId = getDefaultReleaseId();
     stats.icd11CodesCount = icd11Count.count;
+    stats.icd11Releases = await req.icd11Service.getStoredReleases();
 
     // Count mappings
     const mappingCount = await req.db.get('SELECT COUNT(*) as count FROM concept_mappings');
@@ -102,7 +499,7 @@ router.get('/stats', async (req, res) => {
 // Add new mapping
 router.post('/mapping', async (req, res) => {
   try {
-    const { namasteCode, icd11Code, equivalence, confidence } = req.body;
+    const { namasteCode, icd11Code, icd11Release, equivalence, confidence } = req.body;
 
     if (!namasteCode || !icd11Code) {
       return res.status(400).json({
@@ -116,7 +513,8 @@ router.post('/mapping', async (req, res) => {
       icd11Code,
       equivalence || 'equivalent',
       confidence || 1.0,
-      req.user?.id || 'admin'
+      req.user?.id || 'admin',
+      icd11Release
     );
 
     if (result.success) {
@@ -125,8 +523,8 @@ router.post('/mapping', async (req, res) => {
       res.status(400).json(result);
     }
   } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: error.name === 'ValidationError' ? 'Bad Request' : 'Internal Server Error',
       message: error.message
     });
   }
@@ -1,6 +1,43 @@
 const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { isNamasteSystem } = require('../utils/namasteSystems');
 const router = express.Router();
 
+/**
+ * Collect operation input parameters from the query string (GET),
+ * a FHIR Parameters resource, or a plain JSON body (POST)
+ */
+function getOperationParams(req) {
+  if (req.method === 'GET') {
+    return { ...req.query };
+  }
+
+  const body = req.body || {};
+  if (body.resourceType !== 'Parameters') {
+    return { ...req.query, ...body };
+  }
+
+  const params = {};
+  (body.parameter || []).forEach(param => {
+    const valueKey = Object.keys(param).find(key => key.startsWith('value'));
+    params[param.name] = valueKey ? param[valueKey] : param.resource;
+  });
+  return params;
+}
+
+// Every value of a parameter that may repeat (such as system-version),
+// from the query string or a Parameters body
+function getOperationParamValues(req, name) {
+  const body = req.body || {};
+  if (req.method === 'GET' || body.resourceType !== 'Parameters') {
+    return [].concat(req.query[name] || body[name] || []);
+  }
+
+  return (body.parameter || [])
+    .filter(param => param.name === name)
+    .map(param => param[Object.keys(param).find(key => key.startsWith('value'))]);
+}
+
 // FHIR Capability Statement
 router.get('/metadata', async (req, res) => {
   try {
@@ -53,10 +90,26 @@ router.get('/metadata', async (req, res) => {
                 { code: 'read' },
                 { code: 'search-type' }
               ],
+              searchParam: [
+                { name: '_id', type: 'token' },
+                { name: 'url', type: 'uri' },
+                { name: 'version', type: 'token' },
+                { name: 'name', type: 'string' },
+                { name: 'status', type: 'token' },
+                { name: 'system', type: 'uri' }
+              ],
               operation: [
                 {
                   name: 'lookup',
                   definition: 'http://hl7.org/fhir/OperationDefinition/CodeSystem-lookup'
+                },
+                {
+                  name: 'validate-code',
+                  definition: 'http://hl7.org/fhir/OperationDefinition/CodeSystem-validate-code'
+                },
+                {
+                  name: 'subsumes',
+                  definition: 'http://hl7.org/fhir/OperationDefinition/CodeSystem-subsumes'
                 }
               ]
             },
@@ -66,6 +119,15 @@ router.get('/metadata', async (req, res) => {
                 { code: 'read' },
                 { code: 'search-type' }
               ],
+              searchParam: [
+                { name: '_id', type: 'token' },
+                { name: 'url', type: 'uri' },
+                { name: 'version', type: 'token' },
+                { name: 'name', type: 'string' },
+                { name: 'status', type: 'token' },
+                { name: 'source-uri', type: 'reference' },
+                { name: 'target-uri', type: 'reference' }
+              ],
               operation: [
                 {
                   name: 'translate',
@@ -75,13 +137,29 @@ router.get('/metadata', async (req, res) => {
             },
             {
               type: 'ValueSet',
+              versioning: 'versioned',
               interaction: [
-                { code: 'read' }
+                { code: 'read' },
+                { code: 'vread' },
+                { code: 'create' },
+                { code: 'update' },
+                { code: 'search-type' }
+              ],
+              searchParam: [
+                { name: '_id', type: 'token' },
+                { name: 'url', type: 'uri' },
+                { name: 'version', type: 'token' },
+                { name: 'name', type: 'string' },
+                { name: 'status', type: 'token' }
               ],
               operation: [
                 {
                   name: 'expand',
                   definition: 'http://hl7.org/fhir/OperationDefinition/ValueSet-expand'
+                },
+                {
+                  name: 'validate-code',
+                  definition: 'http://hl7.org/fhir/OperationDefinition/ValueSet-validate-code'
                 }
               ]
             },
@@ -111,43 +189,142 @@ router.get('/metadata', async (req, res) => {
   }
 });
 
-// Get CodeSystem
-router.get('/CodeSystem/:id', async (req, res) => {
+// Search CodeSystem, ConceptMap and ValueSet resources
+function searchHandler(resourceType) {
+  return async (req, res) => {
+    try {
+      // Built-in resources are generated lazily; make sure they are stored
+      if (resourceType === 'CodeSystem') {
+        for (const id of req.codeSystemService.getNAMASTECodeSystemIds()) {
+          await req.codeSystemService.getCodeSystem(id);
+        }
+      } else if (resourceType === 'ConceptMap') {
+        for (const id of req.conceptMapService.getGeneratedConceptMapIds()) {
+          await req.conceptMapService.getConceptMap(id);
+        }
+      } else if (resourceType === 'ValueSet') {
+        await req.codeSystemService.getValueSet('namaste-ayush-valueset');
+      }
+
+      const bundle = await req.resourceService.search(
+        resourceType,
+        req.query,
+        `${req.protocol}://${req.get('host')}/fhir`
+      );
+      res.json(bundle);
+    } catch (error) {
+      res.status(500).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: 'exception',
+            diagnostics: error.message
+          }
+        ]
+      });
+    }
+  };
+}
+
+router.get('/CodeSystem', searchHandler('CodeSystem'));
+router.get('/ConceptMap', searchHandler('ConceptMap'));
+router.get('/ValueSet', searchHandler('ValueSet'));
+
+// CodeSystem validate-code operation (type and instance level)
+async function validateCodeHandler(req, res) {
   try {
-    const codeSystem = await req.codeSystemService.getCodeSystem(req.params.id);
-    
-    if (!codeSystem) {
-      return res.status(404).json({
+    const params = getOperationParams(req);
+    let system = params.url || params.system;
+    let version = params.version;
+
+    if (req.params.id) {
+      const codeSystem = await req.codeSystemService.getCodeSystem(req.params.id);
+      if (!codeSystem) {
+        return res.status(404).json({
+          resourceType: 'OperationOutcome',
+          issue: [
+            {
+              severity: 'error',
+              code: 'not-found',
+              diagnostics: `CodeSystem with id '${req.params.id}' not found`
+            }
+          ]
+        });
+      }
+      system = codeSystem.url;
+      // A release id validates against that release
+      version = version || codeSystem.version;
+    }
+
+    if (!params.coding && !params.codeableConcept && (!system || !params.code)) {
+      return res.status(400).json({
         resourceType: 'OperationOutcome',
         issue: [
           {
             severity: 'error',
-            code: 'not-found',
-            diagnostics: `CodeSystem with id '${req.params.id}' not found`
+            code: 'required',
+            diagnostics: 'Either url and code, coding, or codeableConcept parameters are required'
           }
         ]
       });
     }
 
-    res.json(codeSystem);
+    const result = await req.codeSystemService.validateCode({
+      system,
+      code: params.code,
+      display: params.display,
+      version,
+      coding: params.coding,
+      codeableConcept: params.codeableConcept
+    });
+    res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const invalid = error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).json({
       resourceType: 'OperationOutcome',
       issue: [
         {
           severity: 'error',
-          code: 'exception',
+          code: invalid ? 'invalid' : 'exception',
           diagnostics: error.message
         }
       ]
     });
   }
-});
+}
 
-// CodeSystem lookup operation
-router.post('/CodeSystem/$lookup', async (req, res) => {
+router.get('/CodeSystem/\\$validate-code', validateCodeHandler);
+router.post('/CodeSystem/\\$validate-code', validateCodeHandler);
+router.get('/CodeSystem/:id/\\$validate-code', validateCodeHandler);
+router.post('/CodeSystem/:id/\\$validate-code', validateCodeHandler);
+
+// CodeSystem lookup operation (type and instance level)
+async function lookupHandler(req, res) {
   try {
-    const { system, code } = req.body;
+    const params = getOperationParams(req);
+    let system = params.system || (params.coding && params.coding.system);
+    const code = params.code || (params.coding && params.coding.code);
+    let version = params.version || (params.coding && params.coding.version);
+
+    if (req.params.id) {
+      const codeSystem = await req.codeSystemService.getCodeSystem(req.params.id);
+      if (!codeSystem) {
+        return res.status(404).json({
+          resourceType: 'OperationOutcome',
+          issue: [
+            {
+              severity: 'error',
+              code: 'not-found',
+              diagnostics: `CodeSystem with id '${req.params.id}' not found`
+            }
+          ]
+        });
+      }
+      system = codeSystem.url;
+      // A release id looks up the code in that release
+      version = version || codeSystem.version;
+    }
 
     if (!system || !code) {
       return res.status(400).json({
@@ -162,7 +339,10 @@ router.post('/CodeSystem/$lookup', async (req, res) => {
       });
     }
 
-    const result = await req.codeSystemService.lookupCode(system, code);
+    const result = await req.codeSystemService.lookupCode(system, code, {
+      displayLanguage: params.displayLanguage,
+      version
+    });
     
     if (!result) {
       return res.status(404).json({
@@ -171,13 +351,131 @@ router.post('/CodeSystem/$lookup', async (req, res) => {
           {
             severity: 'error',
             code: 'not-found',
-            diagnostics: `Code '${code}' not found in system '${system}'`
+            diagnostics: `Code '${code}' not found in system '${system}'${version ? ` version '${version}'` : ''}`
           }
         ]
       });
     }
 
     res.json(result);
+  } catch (error) {
+    const invalid = error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).json({
+      resourceType: 'OperationOutcome',
+      issue: [
+        {
+          severity: 'error',
+          code: invalid ? 'invalid' : 'exception',
+          diagnostics: error.message
+        }
+      ]
+    });
+  }
+}
+
+router.get('/CodeSystem/\\$lookup', lookupHandler);
+router.post('/CodeSystem/\\$lookup', lookupHandler);
+router.get('/CodeSystem/:id/\\$lookup', lookupHandler);
+router.post('/CodeSystem/:id/\\$lookup', lookupHandler);
+
+// CodeSystem subsumes operation (type and instance level)
+async function subsumesHandler(req, res) {
+  try {
+    const params = getOperationParams(req);
+    const codingA = params.codingA || {};
+    const codingB = params.codingB || {};
+    let system = params.system || codingA.system || codingB.system;
+    let version = params.version || codingA.version || codingB.version;
+
+    if (req.params.id) {
+      const codeSystem = await req.codeSystemService.getCodeSystem(req.params.id);
+      if (!codeSystem) {
+        return res.status(404).json({
+          resourceType: 'OperationOutcome',
+          issue: [
+            {
+              severity: 'error',
+              code: 'not-found',
+              diagnostics: `CodeSystem with id '${req.params.id}' not found`
+            }
+          ]
+        });
+      }
+      system = codeSystem.url;
+      // A release id compares the codes in that release
+      version = version || codeSystem.version;
+    }
+
+    const codeA = params.codeA || codingA.code;
+    const codeB = params.codeB || codingB.code;
+
+    if (!system || !codeA || !codeB) {
+      return res.status(400).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: 'required',
+            diagnostics: 'system with codeA and codeB, or codingA and codingB, are required'
+          }
+        ]
+      });
+    }
+
+    if ([codingA.system, codingB.system].some(codingSystem => codingSystem && codingSystem !== system)) {
+      return res.status(400).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: 'invalid',
+            diagnostics: 'Both codes must be from the same code system'
+          }
+        ]
+      });
+    }
+
+    const result = await req.codeSystemService.subsumes(system, codeA, codeB, { version });
+    res.json(result);
+  } catch (error) {
+    const invalid = error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).json({
+      resourceType: 'OperationOutcome',
+      issue: [
+        {
+          severity: 'error',
+          code: invalid ? 'invalid' : 'exception',
+          diagnostics: error.message
+        }
+      ]
+    });
+  }
+}
+
+router.get('/CodeSystem/\\$subsumes', subsumesHandler);
+router.post('/CodeSystem/\\$subsumes', subsumesHandler);
+router.get('/CodeSystem/:id/\\$subsumes', subsumesHandler);
+router.post('/CodeSystem/:id/\\$subsumes', subsumesHandler);
+
+// Get CodeSystem
+router.get('/CodeSystem/:id', async (req, res) => {
+  try {
+    const codeSystem = await req.codeSystemService.getCodeSystem(req.params.id);
+    
+    if (!codeSystem) {
+      return res.status(404).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: 'not-found',
+            diagnostics: `CodeSystem with id '${req.params.id}' not found`
+          }
+        ]
+      });
+    }
+
+    res.json(codeSystem);
   } catch (error) {
     res.status(500).json({
       resourceType: 'OperationOutcome',
@@ -192,6 +490,84 @@ router.post('/CodeSystem/$lookup', async (req, res) => {
   }
 });
 
+// ConceptMap translate operation (type and instance level)
+async function translateHandler(req, res) {
+  try {
+    const params = getOperationParams(req);
+    const source = params.coding || (params.codeableConcept && (params.codeableConcept.coding || [])[0]) || {};
+    const reverse = params.reverse === true || params.reverse === 'true';
+    let system = params.system || source.system;
+    let targetSystem = params.targetsystem;
+    const code = params.code || source.code;
+    const version = params.version || source.version;
+    let conceptMap;
+
+    // A ConceptMap chosen by id or canonical url (e.g. the TM2 map)
+    if (req.params.id || params.url) {
+      conceptMap = req.params.id
+        ? await req.conceptMapService.getConceptMap(req.params.id)
+        : await req.conceptMapService.getConceptMapByUrl(params.url);
+      if (!conceptMap) {
+        return res.status(404).json({
+          resourceType: 'OperationOutcome',
+          issue: [
+            {
+              severity: 'error',
+              code: 'not-found',
+              diagnostics: req.params.id
+                ? `ConceptMap with id '${req.params.id}' not found`
+                : `ConceptMap with url '${params.url}' not found`
+            }
+          ]
+        });
+      }
+      // The map fixes the system pair; reverse reads it target-to-source
+      system = system || (reverse ? conceptMap.targetUri : conceptMap.sourceUri);
+      targetSystem = targetSystem || (reverse ? conceptMap.sourceUri : conceptMap.targetUri);
+    }
+
+    if (!system || !code) {
+      return res.status(400).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: 'required',
+            diagnostics: 'Both system and code parameters are required'
+          }
+        ]
+      });
+    }
+
+    const result = await req.conceptMapService.translate({
+      code,
+      system,
+      version,
+      targetSystem,
+      reverse,
+      conceptMapId: conceptMap && conceptMap.id
+    });
+    res.json(result);
+  } catch (error) {
+    const invalid = error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).json({
+      resourceType: 'OperationOutcome',
+      issue: [
+        {
+          severity: 'error',
+          code: invalid ? 'invalid' : 'exception',
+          diagnostics: error.message
+        }
+      ]
+    });
+  }
+}
+
+router.get('/ConceptMap/\\$translate', translateHandler);
+router.post('/ConceptMap/\\$translate', translateHandler);
+router.get('/ConceptMap/:id/\\$translate', translateHandler);
+router.post('/ConceptMap/:id/\\$translate', translateHandler);
+
 // Get ConceptMap
 router.get('/ConceptMap/:id', async (req, res) => {
   try {
@@ -225,51 +601,184 @@ router.get('/ConceptMap/:id', async (req, res) => {
   }
 });
 
-// ConceptMap translate operation
-router.post('/ConceptMap/$translate', async (req, res) => {
+// ValueSet expand operation (type and instance level)
+async function expandHandler(req, res) {
   try {
-    const { system, code, targetsystem } = req.body;
+    const params = getOperationParams(req);
 
-    if (!system || !code) {
+    // Without a ValueSet reference the built-in NAMASTE ValueSet is expanded
+    const resolved = await req.codeSystemService.resolveValueSet({
+      id: req.params.id || (!params.url && !params.valueSet ? 'namaste-ayush-valueset' : undefined),
+      url: params.url,
+      version: params.valueSetVersion,
+      valueSet: params.valueSet
+    });
+
+    if (!resolved) {
+      return res.status(404).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: 'not-found',
+            diagnostics: `ValueSet '${req.params.id || params.url}' not found`
+          }
+        ]
+      });
+    }
+
+    const count = params.count !== undefined ? Number(params.count) : undefined;
+    const offset = params.offset !== undefined ? Number(params.offset) : 0;
+
+    if ((count !== undefined && !(Number.isInteger(count) && count >= 0)) || !(Number.isInteger(offset) && offset >= 0)) {
+      return res.status(400).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: 'invalid',
+            diagnostics: 'count and offset must be non-negative integers'
+          }
+        ]
+      });
+    }
+
+    // system-version (system|version) pins the code systems of compose
+    // clauses naming no version, e.g. NAMASTE to a published release
+    const options = {
+      ...resolved.options,
+      systemVersions: req.codeSystemService.parseSystemVersions(getOperationParamValues(req, 'system-version')),
+      count,
+      offset,
+      activeOnly: params.activeOnly === undefined ? true : String(params.activeOnly) === 'true',
+      includeDesignations: String(params.includeDesignations) === 'true',
+      displayLanguage: params.displayLanguage
+    };
+    if (params.filter) options.text = params.filter;
+    if (params.system) options.system = params.system;
+    if (params.specialty) options.specialty = params.specialty;
+
+    const valueSet = await req.codeSystemService.expandValueSet(resolved.valueSet, options);
+    res.json(valueSet);
+  } catch (error) {
+    const invalid = error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).json({
+      resourceType: 'OperationOutcome',
+      issue: [
+        {
+          severity: 'error',
+          code: invalid ? 'invalid' : 'exception',
+          diagnostics: error.message
+        }
+      ]
+    });
+  }
+}
+
+router.get('/ValueSet/\\$expand', expandHandler);
+router.post('/ValueSet/\\$expand', expandHandler);
+router.get('/ValueSet/:id/\\$expand', expandHandler);
+router.post('/ValueSet/:id/\\$expand', expandHandler);
+
+// ValueSet validate-code operation (type and instance level)
+async function validateValueSetCodeHandler(req, res) {
+  try {
+    const params = getOperationParams(req);
+
+    if (!req.params.id && !params.url && !params.valueSet) {
       return res.status(400).json({
         resourceType: 'OperationOutcome',
         issue: [
           {
             severity: 'error',
             code: 'required',
-            diagnostics: 'Both system and code parameters are required'
+            diagnostics: 'Either a url or an inline valueSet parameter is required'
+          }
+        ]
+      });
+    }
+
+    if (!params.coding && !params.codeableConcept && (!params.system || !params.code)) {
+      return res.status(400).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: 'required',
+            diagnostics: 'Either system and code, coding, or codeableConcept parameters are required'
+          }
+        ]
+      });
+    }
+
+    const result = await req.codeSystemService.validateValueSetCode({
+      id: req.params.id,
+      url: params.url,
+      version: params.valueSetVersion,
+      valueSet: params.valueSet,
+      system: params.system,
+      code: params.code,
+      display: params.display,
+      coding: params.coding,
+      codeableConcept: params.codeableConcept,
+      // Validates a code as of a release, e.g. for an old encounter
+      systemVersions: req.codeSystemService.parseSystemVersions(getOperationParamValues(req, 'system-version'))
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: 'not-found',
+            diagnostics: `ValueSet '${req.params.id || params.url}' not found`
           }
         ]
       });
     }
 
-    const result = await req.conceptMapService.translateCode(code, system);
     res.json(result);
   } catch (error) {
-    res.status(500).json({
+    const invalid = error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).json({
       resourceType: 'OperationOutcome',
       issue: [
         {
           severity: 'error',
-          code: 'exception',
+          code: invalid ? 'invalid' : 'exception',
           diagnostics: error.message
         }
       ]
     });
   }
-});
+}
 
-// ValueSet expand operation
-router.get('/ValueSet/$expand', async (req, res) => {
+router.get('/ValueSet/\\$validate-code', validateValueSetCodeHandler);
+router.post('/ValueSet/\\$validate-code', validateValueSetCodeHandler);
+router.get('/ValueSet/:id/\\$validate-code', validateValueSetCodeHandler);
+router.post('/ValueSet/:id/\\$validate-code', validateValueSetCodeHandler);
+
+// Get ValueSet (current version or a specific version from history)
+router.get(['/ValueSet/:id', '/ValueSet/:id/_history/:versionId'], async (req, res) => {
   try {
-    const { filter, system, specialty } = req.query;
-    
-    const filterParams = {};
-    if (filter) filterParams.text = filter;
-    if (system) filterParams.system = system;
-    if (specialty) filterParams.specialty = specialty;
+    const valueSet = req.params.versionId
+      ? await req.codeSystemService.getValueSetVersion(req.params.id, req.params.versionId)
+      : await req.codeSystemService.getValueSet(req.params.id);
+
+    if (!valueSet) {
+      return res.status(404).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: 'not-found',
+            diagnostics: `ValueSet with id '${req.params.id}' not found`
+          }
+        ]
+      });
+    }
 
-    const valueSet = await req.codeSystemService.createNAMASTEValueSet(filterParams);
     res.json(valueSet);
   } catch (error) {
     res.status(500).json({
@@ -285,6 +794,46 @@ router.get('/ValueSet/$expand', async (req, res) => {
   }
 });
 
+// Create (POST) or create/update (PUT) a stored ValueSet
+async function saveValueSetHandler(req, res) {
+  try {
+    const resource = req.body;
+
+    if (req.params.id && resource.id && resource.id !== req.params.id) {
+      return res.status(400).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: 'invalid',
+            diagnostics: `Resource id '${resource.id}' does not match URL id '${req.params.id}'`
+          }
+        ]
+      });
+    }
+
+    const { valueSet, created } = await req.codeSystemService.saveValueSet(resource, req.params.id);
+
+    res.location(`${req.protocol}://${req.get('host')}/fhir/ValueSet/${valueSet.id}/_history/${valueSet.meta.versionId}`);
+    res.status(created ? 201 : 200).json(valueSet);
+  } catch (error) {
+    const invalid = error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).json({
+      resourceType: 'OperationOutcome',
+      issue: [
+        {
+          severity: 'error',
+          code: invalid ? 'invalid' : 'exception',
+          diagnostics: error.message
+        }
+      ]
+    });
+  }
+}
+
+router.post('/ValueSet', authMiddleware, saveValueSetHandler);
+router.put('/ValueSet/:id', authMiddleware, saveValueSetHandler);
+
 // Bundle upload
 router.post('/Bundle', async (req, res) => {
   try {
@@ -316,7 +865,7 @@ router.post('/Bundle', async (req, res) => {
         if (resource.resourceType === 'Condition') {
           // Validate dual coding
           const coding = resource.code?.coding || [];
-          const hasNamaste = coding.some(c => c.system === 'http://terminology.ayush.gov.in/CodeSystem/namaste');
+          const hasNamaste = coding.some(c => isNamasteSystem(c.system));
           const hasICD11 = coding.some(c => c.system === 'http://id.who.int/icd/release/11/mms');
 
           if (hasNamaste && hasICD11) {
@@ -1,16 +1,25 @@
 const express = require('express');
+const { resolveRelease } = require('../utils/icd11Release');
 const router = express.Router();
 
-// Get ICD-11 codes
+// Every route works on the deployment's ICD-11 release and linearization
+// unless the request names others (releaseId, linearization). WHO API
+// responses come through the service's cache, in the deployment's language
+// unless the request names one (language).
+const errorStatus = (error) => (error.name === 'ValidationError' ? 400 : 500);
+
+// Get stored ICD-11 codes of a release
 router.get('/codes', async (req, res) => {
   try {
     const { limit = 50, offset = 0, search } = req.query;
+    const release = resolveRelease(req.query);
     
     if (search) {
       // Search stored ICD-11 codes
-      const results = await req.icd11Service.searchStoredICD11Codes(search);
+      const results = await req.icd11Service.searchStoredICD11Codes(search, release);
       res.json({
         total: results.length,
+        releaseId: release.releaseId,
         results,
         query: search
       });
@@ -18,19 +27,21 @@ router.get('/codes', async (req, res) => {
       // Get paginated ICD-11 codes
       const results = await req.icd11Service.getStoredICD11Codes(
         parseInt(limit), 
-        parseInt(offset)
+        parseInt(offset),
+        release
       );
       
       res.json({
         total: results.length,
+        releaseId: release.releaseId,
         limit: parseInt(limit),
         offset: parseInt(offset),
         results
       });
     }
   } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
+    res.status(errorStatus(error)).json({
+      error: error.name === 'ValidationError' ? 'Bad Request' : 'Internal Server Error',
       message: error.message
     });
   }
@@ -49,17 +60,22 @@ router.get('/search', async (req, res) => {
     }
     
     const useLinear = useLinearization.toLowerCase() === 'true';
-    const results = await req.icd11Service.searchEntities(query, useLinear);
+    const release = resolveRelease(req.query);
+    const results = await req.icd11Service.searchEntities(query, useLinear, {
+      ...release,
+      language: req.query.language
+    });
     
     res.json({
       query,
       useLinearization: useLinear,
+      ...release,
       total: results.length,
       results
     });
   } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
+    res.status(errorStatus(error)).json({
+      error: error.name === 'ValidationError' ? 'Bad Request' : 'Internal Server Error',
       message: error.message
     });
   }
@@ -76,11 +92,21 @@ router.get('/entity/:entityId', async (req, res) => {
       ? entityId 
       : `http://id.who.int/icd/entity/${entityId}`;
     
+    // linearization=true reads the deployment's linearization; any other
+    // value except false names one
+    const useLinear = linearization.toLowerCase() !== 'false';
+    const release = resolveRelease({
+      releaseId: req.query.releaseId,
+      linearization: ['true', 'false'].includes(linearization.toLowerCase()) ? undefined : linearization
+    });
+
+    const options = { ...release, language: req.query.language };
+
     let result;
-    if (linearization.toLowerCase() === 'true') {
-      result = await req.icd11Service.getLinearizationEntity(entityURI);
+    if (useLinear) {
+      result = await req.icd11Service.getLinearizationEntity(entityURI, options);
     } else {
-      result = await req.icd11Service.getEntity(entityURI);
+      result = await req.icd11Service.getEntity(entityURI, options);
     }
     
     if (!result) {
@@ -92,8 +118,8 @@ router.get('/entity/:entityId', async (req, res) => {
     
     res.json(result);
   } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
+    res.status(errorStatus(error)).json({
+      error: error.name === 'ValidationError' ? 'Bad Request' : 'Internal Server Error',
       message: error.message
     });
   }
@@ -102,23 +128,20 @@ router.get('/entity/:entityId', async (req, res) => {
 // Sync ICD-11 codes (fetch from API and store locally)
 router.post('/sync', async (req, res) => {
   try {
-    const { searchTerms = [], maxPerTerm = 10 } = req.body;
-    
-    const defaultTerms = [
-      'disease', 'disorder', 'condition', 'syndrome',
-      'diabetes', 'hypertension', 'arthritis', 'asthma'
-    ];
+    const { searchTerms = [], maxPerTerm = 10, language } = req.body;
+    const release = resolveRelease(req.body);
+    const options = { ...release, language };
     
-    const terms = searchTerms.length > 0 ? searchTerms : defaultTerms;
+    const terms = searchTerms.length > 0 ? searchTerms : req.icd11Service.defaultSearchTerms;
     const results = [];
     
     for (const term of terms) {
       try {
-        const searchResults = await req.icd11Service.searchEntities(term, true);
+        const searchResults = await req.icd11Service.searchEntities(term, true, options);
         
         for (const result of searchResults.slice(0, maxPerTerm)) {
           try {
-            const entity = await req.icd11Service.getLinearizationEntity(result.id);
+            const entity = await req.icd11Service.getLinearizationEntity(result.id, options);
             if (entity && entity.code) {
               await req.icd11Service.storeICD11Code(entity);
               results.push(entity);
@@ -127,10 +150,6 @@ router.post('/sync', async (req, res) => {
             console.log(`Could not fetch entity ${result.id}: ${entityError.message}`);
           }
         }
-        
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
       } catch (searchError) {
         console.error(`Error searching for ${term}: ${searchError.message}`);
       }
@@ -138,11 +157,29 @@ router.post('/sync', async (req, res) => {
     
     res.json({
       message: 'ICD-11 codes synchronization completed',
+      ...release,
       searchTerms: terms,
       totalSynced: results.length,
       results: results.slice(0, 10) // Return first 10 as sample
     });
     
+  } catch (error) {
+    res.status(errorStatus(error)).json({
+      error: error.name === 'ValidationError' ? 'Bad Request' : 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Stored ICD-11 releases with their code and mapping counts
+router.get('/releases', async (req, res) => {
+  try {
+    const releases = await req.icd11Service.getStoredReleases();
+    res.json({
+      defaultReleaseId: resolveRelease().releaseId,
+      total: releases.length,
+      releases
+    });
   } catch (error) {
     res.status(500).json({
       error: 'Internal Server Error',
@@ -1,6 +1,5 @@
 const express = require('express');
-const AyurvedaCodesParser = require('../utils/ayurvedaCodesParser');
-const path = require('path');
+const { resolveRelease } = require('../utils/icd11Release');
 const router = express.Router();
 
 // Get stored mappings
@@ -9,6 +8,7 @@ router.get('/', async (req, res) => {
     const { 
       ayurveda_code, 
       icd11_code, 
+      icd11_release,
       min_confidence = 0.6, 
       mapping_type,
       limit = 100
@@ -17,6 +17,7 @@ router.get('/', async (req, res) => {
     const filters = {
       ayurveda_code,
       icd11_code,
+      icd11_release,
       min_confidence: parseFloat(min_confidence),
       mapping_type,
       limit: parseInt(limit)
@@ -46,24 +47,32 @@ router.post('/generate', async (req, res) => {
       overwriteExisting = false,
       searchTerms = []
     } = req.body;
+
+    // Mappings target one ICD-11 release: the deployment's unless named
+    const release = resolveRelease(req.body);
     
-    // Parse Ayurveda codes from Excel
-    const excelFilePath = path.join(__dirname, '..', '..', '..', 'AyurvedaMorbidityCodes.xls');
-    const parser = new AyurvedaCodesParser(excelFilePath);
-    const ayurvedaCodes = parser.parseExcelFile();
+    // NAMASTE codes imported into the database (see POST /admin/namaste/import)
+    const namasteCodes = await req.codeSystemService.getNAMASTECodes();
+
+    if (namasteCodes.length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'No NAMASTE codes available. Please import the workbook first using POST /admin/namaste/import'
+      });
+    }
     
     // Get ICD-11 codes (fetch more if search terms provided)
-    let icd11Codes = await req.icd11Service.getStoredICD11Codes(1000);
+    let icd11Codes = await req.icd11Service.getMatchCandidates(1000, release);
     
     if (searchTerms.length > 0) {
       // Fetch additional ICD-11 codes based on search terms
       for (const term of searchTerms) {
         try {
-          const searchResults = await req.icd11Service.searchEntities(term, true);
+          const searchResults = await req.icd11Service.searchEntities(term, true, release);
           
           for (const result of searchResults.slice(0, 10)) {
             try {
-              const entity = await req.icd11Service.getLinearizationEntity(result.id);
+              const entity = await req.icd11Service.getLinearizationEntity(result.id, release);
               if (entity && entity.code) {
                 await req.icd11Service.storeICD11Code(entity);
                 icd11Codes.push(entity);
@@ -72,10 +81,6 @@ router.post('/generate', async (req, res) => {
               console.log(`Could not fetch entity ${result.id}: ${entityError.message}`);
             }
           }
-          
-          // Rate limiting
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
         } catch (searchError) {
           console.error(`Error searching for ${term}: ${searchError.message}`);
         }
@@ -85,13 +90,13 @@ router.post('/generate', async (req, res) => {
     if (icd11Codes.length === 0) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: 'No ICD-11 codes available. Please sync ICD-11 codes first using POST /api/icd11/sync'
+        message: `No ICD-11 codes available for release ${release.releaseId}. Please sync ICD-11 codes first using POST /api/icd11/sync`
       });
     }
     
     // Generate mappings
     const mappingResults = await req.similarityMatcher.generateMappings(
-      ayurvedaCodes, 
+      namasteCodes, 
       icd11Codes,
       {
         maxMatchesPerCode,
@@ -102,7 +107,8 @@ router.post('/generate', async (req, res) => {
     
     res.json({
       message: 'Mapping generation completed',
-      ayurvedaCodesProcessed: ayurvedaCodes.length,
+      icd11Release: release.releaseId,
+      ayurvedaCodesProcessed: namasteCodes.length,
       icd11CodesCompared: icd11Codes.length,
       ...mappingResults.stats,
       sampleHighConfidenceMappings: mappingResults.high.slice(0, 5),
@@ -110,8 +116,8 @@ router.post('/generate', async (req, res) => {
     });
     
   } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: error.name === 'ValidationError' ? 'Bad Request' : 'Internal Server Error',
       message: error.message
     });
   }
@@ -128,6 +134,11 @@ router.get('/stats', async (req, res) => {
     
     const automaticMappings = allMappings.filter(m => m.mapping_type === 'automatic');
     const manualMappings = allMappings.filter(m => m.mapping_type === 'manual');
+
+    const byRelease = {};
+    allMappings.forEach(m => {
+      byRelease[m.icd11_release] = (byRelease[m.icd11_release] || 0) + 1;
+    });
     
     res.json({
       total: allMappings.length,
@@ -140,6 +151,7 @@ router.get('/stats', async (req, res) => {
         automatic: automaticMappings.length,
         manual: manualMappings.length
       },
+      byICD11Release: byRelease,
       averageConfidence: allMappings.reduce((sum, m) => sum + m.confidence, 0) / allMappings.length || 0
     });
   } catch (error) {
@@ -154,6 +166,7 @@ router.get('/stats', async (req, res) => {
 router.post('/find-similar', async (req, res) => {
   try {
     const { ayurveda_code, max_results = 5 } = req.body;
+    const release = resolveRelease(req.body);
     
     if (!ayurveda_code) {
       return res.status(400).json({
@@ -162,12 +175,8 @@ router.post('/find-similar', async (req, res) => {
       });
     }
     
-    // Get the Ayurveda code details (you might want to store these in DB too)
-    const excelFilePath = path.join(__dirname, '..', '..', '..', 'AyurvedaMorbidityCodes.xls');
-    const parser = new AyurvedaCodesParser(excelFilePath);
-    const ayurvedaCodes = parser.parseExcelFile();
-    
-    const targetCode = ayurvedaCodes.find(code => code.code === ayurveda_code);
+    // Get the Ayurveda code details
+    const [targetCode] = await req.codeSystemService.getNAMASTECodes(ayurveda_code);
     
     if (!targetCode) {
       return res.status(404).json({
@@ -177,12 +186,12 @@ router.post('/find-similar', async (req, res) => {
     }
     
     // Get ICD-11 codes
-    const icd11Codes = await req.icd11Service.getStoredICD11Codes(1000);
+    const icd11Codes = await req.icd11Service.getMatchCandidates(1000, release);
     
     if (icd11Codes.length === 0) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: 'No ICD-11 codes available. Please sync ICD-11 codes first.'
+        message: `No ICD-11 codes available for release ${release.releaseId}. Please sync ICD-11 codes first.`
       });
     }
     
@@ -195,13 +204,14 @@ router.post('/find-similar', async (req, res) => {
     
     res.json({
       ayurveda_code: targetCode,
+      icd11Release: release.releaseId,
       matches,
       total_matches: matches.length
     });
     
   } catch (error) {
-    res.status(500).json({
-      error: 'Internal Server Error',
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: error.name === 'ValidationError' ? 'Bad Request' : 'Internal Server Error',
       message: error.message
     });
   }
@@ -32,10 +32,64 @@ router.get('/lookup', async (req, res) => {
   }
 });
 
-router.get('/translate', async (req, res) => {
+// Ranked type-ahead search across NAMASTE and stored ICD-11 codes
+router.get('/autocomplete', async (req, res) => {
+  try {
+    const { q, limit = 10, system, specialty, tm2Type, facets = 'false' } = req.query;
+
+    if (!q) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Query parameter "q" is required'
+      });
+    }
+
+    const result = await req.searchService.autocomplete(q, {
+      limit,
+      system,
+      specialty,
+      tm2Type,
+      includeFacets: facets.toLowerCase() === 'true'
+    });
+
+    res.json(result);
+  } catch (error) {
+    const invalid = error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).json({
+      error: invalid ? 'Bad Request' : 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Browse the NAMASTE hierarchy: a concept with its ancestors and children,
+// or the root concepts when no code is given
+router.get('/browse', async (req, res) => {
   try {
     const { code, system } = req.query;
 
+    const result = await req.codeSystemService.browseHierarchy(code, { system });
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Code ${code} not found`
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+router.get('/translate', async (req, res) => {
+  try {
+    const { code, system, version, targetsystem, reverse } = req.query;
+
     if (!code) {
       return res.status(400).json({
         error: 'Bad Request',
@@ -43,10 +97,15 @@ router.get('/translate', async (req, res) => {
       });
     }
 
-    const result = await req.conceptMapService.translateCode(
+    // reverse=true translates an ICD-11 code back to candidate NAMASTE codes
+    const isReverse = reverse === 'true';
+    const result = await req.conceptMapService.translate({
       code,
-      system || 'http://terminology.ayush.gov.in/CodeSystem/namaste'
-    );
+      system,
+      version,
+      targetSystem: targetsystem,
+      reverse: isReverse
+    });
 
     // Convert to simple format
     const matches = result.parameter
@@ -58,12 +117,14 @@ router.get('/translate', async (req, res) => {
           code: concept.valueCoding.code,
           display: concept.valueCoding.display,
           system: concept.valueCoding.system,
+          version: concept.valueCoding.version,
           equivalence: equivalence.valueCode
         };
       });
 
     res.json({
       sourceCode: code,
+      reverse: isReverse || system === 'http://id.who.int/icd/release/11/mms',
       matches
     });
   } catch (error) {
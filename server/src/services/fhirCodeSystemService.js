@@ -1,4 +1,128 @@
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const TerminologyImportParser = require('../utils/terminologyImportParser');
+const FullTextSearch = require('../utils/fullTextSearch');
+const NamasteHierarchy = require('../utils/namasteHierarchy');
+const ICD11Hierarchy = require('../utils/icd11Hierarchy');
+const { NAMASTE_URL, NAMASTE_SYSTEMS, isNamasteSystem, getNamasteSystemName, getCanonicalSystem } = require('../utils/namasteSystems');
+const { getDefaultReleaseId } = require('../utils/icd11Release');
+
+// Concept properties of NAMASTE codes usable in compose filters
+const NAMASTE_PROPERTIES = {
+  system: 'system_name',
+  system_name: 'system_name',
+  specialty: 'specialty',
+  ontology_branch: 'ontology_branch'
+};
+
+// Code systems a ValueSet compose clause can draw from, with the table
+// holding their concepts and the properties usable in compose filters.
+// Per-system NAMASTE CodeSystems are the umbrella table narrowed to one
+// system_name; ICD-11 is narrowed to one stored release (the clause's
+// version, or the deployment's release).
+const COMPOSE_SOURCES = {
+  [NAMASTE_URL]: {
+    table: 'namaste_codes',
+    fts: 'namaste_codes_fts',
+    orderBy: 'system_name, code',
+    parentColumn: 'parent_code',
+    properties: NAMASTE_PROPERTIES
+  },
+  ...Object.fromEntries(Object.entries(NAMASTE_SYSTEMS).map(([systemName, system]) => [
+    system.url,
+    {
+      table: 'namaste_codes',
+      fts: 'namaste_codes_fts',
+      systemName,
+      orderBy: 'code',
+      parentColumn: 'parent_code',
+      properties: NAMASTE_PROPERTIES
+    }
+  ])),
+  'http://id.who.int/icd/release/11/mms': {
+    table: 'icd11_codes',
+    fts: 'icd11_codes_fts',
+    releaseColumn: 'release_id',
+    orderBy: 'code',
+    properties: {
+      chapter: 'chapter',
+      block: 'block',
+      category: 'category',
+      tm2_type: 'tm2_type'
+    }
+  }
+};
+
+// Hierarchy filter operators on the 'concept' property: is-a includes the
+// concept itself, descendent-of only the concepts below it
+const HIERARCHY_FILTER_OPS = ['is-a', 'descendent-of'];
+
+// The concepts of a published NAMASTE release (its stored CodeSystem,
+// bound by resource id) in the shape of namaste_codes rows, so compose
+// clauses pinned to a release are queried like the live table
+const releasedProperty = (code, value = 'valueString') => `(
+  SELECT json_extract(property.value, '$.${value}') FROM json_each(concept.value, '$.property') AS property
+  WHERE json_extract(property.value, '$.code') = '${code}'
+)`;
+const RELEASED_CONCEPTS_SQL = `
+  SELECT json_extract(concept.value, '$.code') AS code,
+    json_extract(concept.value, '$.display') AS display,
+    COALESCE(${releasedProperty('status', 'valueCode')}, 'active') AS status,
+    ${releasedProperty('system')} AS system_name,
+    ${releasedProperty('specialty')} AS specialty,
+    ${releasedProperty('ontology_branch')} AS ontology_branch,
+    ${releasedProperty('parent', 'valueCode')} AS parent_code
+  FROM fhir_resources, json_tree(fhir_resources.content, '$.concept') AS concept
+  WHERE fhir_resources.resource_id = ? AND fhir_resources.resource_type = 'CodeSystem'
+    AND concept.type = 'object' AND concept.path LIKE '%concept'
+`;
+
+// Optional namaste_codes columns accepted from CSV and workbook imports
+const OPTIONAL_IMPORT_COLUMNS = [
+  'description',
+  'synonyms',
+  'ontology_branch',
+  'namc_id',
+  'namc_term',
+  'short_definition',
+  'long_definition',
+  'name_english',
+  'name_english_under_index',
+  'primary_index_related'
+];
+
+// Import rows written per transaction
+const INGEST_BATCH_SIZE = 500;
+
+// NAMASTE Ayurveda morbidity workbook shipped at the repository root
+const DEFAULT_WORKBOOK_PATH = process.env.NAMASTE_WORKBOOK_PATH ||
+  path.join(__dirname, '..', '..', '..', 'AyurvedaMorbidityCodes.xls');
+
+// Version of the live NAMASTE CodeSystems, regenerated on every change.
+// Published releases are frozen copies carrying their release version.
+const CURRENT_VERSION = 'current';
+
+// Lifecycle statuses of NAMASTE codes. Deprecated codes remain valid but
+// should not be used in new records; retired codes are inactive.
+const CODE_STATUSES = ['active', 'deprecated', 'retired'];
+
+// Concept properties declared by the generated NAMASTE CodeSystems
+const CONCEPT_PROPERTY_DEFINITIONS = [
+  { code: 'system', description: 'AYUSH system (Ayurveda, Siddha, Unani)', type: 'string' },
+  { code: 'specialty', description: 'Clinical specialty', type: 'string' },
+  { code: 'ontology_branch', description: 'NAMASTE ontology branch', type: 'string' },
+  { code: 'parent', uri: 'http://hl7.org/fhir/concept-properties#parent', description: 'Parent concept in the NAMASTE hierarchy', type: 'code' },
+  { code: 'child', uri: 'http://hl7.org/fhir/concept-properties#child', description: 'Child concept in the NAMASTE hierarchy', type: 'code' },
+  { code: 'status', uri: 'http://hl7.org/fhir/concept-properties#status', description: 'Lifecycle status: active, deprecated or retired', type: 'code' },
+  { code: 'inactive', uri: 'http://hl7.org/fhir/concept-properties#inactive', description: 'True for retired codes', type: 'boolean' },
+  { code: 'deprecated', uri: 'http://hl7.org/fhir/concept-properties#deprecated', description: 'Date the code was deprecated', type: 'dateTime' },
+  { code: 'retirementDate', uri: 'http://hl7.org/fhir/concept-properties#retirementDate', description: 'Date the code was retired', type: 'dateTime' },
+  { code: 'replacedBy', description: 'Code to use instead of this one', type: 'code' },
+  { code: 'comment', uri: 'http://hl7.org/fhir/concept-properties#comment', description: 'Reason for the status change', type: 'string' }
+];
+
+// FHIR designation use for alternative display forms
+const DESIGNATION_USAGE = 'http://terminology.hl7.org/CodeSystem/designation-usage';
 
 class FHIRCodeSystemService {
   constructor(database) {
@@ -6,22 +130,56 @@ class FHIRCodeSystemService {
   }
 
   /**
-   * Create FHIR CodeSystem for NAMASTE codes
+   * Ids of the generated NAMASTE CodeSystems: the umbrella and one per system
+   */
+  getNAMASTECodeSystemIds() {
+    return ['namaste-ayush-codes', ...Object.values(NAMASTE_SYSTEMS).map(system => system.id)];
+  }
+
+  /**
+   * Rederive the hierarchy, then regenerate the umbrella and per-system
+   * NAMASTE CodeSystems
+   */
+  async createNAMASTECodeSystems() {
+    await this.rebuildHierarchy();
+    await this.createNAMASTECodeSystem();
+    for (const systemName of Object.keys(NAMASTE_SYSTEMS)) {
+      await this.createNAMASTECodeSystem(systemName);
+    }
+  }
+
+  /**
+   * Create FHIR CodeSystem for NAMASTE codes. Without a system name this is
+   * the umbrella CodeSystem over all AYUSH systems; with one (Ayurveda,
+   * Siddha, Unani) it is that system's own NAMC/NSMC/NUMC CodeSystem.
    */
-  async createNAMASTECodeSystem() {
+  async createNAMASTECodeSystem(systemName) {
+    const definition = systemName
+      ? {
+        ...NAMASTE_SYSTEMS[systemName],
+        description: `${NAMASTE_SYSTEMS[systemName].title}: the ${systemName} part of the NAMASTE (National AYUSH Morbidity and Standardized Terminologies Electronic) terminology.`
+      }
+      : {
+        id: 'namaste-ayush-codes',
+        url: NAMASTE_URL,
+        name: 'NAMASTEAyushCodes',
+        title: 'NAMASTE AYUSH Terminology Codes',
+        description: 'NAMASTE (National AYUSH Morbidity and Standardized Terminologies Electronic) code system for Ayurveda, Siddha, and Unani medical terminologies. Umbrella over the NAMC, NSMC and NUMC code systems, which publish the same codes per system.'
+      };
+
     const codeSystem = {
       resourceType: 'CodeSystem',
-      id: 'namaste-ayush-codes',
-      url: 'http://terminology.ayush.gov.in/CodeSystem/namaste',
+      id: definition.id,
+      url: definition.url,
       identifier: [
         {
           system: 'http://terminology.ayush.gov.in/identifier',
-          value: 'namaste-ayush-codes'
+          value: definition.id
         }
       ],
-      version: '1.0.0',
-      name: 'NAMASTEAyushCodes',
-      title: 'NAMASTE AYUSH Terminology Codes',
+      version: CURRENT_VERSION,
+      name: definition.name,
+      title: definition.title,
       status: 'active',
       experimental: false,
       date: new Date().toISOString(),
@@ -36,7 +194,7 @@ class FHIRCodeSystemService {
           ]
         }
       ],
-      description: 'NAMASTE (National AYUSH Morbidity and Standardized Terminologies Electronic) code system for Ayurveda, Siddha, and Unani medical terminologies.',
+      description: definition.description,
       jurisdiction: [
         {
           coding: [
@@ -56,22 +214,35 @@ class FHIRCodeSystemService {
       versionNeeded: false,
       content: 'complete',
       count: 0, // Will be updated with actual count
+      property: CONCEPT_PROPERTY_DEFINITIONS,
       concept: []
     };
 
-    // Get all NAMASTE codes from database
+    // Get the NAMASTE codes (of one system, if given) from database,
+    // deprecated and retired ones included so that old records still resolve
     const namastelCodes = await this.db.all(`
-      SELECT code, display, system_name, specialty, description, status 
+      SELECT code, display, system_name, specialty, description, ontology_branch,
+        status, status_reason, status_date, replaced_by, parent_code
       FROM namaste_codes 
-      WHERE status = 'active'
+      ${systemName ? 'WHERE system_name = ?' : ''}
       ORDER BY system_name, code
-    `);
+    `, systemName ? [systemName] : []);
+
+    const designations = await this.getConceptDesignations(namastelCodes.map(code => code.code));
+
+    const children = new Map();
+    namastelCodes.forEach(code => {
+      if (code.parent_code) {
+        children.set(code.parent_code, [...(children.get(code.parent_code) || []), code.code]);
+      }
+    });
 
     // Convert to FHIR concept format
-    codeSystem.concept = namastelCodes.map(code => ({
+    const concepts = namastelCodes.map(code => ({
       code: code.code,
       display: code.display,
       definition: code.description,
+      ...(designations[code.code] ? { designation: designations[code.code] } : {}),
       property: [
         {
           code: 'system',
@@ -80,26 +251,41 @@ class FHIRCodeSystemService {
         {
           code: 'specialty',
           valueString: code.specialty
-        }
+        },
+        ...(code.ontology_branch ? [{ code: 'ontology_branch', valueString: code.ontology_branch }] : []),
+        ...(code.parent_code ? [{ code: 'parent', valueCode: code.parent_code }] : []),
+        ...(children.get(code.code) || []).map(child => ({ code: 'child', valueCode: child })),
+        // Active concepts carry no lifecycle properties
+        ...(code.status !== 'active' ? this.buildLifecycleProperties(code) : [])
       ]
     }));
 
-    codeSystem.count = codeSystem.concept.length;
+    // Nest child concepts under their parents
+    const byCode = new Map(concepts.map(concept => [concept.code, concept]));
+    namastelCodes.forEach((code, i) => {
+      const parent = code.parent_code && byCode.get(code.parent_code);
+      if (parent) {
+        parent.concept = [...(parent.concept || []), concepts[i]];
+      }
+    });
+
+    codeSystem.concept = concepts.filter((concept, i) => !byCode.has(namastelCodes[i].parent_code));
+    codeSystem.count = concepts.length;
 
     // Store in FHIR resources table
     await this.db.run(`
       INSERT OR REPLACE INTO fhir_resources (resource_id, resource_type, content, updated_at)
       VALUES (?, ?, ?, CURRENT_TIMESTAMP)
-    `, ['namaste-ayush-codes', 'CodeSystem', JSON.stringify(codeSystem)]);
+    `, [definition.id, 'CodeSystem', JSON.stringify(codeSystem)]);
 
     return codeSystem;
   }
 
   /**
-   * Create FHIR ValueSet for NAMASTE codes
+   * Build the definition of the built-in NAMASTE ValueSet
    */
-  async createNAMASTEValueSet(filter = {}) {
-    const valueSet = {
+  buildNAMASTEValueSetDefinition() {
+    return {
       resourceType: 'ValueSet',
       id: 'namaste-ayush-valueset',
       url: 'http://terminology.ayush.gov.in/ValueSet/namaste-all',
@@ -134,196 +320,1633 @@ class FHIRCodeSystemService {
             system: 'http://terminology.ayush.gov.in/CodeSystem/namaste'
           }
         ]
-      },
-      expansion: {
-        identifier: uuidv4(),
-        timestamp: new Date().toISOString(),
-        total: 0,
-        contains: []
       }
     };
+  }
 
-    // Build query based on filter
-    let query = `
-      SELECT code, display, system_name, specialty, description 
-      FROM namaste_codes 
-      WHERE status = 'active'
-    `;
+  /**
+   * Create FHIR ValueSet for NAMASTE codes
+   */
+  async createNAMASTEValueSet(filter = {}) {
+    const valueSet = await this.getValueSet('namaste-ayush-valueset');
+    return this.expandValueSet(valueSet, filter);
+  }
+
+  /**
+   * Build the query selecting the concepts of one compose include/exclude
+   * clause. Options narrow it further: free text, a single code, the
+   * NAMASTE system/specialty shortcuts accepted by $expand and the
+   * systemName of a per-system NAMASTE coding. Inactive
+   * concepts are left out unless activeOnly is false.
+   */
+  buildComposeQuery(clause, options = {}) {
+    const source = this.getComposeSource(clause);
     const params = [];
 
-    if (filter.system) {
+    // Text filters go through the full-text index and rank by BM25
+    // (display weighted above synonyms, descriptions lowest). Released
+    // concepts have no index and match on their display.
+    const matchQuery = options.text && source.fts ? FullTextSearch.buildMatchQuery(options.text) : null;
+
+    let query = '';
+    if (source.releaseResourceId) {
+      query += `WITH ${source.table} AS (${RELEASED_CONCEPTS_SQL})`;
+      params.push(source.releaseResourceId);
+    }
+
+    query += `
+      SELECT code, display, status 
+      FROM ${source.table} 
+    `;
+
+    if (matchQuery) {
+      query += `
+      JOIN (
+        SELECT rowid AS match_id, bm25(${source.fts}, 0, 10, 1, 5) AS rank
+        FROM ${source.fts}
+        WHERE ${source.fts} MATCH ?
+      ) ON match_id = id
+      `;
+      params.push(matchQuery);
+    }
+
+    query += ` WHERE ${options.activeOnly === false ? '1 = 1' : "status = 'active'"}`;
+
+    if (options.text && !source.fts) {
+      FullTextSearch.tokenize(options.text).forEach(token => {
+        query += ' AND LOWER(display) LIKE ?';
+        params.push(`%${token}%`);
+      });
+    }
+
+    if (source.systemName) {
       query += ' AND system_name = ?';
-      params.push(filter.system);
+      params.push(source.systemName);
     }
 
-    if (filter.specialty) {
-      query += ' AND specialty = ?';
-      params.push(filter.specialty);
+    if (source.releaseColumn) {
+      query += ` AND ${source.releaseColumn} = ?`;
+      params.push(clause.version || getDefaultReleaseId());
     }
 
-    if (filter.text) {
-      query += ' AND (display LIKE ? OR description LIKE ?)';
-      params.push(`%${filter.text}%`, `%${filter.text}%`);
+    if (clause.concept) {
+      query += ` AND code IN (${clause.concept.map(() => '?').join(', ') || 'NULL'})`;
+      params.push(...clause.concept.map(concept => concept.code));
     }
 
-    query += ' ORDER BY system_name, code';
+    (clause.filter || []).forEach(propertyFilter => {
+      const column = source.properties[propertyFilter.property];
+      if (HIERARCHY_FILTER_OPS.includes(propertyFilter.op)) {
+        // Descendants via the parent links; UNION stops on any cycle
+        query += ` AND code IN (
+          WITH RECURSIVE descendants(code) AS (
+            SELECT code FROM ${source.table} WHERE ${source.parentColumn} = ?
+            UNION
+            SELECT child.code FROM ${source.table} child
+            JOIN descendants ON child.${source.parentColumn} = descendants.code
+          )
+          SELECT code FROM descendants${propertyFilter.op === 'is-a' ? ' UNION SELECT ?' : ''}
+        )`;
+        params.push(...(propertyFilter.op === 'is-a' ? [propertyFilter.value, propertyFilter.value] : [propertyFilter.value]));
+      } else if (propertyFilter.op === 'in') {
+        const values = String(propertyFilter.value).split(',').map(value => value.trim());
+        query += ` AND ${column} IN (${values.map(() => '?').join(', ')})`;
+        params.push(...values);
+      } else {
+        query += ` AND ${column} = ?`;
+        params.push(propertyFilter.value);
+      }
+    });
 
-    const codes = await this.db.all(query, params);
+    if (source.properties === NAMASTE_PROPERTIES) {
+      // The per-system CodeSystem a coding names
+      if (options.systemName) {
+        query += ' AND system_name = ?';
+        params.push(options.systemName);
+      }
 
-    // Convert to ValueSet expansion format
-    valueSet.expansion.contains = codes.map(code => ({
-      system: 'http://terminology.ayush.gov.in/CodeSystem/namaste',
-      code: code.code,
-      display: code.display
-    }));
+      if (options.system) {
+        query += ' AND system_name = ?';
+        params.push(options.system);
+      }
+
+      if (options.specialty) {
+        query += ' AND specialty = ?';
+        params.push(options.specialty);
+      }
+    }
+
+    if (options.code) {
+      query += ' AND code = ?';
+      params.push(options.code);
+    }
 
-    valueSet.expansion.total = valueSet.expansion.contains.length;
+    query += ` ORDER BY ${matchQuery ? 'rank, ' : ''}${source.orderBy}`;
 
-    return valueSet;
+    return { query, params };
   }
 
   /**
-   * Ingest NAMASTE codes from CSV data
+   * Where a compose clause's concepts come from: its code system's table,
+   * or for a NAMASTE clause pinned to a published release, that release's
+   * stored CodeSystem
    */
-  async ingestCSV(csvData) {
-    const results = {
-      processed: 0,
-      inserted: 0,
-      updated: 0,
-      errors: []
+  getComposeSource(clause) {
+    const source = COMPOSE_SOURCES[clause.system];
+    if (source.releaseColumn || !this.isReleaseVersion(clause.version)) {
+      return source;
+    }
+
+    return {
+      ...source,
+      table: 'released_concepts',
+      fts: null,
+      releaseResourceId: this.getReleaseId(clause.system, clause.version)
     };
+  }
+
+  /**
+   * Parse system-version parameters (system|version, one per code
+   * system) into versions keyed by system. NAMASTE releases are published
+   * for the umbrella and every per-system CodeSystem at once, so NAMASTE
+   * URLs are keyed under the umbrella.
+   */
+  parseSystemVersions(values) {
+    const systemVersions = {};
 
-    for (const row of csvData) {
-      try {
-        results.processed++;
+    [].concat(values || []).forEach(value => {
+      const separator = String(value).lastIndexOf('|');
+      if (separator <= 0 || separator === String(value).length - 1) {
+        throw this.createValidationError(`Invalid system-version '${value}'; expected system|version`);
+      }
+      systemVersions[getCanonicalSystem(value.slice(0, separator))] = value.slice(separator + 1);
+    });
 
-        const { code, display, system, specialty, description } = row;
+    return systemVersions;
+  }
 
-        if (!code || !display || !system) {
-          results.errors.push(`Row ${results.processed}: Missing required fields (code, display, system)`);
-          continue;
-        }
+  /**
+   * Fill in the version of compose clauses that name none from
+   * system-version defaults, checking that every NAMASTE release a clause
+   * is pinned to was published
+   */
+  async pinComposeVersions(compose, systemVersions = {}) {
+    const pin = async (clause) => {
+      const version = clause.version || systemVersions[getCanonicalSystem(clause.system)];
+      if (!version) {
+        return clause;
+      }
 
-        // Check if code already exists
-        const existing = await this.db.get('SELECT id FROM namaste_codes WHERE code = ?', [code]);
+      if (isNamasteSystem(clause.system) && this.isReleaseVersion(version) && !(await this.getRelease(version))) {
+        throw this.createValidationError(`No release '${version}' of code system '${clause.system}'`);
+      }
+      return { ...clause, version };
+    };
 
-        if (existing) {
-          // Update existing
-          await this.db.run(`
-            UPDATE namaste_codes 
-            SET display = ?, system_name = ?, specialty = ?, description = ?, updated_at = CURRENT_TIMESTAMP
-            WHERE code = ?
-          `, [display, system, specialty || 'General Medicine', description, code]);
-          results.updated++;
-        } else {
-          // Insert new
-          await this.db.run(`
-            INSERT INTO namaste_codes (code, display, system_name, specialty, description)
-            VALUES (?, ?, ?, ?, ?)
-          `, [code, display, system, specialty || 'General Medicine', description]);
-          results.inserted++;
+    return {
+      ...compose,
+      include: await Promise.all(compose.include.map(pin)),
+      exclude: await Promise.all((compose.exclude || []).map(pin))
+    };
+  }
+
+  /**
+   * Check a ValueSet definition against the compose features this server
+   * can evaluate, throwing a ValidationError describing the first problem
+   */
+  validateValueSetDefinition(valueSet) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.name = 'ValidationError';
+      throw error;
+    };
+
+    if (!valueSet || valueSet.resourceType !== 'ValueSet') {
+      fail('Resource must be a FHIR ValueSet');
+    }
+
+    const include = (valueSet.compose && valueSet.compose.include) || [];
+    if (include.length === 0) {
+      fail('ValueSet.compose.include must contain at least one clause');
+    }
+
+    const clauses = [...include, ...(valueSet.compose.exclude || [])];
+    clauses.forEach(clause => {
+      const source = COMPOSE_SOURCES[clause.system];
+      if (!source) {
+        fail(`Unsupported code system in compose: '${clause.system}'`);
+      }
+
+      (clause.filter || []).forEach(propertyFilter => {
+        if (HIERARCHY_FILTER_OPS.includes(propertyFilter.op)) {
+          if (propertyFilter.property !== 'concept' || !source.parentColumn) {
+            fail(`Filter '${propertyFilter.op}' needs the 'concept' property of a hierarchical code system`);
+          }
+          return;
+        }
+        if (!source.properties[propertyFilter.property]) {
+          fail(`Unsupported filter property '${propertyFilter.property}' for system '${clause.system}'`);
+        }
+        if (!['=', 'in'].includes(propertyFilter.op)) {
+          fail(`Unsupported filter operator '${propertyFilter.op}'`);
         }
+      });
+    });
+  }
+
+  /**
+   * Expand a ValueSet from its compose definition. Excluded concepts are
+   * removed and concepts included by several clauses appear once, with
+   * NAMASTE codes matched across the umbrella and per-system URLs. The
+   * full match count is reported in expansion.total while count/offset
+   * select the page returned in expansion.contains.
+   */
+  async expandValueSet(valueSet, options = {}) {
+    this.validateValueSetDefinition(valueSet);
+
+    const activeOnly = options.activeOnly !== false;
+    const offset = options.offset || 0;
+    const compose = await this.pinComposeVersions(valueSet.compose, options.systemVersions);
+
+    const { total, page } = this.isSingleClauseCompose(valueSet)
+      ? await this.selectSingleClausePage(compose.include[0], { ...options, activeOnly, offset })
+      : await this.selectComposePage(compose, { ...options, activeOnly, offset });
+
+    const designations = (options.includeDesignations || options.displayLanguage)
+      ? await this.getDesignations(page)
+      : {};
+
+    const contains = page.map(({ system, version, row }) => {
+      const concept = {
+        system,
+        ...(version ? { version } : {}),
+        code: row.code,
+        display: row.display
+      };
 
-      } catch (error) {
-        results.errors.push(`Row ${results.processed}: ${error.message}`);
+      const conceptDesignations = designations[`${system}|${row.code}`] || [];
+      const preferred = this.selectDesignation(conceptDesignations, options.displayLanguage);
+      if (preferred) {
+        concept.display = preferred.value;
       }
+
+      if (this.isInactiveStatus(row.status)) {
+        concept.inactive = true;
+      }
+
+      if (options.includeDesignations && conceptDesignations.length > 0) {
+        concept.designation = conceptDesignations;
+      }
+
+      return concept;
+    });
+
+    const parameter = [];
+    if (options.text) parameter.push({ name: 'filter', valueString: options.text });
+    if (options.count !== undefined) parameter.push({ name: 'count', valueInteger: options.count });
+    if (offset) parameter.push({ name: 'offset', valueInteger: offset });
+    if (!activeOnly) parameter.push({ name: 'activeOnly', valueBoolean: false });
+    if (options.includeDesignations) parameter.push({ name: 'includeDesignations', valueBoolean: true });
+    if (options.displayLanguage) parameter.push({ name: 'displayLanguage', valueCode: options.displayLanguage });
+    Object.entries(options.systemVersions || {}).forEach(([system, version]) => {
+      parameter.push({ name: 'system-version', valueUri: `${system}|${version}` });
+    });
+
+    const expansion = {
+      identifier: uuidv4(),
+      timestamp: new Date().toISOString(),
+      total,
+      offset,
+      contains
+    };
+
+    if (parameter.length > 0) {
+      expansion.parameter = parameter;
     }
 
-    // Regenerate CodeSystem after CSV import
-    if (results.inserted > 0 || results.updated > 0) {
-      await this.createNAMASTECodeSystem();
+    return { ...valueSet, expansion };
+  }
+
+  isSingleClauseCompose(valueSet) {
+    return valueSet.compose.include.length === 1 && (valueSet.compose.exclude || []).length === 0;
+  }
+
+  /**
+   * Page through a single include clause in SQL, counting its matches in
+   * a separate query, so a page costs no more than the rows it returns
+   */
+  async selectSingleClausePage(clause, options) {
+    const { query, params } = this.buildComposeQuery(clause, options);
+    const version = this.getClauseVersion(clause);
+
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM (${query})`, params);
+    // LIMIT -1 is no limit
+    const rows = await this.db.all(`${query} LIMIT ? OFFSET ?`, [
+      ...params,
+      options.count === undefined ? -1 : options.count,
+      options.offset
+    ]);
+
+    return {
+      total,
+      page: rows.map(row => ({ system: clause.system, version, row }))
+    };
+  }
+
+  /**
+   * Merge the matches of several include clauses, less the excluded
+   * concepts, and take the requested page
+   */
+  async selectComposePage(compose, options) {
+    const excluded = new Set();
+    for (const clause of compose.exclude || []) {
+      const { query, params } = this.buildComposeQuery(clause, { activeOnly: false });
+      const rows = await this.db.all(query, params);
+      rows.forEach(row => excluded.add(`${getCanonicalSystem(clause.system)}|${row.code}`));
     }
 
-    return results;
+    const matches = [];
+    const seen = new Set();
+    for (const clause of compose.include) {
+      const { query, params } = this.buildComposeQuery(clause, options);
+      const rows = await this.db.all(query, params);
+      const version = this.getClauseVersion(clause);
+
+      rows.forEach(row => {
+        const key = `${getCanonicalSystem(clause.system)}|${row.code}`;
+        if (excluded.has(key) || seen.has(key)) return;
+        seen.add(key);
+        matches.push({ system: clause.system, version, row });
+      });
+    }
+
+    return {
+      total: matches.length,
+      page: options.count === undefined
+        ? matches.slice(options.offset)
+        : matches.slice(options.offset, options.offset + options.count)
+    };
   }
 
   /**
-   * Get FHIR CodeSystem by ID
+   * Version the concepts of a clause carry: ICD-11 concepts name the
+   * release they were drawn from, NAMASTE concepts a published release
+   * they were read from
    */
-  async getCodeSystem(id) {
-    const result = await this.db.get(
-      'SELECT content FROM fhir_resources WHERE resource_id = ? AND resource_type = ?',
-      [id, 'CodeSystem']
+  getClauseVersion(clause) {
+    if (COMPOSE_SOURCES[clause.system].releaseColumn) {
+      return clause.version || getDefaultReleaseId();
+    }
+    return this.isReleaseVersion(clause.version) ? clause.version : undefined;
+  }
+
+  /**
+   * Collect the designations of expanded concepts, keyed by system|code.
+   * Every concept carries its preferred English display, followed by any
+   * stored NAMASTE designations (IAST and Devanagari Sanskrit terms).
+   */
+  async getDesignations(entries) {
+    const designations = {};
+    const stored = await this.getConceptDesignations(
+      entries
+        .filter(({ system }) => isNamasteSystem(system))
+        .map(({ row }) => row.code)
     );
 
-    if (result) {
-      return JSON.parse(result.content);
+    entries.forEach(({ system, row }) => {
+      const namasteDesignations = isNamasteSystem(system)
+        ? stored[row.code] || []
+        : [];
+
+      designations[`${system}|${row.code}`] = [
+        this.buildDisplayDesignation(row.display),
+        ...namasteDesignations
+      ];
+    });
+
+    return designations;
+  }
+
+  /**
+   * The preferred English display as a designation
+   */
+  buildDisplayDesignation(display) {
+    return {
+      language: 'en',
+      use: {
+        system: DESIGNATION_USAGE,
+        code: 'display'
+      },
+      value: display
+    };
+  }
+
+  /**
+   * Load stored designations of NAMASTE codes as FHIR designations, keyed
+   * by code. Codes without designations are left out.
+   */
+  async getConceptDesignations(codes) {
+    const designations = {};
+    if (codes.length === 0) {
+      return designations;
     }
 
-    // If not found in cache, try to generate it
-    if (id === 'namaste-ayush-codes') {
-      return await this.createNAMASTECodeSystem();
+    const rows = await this.db.all(`
+      SELECT code, language, use_code, value
+      FROM namaste_designations
+      WHERE code IN (${codes.map(() => '?').join(', ')})
+      ORDER BY code, language DESC
+    `, codes);
+
+    rows.forEach(row => {
+      designations[row.code] = designations[row.code] || [];
+      designations[row.code].push({
+        language: row.language,
+        use: {
+          system: DESIGNATION_USAGE,
+          code: row.use_code
+        },
+        value: row.value
+      });
+    });
+
+    return designations;
+  }
+
+  /**
+   * Pick the designation to display for a requested language. A bare
+   * language ("sa") matches any script variant ("sa-Latn", "sa-Deva").
+   */
+  selectDesignation(designations, displayLanguage) {
+    if (!displayLanguage) {
+      return null;
+    }
+
+    const language = displayLanguage.toLowerCase();
+    return designations.find(designation => designation.language.toLowerCase() === language) ||
+      designations.find(designation => designation.language.toLowerCase().startsWith(`${language}-`)) ||
+      null;
+  }
+
+  /**
+   * Designations carried by an import row. Profile-mapped rows carry a
+   * designations list; plain rows may use the NAMASTE workbook columns:
+   * IAST transliteration (sa-Latn, falling back to the plain term) and
+   * Devanagari (sa-Deva)
+   */
+  collectDesignations(row) {
+    const designations = row.designations || [
+      { language: 'sa-Latn', value: row.namc_term_diacritical || row.namc_term },
+      { language: 'sa-Deva', value: row.namc_term_devanagari }
+    ];
+    return designations.filter(designation => designation.value);
+  }
+
+  /**
+   * Store the designations of a NAMASTE code from an import row
+   */
+  async saveDesignations(code, row) {
+    for (const { language, value } of this.collectDesignations(row)) {
+      await this.db.run(`
+        INSERT INTO namaste_designations (code, language, value)
+        VALUES (?, ?, ?)
+        ON CONFLICT(code, language, use_code) DO UPDATE SET value = excluded.value
+      `, [code, language, value]);
+    }
+  }
+
+  /**
+   * Find a concept in a ValueSet, honouring its exclude clauses. A NAMASTE
+   * coding is matched by clauses on the umbrella or on its own system's
+   * URL, a per-system URL narrowing the match to that system. Clauses
+   * naming no version take theirs from options.systemVersions.
+   */
+  async findValueSetMember(valueSet, system, code, options = {}) {
+    const compose = await this.pinComposeVersions(valueSet.compose, options.systemVersions);
+    const clausesFor = (clauses) => (clauses || [])
+      .filter(clause => getCanonicalSystem(clause.system) === getCanonicalSystem(system));
+    const systemName = getNamasteSystemName(system);
+    const narrow = systemName ? { systemName } : {};
+
+    const excluded = await Promise.all(
+      clausesFor(compose.exclude).map(clause => {
+        const { query, params } = this.buildComposeQuery(clause, { ...narrow, code, activeOnly: false });
+        return this.db.get(query, params);
+      })
+    );
+    if (excluded.some(Boolean)) {
+      return null;
+    }
+
+    for (const clause of clausesFor(compose.include)) {
+      const { query, params } = this.buildComposeQuery(clause, { ...options, ...narrow, code });
+      const member = await this.db.get(query, params);
+      if (member) {
+        return { ...member, version: this.getClauseVersion(clause) };
+      }
     }
 
     return null;
   }
 
   /**
-   * Lookup codes in the CodeSystem
+   * Resolve a ValueSet reference: an inline resource, a stored id, or a
+   * canonical URL (optionally pinned to a version). The namaste-all URL
+   * also accepts system, specialty and filter query parameters, e.g.
+   * .../ValueSet/namaste-all?system=Siddha. Returns null when not found.
    */
-  async lookupCode(system, code) {
-    if (system !== 'http://terminology.ayush.gov.in/CodeSystem/namaste') {
-      throw new Error('Unsupported code system');
+  async resolveValueSet({ id, url, version, valueSet }) {
+    if (valueSet) {
+      this.validateValueSetDefinition(valueSet);
+      return { valueSet, options: {} };
     }
 
-    const result = await this.db.get(`
-      SELECT code, display, system_name, specialty, description 
-      FROM namaste_codes 
-      WHERE code = ? AND status = 'active'
-    `, [code]);
+    if (id) {
+      const stored = await this.getValueSet(id);
+      return stored ? { valueSet: stored, options: {} } : null;
+    }
 
-    if (!result) {
+    const [baseUrl, queryString] = (url || '').split('?');
+    const stored = await this.findValueSetByUrl(baseUrl, version);
+    if (!stored) {
       return null;
     }
 
-    return {
-      resourceType: 'Parameters',
-      parameter: [
-        {
-          name: 'code',
-          valueCode: result.code
-        },
-        {
-          name: 'system',
-          valueUri: 'http://terminology.ayush.gov.in/CodeSystem/namaste'
-        },
-        {
-          name: 'display',
-          valueString: result.display
-        },
-        {
-          name: 'definition',
-          valueString: result.description
-        },
-        {
-          name: 'property',
-          part: [
-            {
-              name: 'code',
-              valueCode: 'system'
-            },
-            {
-              name: 'value',
-              valueString: result.system_name
-            }
-          ]
-        },
-        {
-          name: 'property',
-          part: [
-            {
-              name: 'code',
-              valueCode: 'specialty'
-            },
-            {
-              name: 'value',
-              valueString: result.specialty
-            }
-          ]
-        }
-      ]
-    };
+    const search = new URLSearchParams(queryString || '');
+    const options = {};
+    if (search.get('system')) options.system = search.get('system');
+    if (search.get('specialty')) options.specialty = search.get('specialty');
+    if (search.get('filter')) options.text = search.get('filter');
+
+    return { valueSet: stored, options };
   }
-}
+
+  /**
+   * Check whether a coding or CodeableConcept is a member of a ValueSet,
+   * with code systems pinned to the versions in systemVersions (see
+   * parseSystemVersions) or the coding's own version. Returns null when
+   * the ValueSet cannot be resolved.
+   */
+  async validateValueSetCode({ id, url, version, valueSet, system, code, display, coding, codeableConcept, systemVersions = {} }) {
+    const resolved = await this.resolveValueSet({ id, url, version, valueSet });
+    if (!resolved) {
+      return null;
+    }
+
+    const codings = this.collectCodings({ system, code, display, coding, codeableConcept });
+    const valueSetName = url || resolved.valueSet.url || resolved.valueSet.id || 'inline ValueSet';
+    let result = this.buildValidationResult(false, 'No coding supplied to validate');
+
+    for (const candidate of codings) {
+      // A coding's own version pins its code system, as recorded at the time
+      const member = await this.findValueSetMember(
+        resolved.valueSet,
+        candidate.system,
+        candidate.code,
+        {
+          ...resolved.options,
+          systemVersions: candidate.version
+            ? { ...systemVersions, [getCanonicalSystem(candidate.system)]: candidate.version }
+            : systemVersions
+        }
+      );
+
+      if (!member) {
+        result = this.buildValidationResult(
+          false,
+          `Code '${candidate.code}' from system '${candidate.system}' is not in value set '${valueSetName}'`,
+          { system: candidate.system, code: candidate.code }
+        );
+        continue;
+      }
+
+      const details = {
+        system: candidate.system,
+        version: member.version,
+        code: member.code,
+        display: member.display
+      };
+
+      if (candidate.display && candidate.display.trim().toLowerCase() !== member.display.trim().toLowerCase()) {
+        result = this.buildValidationResult(
+          false,
+          `Display '${candidate.display}' does not match the display for code '${member.code}': expected '${member.display}'`,
+          details
+        );
+        continue;
+      }
+
+      return this.buildValidationResult(true, null, details);
+    }
+
+    return result;
+  }
+
+  /**
+   * Rederive the parent of every NAMASTE code from its ontology branch,
+   * index columns and code structure, storing only the links that changed
+   */
+  async rebuildHierarchy() {
+    const rows = await this.db.all(`
+      SELECT code, display, system_name, ontology_branch, name_english,
+        name_english_under_index, primary_index_related, parent_code
+      FROM namaste_codes
+    `);
+    const parents = NamasteHierarchy.buildParents(rows);
+    const changed = rows.filter(row => (row.parent_code || null) !== parents.get(row.code));
+
+    if (changed.length === 0) {
+      return;
+    }
+
+    await this.db.transaction(async () => {
+      for (const row of changed) {
+        await this.db.run('UPDATE namaste_codes SET parent_code = ? WHERE code = ?', [parents.get(row.code), row.code]);
+      }
+    });
+  }
+
+  /**
+   * Browse the NAMASTE hierarchy: a concept with its ancestors (root
+   * first) and children, or the root concepts when no code is given.
+   * Returns null for unknown codes.
+   */
+  async browseHierarchy(code, { system } = {}) {
+    const withChildCount = `
+      SELECT code, display, system_name AS system, status,
+        (SELECT COUNT(*) FROM namaste_codes child WHERE child.parent_code = namaste_codes.code) AS childCount
+      FROM namaste_codes
+    `;
+
+    if (!code) {
+      const roots = await this.db.all(`
+        ${withChildCount}
+        WHERE parent_code IS NULL ${system ? 'AND system_name = ?' : ''}
+        ORDER BY system_name, code
+      `, system ? [system] : []);
+      return { concept: null, ancestors: [], children: roots };
+    }
+
+    const concept = await this.db.get(`${withChildCount} WHERE code = ?`, [code]);
+    if (!concept) {
+      return null;
+    }
+
+    const ancestors = await this.db.all(`
+      WITH RECURSIVE ancestors(code, depth) AS (
+        SELECT parent_code, 1 FROM namaste_codes WHERE code = ? AND parent_code IS NOT NULL
+        UNION
+        SELECT parent.parent_code, ancestors.depth + 1 FROM namaste_codes parent
+        JOIN ancestors ON parent.code = ancestors.code
+        WHERE parent.parent_code IS NOT NULL
+      )
+      SELECT namaste_codes.code, display, system_name AS system, status
+      FROM ancestors JOIN namaste_codes ON namaste_codes.code = ancestors.code
+      ORDER BY depth DESC
+    `, [code]);
+
+    const children = await this.db.all(`${withChildCount} WHERE parent_code = ? ORDER BY code`, [code]);
+
+    return { concept, ancestors, children };
+  }
+
+  /**
+   * Retired codes are inactive; deprecated codes are discouraged but active
+   */
+  isInactiveStatus(status) {
+    return status === 'retired';
+  }
+
+  /**
+   * FHIR concept properties describing a code's lifecycle: its status,
+   * whether it is inactive, when it was deprecated or retired, its
+   * replacement and the reason for the change
+   */
+  buildLifecycleProperties(row) {
+    const properties = [
+      { code: 'status', valueCode: row.status },
+      { code: 'inactive', valueBoolean: this.isInactiveStatus(row.status) }
+    ];
+
+    if (row.status_date && row.status === 'deprecated') {
+      properties.push({ code: 'deprecated', valueDateTime: row.status_date });
+    }
+    if (row.status_date && row.status === 'retired') {
+      properties.push({ code: 'retirementDate', valueDateTime: row.status_date });
+    }
+    if (row.replaced_by) {
+      properties.push({ code: 'replacedBy', valueCode: row.replaced_by });
+    }
+    if (row.status_reason) {
+      properties.push({ code: 'comment', valueString: row.status_reason });
+    }
+
+    return properties;
+  }
+
+  /**
+   * Describe a deprecated or retired code for $validate-code messages
+   */
+  describeStatus(row) {
+    let message = `Code '${row.code}' is ${row.status}`;
+    if (row.status_date) message += ` since ${row.status_date}`;
+    if (row.status_reason) message += ` (${row.status_reason})`;
+    if (row.replaced_by) message += `; use '${row.replaced_by}' instead`;
+    return message;
+  }
+
+  /**
+   * Change the lifecycle status of a NAMASTE code. Deprecating or retiring
+   * records a reason, an effective date (default today) and an optional
+   * replacement, which must be an active code; reactivating clears them.
+   * Returns null for unknown codes.
+   */
+  async setCodeStatus(code, status, { reason, effectiveDate, replacedBy } = {}) {
+    if (!CODE_STATUSES.includes(status)) {
+      throw this.createValidationError(`Unknown status '${status}'; expected one of ${CODE_STATUSES.join(', ')}`);
+    }
+
+    const concept = await this.db.get('SELECT code FROM namaste_codes WHERE code = ?', [code]);
+    if (!concept) {
+      return null;
+    }
+
+    if (status === 'active') {
+      await this.db.run(`
+        UPDATE namaste_codes
+        SET status = 'active', status_reason = NULL, status_date = NULL, replaced_by = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE code = ?
+      `, [code]);
+    } else {
+      if (effectiveDate && !/^\d{4}-\d{2}-\d{2}/.test(effectiveDate)) {
+        throw this.createValidationError(`Invalid effective date '${effectiveDate}'; expected YYYY-MM-DD`);
+      }
+
+      // Requiring an active replacement keeps replacement chains acyclic
+      if (replacedBy) {
+        const replacement = await this.db.get('SELECT code, status FROM namaste_codes WHERE code = ?', [replacedBy]);
+        if (!replacement) {
+          throw this.createValidationError(`Replacement code '${replacedBy}' not found`);
+        }
+        if (replacement.code === code || replacement.status !== 'active') {
+          throw this.createValidationError(`Replacement code '${replacedBy}' must be another active code`);
+        }
+      }
+
+      await this.db.run(`
+        UPDATE namaste_codes
+        SET status = ?, status_reason = ?, status_date = ?, replaced_by = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE code = ?
+      `, [
+        status,
+        reason || null,
+        effectiveDate || new Date().toISOString().slice(0, 10),
+        replacedBy || null,
+        code
+      ]);
+    }
+
+    await this.createNAMASTECodeSystems();
+
+    return this.db.get(`
+      SELECT code, display, system_name, status, status_reason AS reason,
+        status_date AS effectiveDate, replaced_by AS replacedBy
+      FROM namaste_codes WHERE code = ?
+    `, [code]);
+  }
+
+  createValidationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+
+  /**
+   * Ingest NAMASTE codes from CSV data
+   */
+  async ingestCSV(csvData) {
+    const results = {
+      processed: 0,
+      inserted: 0,
+      updated: 0,
+      errors: []
+    };
+
+    for (let i = 0; i < csvData.length; i += INGEST_BATCH_SIZE) {
+      await this.ingestBatch(csvData.slice(i, i + INGEST_BATCH_SIZE), results);
+    }
+
+    // Regenerate CodeSystems after CSV import
+    if (results.inserted > 0 || results.updated > 0) {
+      await this.createNAMASTECodeSystems();
+    }
+
+    return results;
+  }
+
+  /**
+   * Upsert one batch of import rows in a single transaction (part of the
+   * caller's, when one is open), adding to the running results. Optional
+   * columns a row leaves empty keep their stored values, so a plain CSV
+   * does not wipe what a workbook import stored. Does not regenerate the
+   * CodeSystems; callers do that once the whole import is written.
+   */
+  async ingestBatch(rows, results) {
+    const codes = rows.map(row => row.code).filter(Boolean);
+    const existing = new Set(codes.length === 0 ? [] : (await this.db.all(
+      `SELECT code FROM namaste_codes WHERE code IN (${codes.map(() => '?').join(', ')})`,
+      codes
+    )).map(row => row.code));
+
+    await this.db.transaction(async () => {
+      for (const row of rows) {
+        try {
+          results.processed++;
+
+          const { code, display, system, specialty } = row;
+
+          if (!code || !display || !system) {
+            results.errors.push(`Row ${results.processed}: Missing required fields (code, display, system)`);
+            continue;
+          }
+
+          const optional = OPTIONAL_IMPORT_COLUMNS.map(column => row[column] || null);
+
+          await this.db.run(`
+            INSERT INTO namaste_codes (code, display, system_name, specialty, ${OPTIONAL_IMPORT_COLUMNS.join(', ')})
+            VALUES (?, ?, ?, ?, ${OPTIONAL_IMPORT_COLUMNS.map(() => '?').join(', ')})
+            ON CONFLICT(code) DO UPDATE SET
+              display = excluded.display,
+              system_name = excluded.system_name,
+              specialty = excluded.specialty,
+              ${OPTIONAL_IMPORT_COLUMNS.map(column => `${column} = COALESCE(excluded.${column}, namaste_codes.${column})`).join(', ')},
+              updated_at = CURRENT_TIMESTAMP
+          `, [code, display, system, specialty || 'General Medicine', ...optional]);
+
+          if (existing.has(code)) {
+            results.updated++;
+          } else {
+            existing.add(code);
+            results.inserted++;
+          }
+
+          await this.saveDesignations(code, row);
+
+        } catch (error) {
+          results.errors.push(`Row ${results.processed}: ${error.message}`);
+        }
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Optional namaste_codes columns an import row may set
+   */
+  getImportColumns() {
+    return [...OPTIONAL_IMPORT_COLUMNS];
+  }
+
+  /**
+   * Read and map an XLS, XLSX or CSV terminology file through an import
+   * profile (a profile id from data/import-profiles or an inline profile
+   * object), without importing it. Defaults to the NAMASTE Ayurveda
+   * morbidity workbook.
+   */
+  readTerminologyFile(filePath = DEFAULT_WORKBOOK_PATH, profile = 'namaste-ayurveda') {
+    return {
+      source: path.basename(filePath),
+      rows: TerminologyImportParser.parseFile(filePath, profile)
+    };
+  }
+
+  /**
+   * Active NAMASTE codes with all stored columns, optionally a single code
+   */
+  async getNAMASTECodes(code) {
+    if (code) {
+      return this.db.all(
+        "SELECT * FROM namaste_codes WHERE code = ? AND status = 'active'",
+        [code]
+      );
+    }
+
+    return this.db.all("SELECT * FROM namaste_codes WHERE status = 'active' ORDER BY system_name, code");
+  }
+
+  /**
+   * Get FHIR CodeSystem by ID
+   */
+  async getCodeSystem(id) {
+    const result = await this.db.get(
+      'SELECT content FROM fhir_resources WHERE resource_id = ? AND resource_type = ?',
+      [id, 'CodeSystem']
+    );
+
+    if (result) {
+      const codeSystem = JSON.parse(result.content);
+      // Live CodeSystems cached before releases existed are regenerated
+      if (!this.getNAMASTECodeSystemIds().includes(id) || codeSystem.version === CURRENT_VERSION) {
+        return codeSystem;
+      }
+    }
+
+    // If not found in cache, try to generate it
+    if (this.getNAMASTECodeSystemIds().includes(id)) {
+      await this.rebuildHierarchy();
+    }
+
+    if (id === 'namaste-ayush-codes') {
+      return await this.createNAMASTECodeSystem();
+    }
+
+    const systemName = Object.keys(NAMASTE_SYSTEMS).find(name => NAMASTE_SYSTEMS[name].id === id);
+    if (systemName) {
+      return await this.createNAMASTECodeSystem(systemName);
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a code (and optional display) against NAMASTE or ICD-11.
+   * Accepts a bare system/code pair, a Coding or a CodeableConcept. A
+   * version validates against that published NAMASTE release.
+   */
+  async validateCode({ system, code, display, version, coding, codeableConcept }) {
+    const codings = this.collectCodings({ system, code, display, version, coding, codeableConcept });
+
+    if (codings.length === 0) {
+      return this.buildValidationResult(false, 'No coding supplied to validate');
+    }
+
+    // A CodeableConcept is valid when any of its codings is valid
+    let result = null;
+    for (const candidate of codings) {
+      result = await this.validateCoding(candidate);
+      if (result.parameter[0].valueBoolean) {
+        return result;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Normalise $validate-code inputs into a list of codings, throwing a
+   * ValidationError for a coding or codeableConcept that is not one
+   */
+  collectCodings({ system, code, display, version, coding, codeableConcept }) {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (codeableConcept) {
+      if (!isObject(codeableConcept) || !Array.isArray(codeableConcept.coding || [])
+        || !(codeableConcept.coding || []).every(isObject)) {
+        throw this.createValidationError('codeableConcept must be a CodeableConcept with a list of codings');
+      }
+      return (codeableConcept.coding || []).map(candidate => ({ version, ...candidate }));
+    }
+    if (coding) {
+      if (!isObject(coding)) {
+        throw this.createValidationError('coding must be a Coding');
+      }
+      return [{ version, ...coding }];
+    }
+    return [{ system, code, display, version }];
+  }
+
+  /**
+   * Validate a single coding against the matching code table, or against
+   * a published release when it names a version. ICD-11 versions name
+   * stored WHO releases.
+   */
+  async validateCoding({ system, code, display, version }) {
+    const source = COMPOSE_SOURCES[system];
+    if (!source) {
+      return this.buildValidationResult(false, `Unknown code system '${system}'`, { system, code });
+    }
+
+    const released = this.isReleaseVersion(version);
+    let concept;
+
+    if (source.releaseColumn) {
+      if (released && !(await this.hasICD11Release(version))) {
+        return this.buildValidationResult(false, `No release '${version}' of code system '${system}'`, { system, code, version });
+      }
+      concept = await this.db.get(
+        `SELECT * FROM ${source.table} WHERE code = ? AND ${source.releaseColumn} = ?`,
+        [code, released ? version : getDefaultReleaseId()]
+      );
+    } else if (released) {
+      if (!isNamasteSystem(system) || !(await this.getRelease(version))) {
+        return this.buildValidationResult(false, `No release '${version}' of code system '${system}'`, { system, code, version });
+      }
+      const releasedConcept = await this.findReleasedConcept(system, code, version);
+      concept = releasedConcept && this.releasedConceptToRow(releasedConcept);
+    } else {
+      concept = await this.db.get(
+        `SELECT * FROM ${source.table} WHERE code = ?${source.systemName ? ' AND system_name = ?' : ''}`,
+        source.systemName ? [code, source.systemName] : [code]
+      );
+    }
+
+    if (!concept) {
+      return this.buildValidationResult(
+        false,
+        `Code '${code}' not found in system '${system}'${released ? ` version '${version}'` : ''}`,
+        { system, code, version: released ? version : undefined }
+      );
+    }
+
+    const details = {
+      system,
+      version: released ? version : undefined,
+      code: concept.code,
+      display: concept.display,
+      inactive: this.isInactiveStatus(concept.status)
+    };
+
+    if (display && display.trim().toLowerCase() !== concept.display.trim().toLowerCase()) {
+      return this.buildValidationResult(
+        false,
+        `Display '${display}' does not match the display for code '${code}': expected '${concept.display}'`,
+        details
+      );
+    }
+
+    if (concept.status !== 'active') {
+      return this.buildValidationResult(true, this.describeStatus(concept), details);
+    }
+
+    return this.buildValidationResult(true, null, details);
+  }
+
+  /**
+   * Build the Parameters resource returned by $validate-code
+   */
+  buildValidationResult(valid, message, details = {}) {
+    const parameters = {
+      resourceType: 'Parameters',
+      parameter: [
+        {
+          name: 'result',
+          valueBoolean: valid
+        }
+      ]
+    };
+
+    if (message) {
+      parameters.parameter.push({ name: 'message', valueString: message });
+    }
+    if (details.display) {
+      parameters.parameter.push({ name: 'display', valueString: details.display });
+    }
+    if (details.code) {
+      parameters.parameter.push({ name: 'code', valueCode: details.code });
+    }
+    if (details.system) {
+      parameters.parameter.push({ name: 'system', valueUri: details.system });
+    }
+    if (details.version) {
+      parameters.parameter.push({ name: 'version', valueString: details.version });
+    }
+    if (details.inactive) {
+      parameters.parameter.push({ name: 'inactive', valueBoolean: true });
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Get FHIR ValueSet definition by ID
+   */
+  async getValueSet(id) {
+    const result = await this.db.get(
+      'SELECT content FROM fhir_resources WHERE resource_id = ? AND resource_type = ?',
+      [id, 'ValueSet']
+    );
+
+    if (result) {
+      return JSON.parse(result.content);
+    }
+
+    // The built-in NAMASTE ValueSet is stored on first access
+    if (id === 'namaste-ayush-valueset') {
+      return (await this.saveValueSet(this.buildNAMASTEValueSetDefinition(), id)).valueSet;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a previous version of a stored ValueSet
+   */
+  async getValueSetVersion(id, versionId) {
+    const result = await this.db.get(
+      'SELECT content FROM fhir_resource_history WHERE resource_id = ? AND resource_type = ? AND version = ?',
+      [id, 'ValueSet', versionId]
+    );
+
+    return result ? JSON.parse(result.content) : null;
+  }
+
+  /**
+   * Find the stored ValueSet with a canonical URL, latest first unless a
+   * business version is requested
+   */
+  async findValueSetByUrl(url, version) {
+    if (url === 'http://terminology.ayush.gov.in/ValueSet/namaste-all') {
+      await this.getValueSet('namaste-ayush-valueset');
+    }
+
+    let query = `
+      SELECT content FROM fhir_resources 
+      WHERE resource_type = 'ValueSet' AND json_extract(content, '$.url') = ?
+    `;
+    const params = [url];
+
+    if (version) {
+      query += " AND json_extract(content, '$.version') = ?";
+      params.push(version);
+    }
+
+    // Saves within the same second are told apart by their row id
+    query += ' ORDER BY updated_at DESC, id DESC LIMIT 1';
+
+    const result = await this.db.get(query, params);
+    return result ? JSON.parse(result.content) : null;
+  }
+
+  /**
+   * Create or update a stored ValueSet. Every save gets a new
+   * meta.versionId and the previous version is kept in the history table.
+   */
+  async saveValueSet(resource, id = uuidv4()) {
+    this.validateValueSetDefinition(resource);
+
+    if (!resource.url) {
+      const error = new Error('ValueSet.url is required');
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    const existing = await this.db.get(
+      'SELECT version FROM fhir_resources WHERE resource_id = ? AND resource_type = ?',
+      [id, 'ValueSet']
+    );
+    const versionId = existing ? String(parseInt(existing.version, 10) + 1) : '1';
+
+    const valueSet = {
+      ...resource,
+      id,
+      meta: {
+        ...(resource.meta || {}),
+        versionId,
+        lastUpdated: new Date().toISOString()
+      },
+      status: resource.status || 'draft'
+    };
+    delete valueSet.expansion;
+
+    const content = JSON.stringify(valueSet);
+
+    await this.db.run(`
+      INSERT OR REPLACE INTO fhir_resources (resource_id, resource_type, version, content, status, updated_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [id, 'ValueSet', versionId, content, valueSet.status]);
+
+    await this.db.run(`
+      INSERT INTO fhir_resource_history (resource_id, resource_type, version, content)
+      VALUES (?, ?, ?, ?)
+    `, [id, 'ValueSet', versionId, content]);
+
+    return { valueSet, created: !existing };
+  }
+
+  /**
+   * Lookup codes in the CodeSystem, or in a published release of it when a
+   * version is given
+   */
+  async lookupCode(system, code, options = {}) {
+    if (!isNamasteSystem(system)) {
+      throw new Error('Unsupported code system');
+    }
+
+    if (this.isReleaseVersion(options.version)) {
+      return this.lookupReleasedCode(system, code, options);
+    }
+
+    // Per-system CodeSystems only know the codes of their own system
+    const systemName = getNamasteSystemName(system);
+    // Deprecated and retired codes are looked up too, with their status
+    const result = await this.db.get(`
+      SELECT code, display, system_name, specialty, description,
+        status, status_reason, status_date, replaced_by, parent_code
+      FROM namaste_codes 
+      WHERE code = ? ${systemName ? 'AND system_name = ?' : ''}
+    `, systemName ? [code, systemName] : [code]);
+
+    if (!result) {
+      return null;
+    }
+
+    const children = await this.db.all(
+      'SELECT code FROM namaste_codes WHERE parent_code = ? ORDER BY code',
+      [result.code]
+    );
+
+    return this.buildLookupResult(system, {
+      code: result.code,
+      display: result.display,
+      definition: result.description,
+      property: [
+        { code: 'system', valueString: result.system_name },
+        { code: 'specialty', valueString: result.specialty },
+        ...(result.parent_code ? [{ code: 'parent', valueCode: result.parent_code }] : []),
+        ...children.map(child => ({ code: 'child', valueCode: child.code })),
+        ...this.buildLifecycleProperties(result)
+      ],
+      designation: (await this.getDesignations([{ system, row: result }]))[`${system}|${result.code}`]
+    }, options);
+  }
+
+  /**
+   * Lookup a code as it was in a published release
+   */
+  async lookupReleasedCode(system, code, options) {
+    if (!(await this.getRelease(options.version))) {
+      throw this.createValidationError(`No release '${options.version}' of code system '${system}'`);
+    }
+
+    const concept = await this.findReleasedConcept(system, code, options.version);
+    if (!concept) {
+      return null;
+    }
+
+    const property = concept.property || [];
+    // Active concepts are released without lifecycle properties
+    if (!property.some(entry => entry.code === 'status')) {
+      property.push(...this.buildLifecycleProperties({ status: 'active' }));
+    }
+
+    return this.buildLookupResult(system, {
+      ...concept,
+      property,
+      designation: [this.buildDisplayDesignation(concept.display), ...(concept.designation || [])]
+    }, options);
+  }
+
+  /**
+   * Build the Parameters resource returned by $lookup from a FHIR concept
+   */
+  buildLookupResult(system, concept, options = {}) {
+    const preferred = this.selectDesignation(concept.designation, options.displayLanguage);
+
+    return {
+      resourceType: 'Parameters',
+      parameter: [
+        {
+          name: 'code',
+          valueCode: concept.code
+        },
+        {
+          name: 'system',
+          valueUri: system
+        },
+        ...(this.isReleaseVersion(options.version) ? [{ name: 'version', valueString: options.version }] : []),
+        {
+          name: 'display',
+          valueString: preferred ? preferred.value : concept.display
+        },
+        {
+          name: 'definition',
+          valueString: concept.definition
+        },
+        ...concept.property.map(({ code: propertyCode, ...value }) => ({
+          name: 'property',
+          part: [
+            {
+              name: 'code',
+              valueCode: propertyCode
+            },
+            {
+              name: 'value',
+              ...value
+            }
+          ]
+        })),
+        ...concept.designation.map(designation => ({
+          name: 'designation',
+          part: [
+            {
+              name: 'language',
+              valueCode: designation.language
+            },
+            {
+              name: 'use',
+              valueCoding: designation.use
+            },
+            {
+              name: 'value',
+              valueString: designation.value
+            }
+          ]
+        }))
+      ]
+    };
+  }
+
+  /**
+   * $subsumes: how codeA relates to codeB in one code system's hierarchy,
+   * as 'equivalent', 'subsumes' (A is an ancestor of B), 'subsumed-by' or
+   * 'not-subsumed'. Throws a ValidationError for unknown codes.
+   */
+  async subsumes(system, codeA, codeB, { version } = {}) {
+    const source = COMPOSE_SOURCES[system];
+    if (!source) {
+      throw this.createValidationError(`Unknown code system '${system}'`);
+    }
+    const known = isNamasteSystem(system)
+      ? (version) => this.getRelease(version)
+      : (version) => this.hasICD11Release(version);
+    if (this.isReleaseVersion(version) && !(await known(version))) {
+      throw this.createValidationError(`No release '${version}' of code system '${system}'`);
+    }
+
+    const getAncestors = (code) => {
+      if (!isNamasteSystem(system)) {
+        return this.getICD11Ancestors(code, this.isReleaseVersion(version) ? version : getDefaultReleaseId());
+      }
+      return this.isReleaseVersion(version)
+        ? this.getReleasedAncestors(system, code, version)
+        : this.getNAMASTEAncestors(code, source.systemName);
+    };
+
+    const ancestorsA = await getAncestors(codeA);
+    const ancestorsB = await getAncestors(codeB);
+
+    for (const [code, ancestors] of [[codeA, ancestorsA], [codeB, ancestorsB]]) {
+      if (!ancestors) {
+        throw this.createValidationError(
+          `Code '${code}' not found in system '${system}'${this.isReleaseVersion(version) ? ` version '${version}'` : ''}`
+        );
+      }
+    }
+
+    let outcome = 'not-subsumed';
+    if (codeA === codeB) {
+      outcome = 'equivalent';
+    } else if (ancestorsB.includes(codeA)) {
+      outcome = 'subsumes';
+    } else if (ancestorsA.includes(codeB)) {
+      outcome = 'subsumed-by';
+    }
+
+    return {
+      resourceType: 'Parameters',
+      parameter: [
+        {
+          name: 'outcome',
+          valueCode: outcome
+        }
+      ]
+    };
+  }
+
+  /**
+   * Ancestors of a live NAMASTE code, nearest first; null when unknown
+   */
+  async getNAMASTEAncestors(code, systemName) {
+    const concept = await this.db.get(
+      `SELECT code FROM namaste_codes WHERE code = ?${systemName ? ' AND system_name = ?' : ''}`,
+      systemName ? [code, systemName] : [code]
+    );
+    if (!concept) {
+      return null;
+    }
+
+    const ancestors = await this.db.all(`
+      WITH RECURSIVE ancestors(code, depth) AS (
+        SELECT parent_code, 1 FROM namaste_codes WHERE code = ? AND parent_code IS NOT NULL
+        UNION
+        SELECT parent.parent_code, ancestors.depth + 1 FROM namaste_codes parent
+        JOIN ancestors ON parent.code = ancestors.code
+        WHERE parent.parent_code IS NOT NULL
+      )
+      SELECT code FROM ancestors ORDER BY depth
+    `, [code]);
+
+    return ancestors.map(row => row.code);
+  }
+
+  /**
+   * Ancestors of a code in a published release, following the released
+   * `parent` properties; null when the release does not contain the code
+   */
+  async getReleasedAncestors(system, code, version) {
+    let concept = await this.findReleasedConcept(system, code, version);
+    if (!concept) {
+      return null;
+    }
+
+    const ancestors = [];
+    const parentOf = (entry) => ((entry.property || []).find(property => property.code === 'parent') || {}).valueCode;
+    let parent = parentOf(concept);
+
+    while (parent && !ancestors.includes(parent)) {
+      ancestors.push(parent);
+      concept = await this.findReleasedConcept(system, parent, version);
+      parent = concept && parentOf(concept);
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Ancestors of a stored ICD-11 code, block or chapter: its stored parent
+   * chain (filled by a tabulation import), parent codes by code structure,
+   * then the blocks containing it (its stored block and any block whose
+   * code range covers it), then their chapters, all within one stored
+   * release. Returns null for codes that are neither stored nor a stored
+   * block or chapter.
+   */
+  async getICD11Ancestors(code, releaseId = getDefaultReleaseId()) {
+    const groups = await this.db.all(`
+      SELECT DISTINCT chapter, block FROM icd11_codes
+      WHERE release_id = ? AND (chapter IS NOT NULL OR block IS NOT NULL)
+    `, [releaseId]);
+    const structural = ICD11Hierarchy.structuralParents(code);
+    const stored = await this.db.all(
+      `SELECT code, chapter, block FROM icd11_codes
+      WHERE release_id = ? AND code IN (${[code, ...structural].map(() => '?').join(', ')})`,
+      [releaseId, code, ...structural]
+    );
+
+    const known = stored.some(row => row.code === code) ||
+      groups.some(group => group.block === code || group.chapter === code);
+    if (!known) {
+      return null;
+    }
+
+    const parents = await this.db.all(`
+      WITH RECURSIVE ancestors(code, depth) AS (
+        SELECT parent_code, 1 FROM icd11_codes
+        WHERE code = ? AND release_id = ? AND parent_code IS NOT NULL
+        UNION
+        SELECT parent.parent_code, ancestors.depth + 1 FROM icd11_codes parent
+        JOIN ancestors ON parent.code = ancestors.code
+        WHERE parent.release_id = ? AND parent.parent_code IS NOT NULL
+      )
+      SELECT code FROM ancestors ORDER BY depth
+    `, [code, releaseId, releaseId]);
+
+    const blocks = new Set([
+      ...stored.map(row => row.block),
+      ...groups.map(group => group.block).filter(block => ICD11Hierarchy.blockContains(block, code))
+    ].filter(block => block && block !== code));
+
+    const chapters = new Set([
+      ...stored.map(row => row.chapter),
+      ...groups.filter(group => blocks.has(group.block) || group.block === code).map(group => group.chapter)
+    ].filter(chapter => chapter && chapter !== code));
+
+    return [...new Set([...parents.map(row => row.code), ...structural, ...blocks, ...chapters])];
+  }
+
+  /**
+   * Whether an ICD-11 release is stored
+   */
+  async hasICD11Release(releaseId) {
+    return Boolean(await this.db.get('SELECT 1 FROM icd11_codes WHERE release_id = ? LIMIT 1', [releaseId]));
+  }
+
+  /**
+   * Whether a requested version names a published release rather than the
+   * live CodeSystem
+   */
+  isReleaseVersion(version) {
+    return Boolean(version) && version !== CURRENT_VERSION;
+  }
+
+  /**
+   * Id under which a release of a NAMASTE CodeSystem is stored
+   */
+  getReleaseId(system, version) {
+    const systemName = getNamasteSystemName(system);
+    const id = systemName ? NAMASTE_SYSTEMS[systemName].id : 'namaste-ayush-codes';
+    return `${id}-${version}`;
+  }
+
+  /**
+   * Publish the current NAMASTE CodeSystems (umbrella and per-system) as a
+   * named release. Releases are frozen: a version can be published once.
+   */
+  async publishRelease(version, { notes, publishedBy } = {}) {
+    if (!version || !/^[A-Za-z0-9][A-Za-z0-9.-]*$/.test(version) || version === CURRENT_VERSION) {
+      throw this.createValidationError(
+        `Invalid release version '${version}'; use letters, digits, dots and hyphens (e.g. 2024-02)`
+      );
+    }
+
+    // The CodeSystems and the release row are written together, so a
+    // failure never leaves a release that looks complete but is not
+    const codeSystems = await this.db.transaction(async () => {
+      if (await this.getRelease(version)) {
+        const error = new Error(`Release '${version}' is already published`);
+        error.name = 'ConflictError';
+        throw error;
+      }
+
+      await this.createNAMASTECodeSystems();
+
+      const date = new Date().toISOString();
+      const published = [];
+
+      for (const id of this.getNAMASTECodeSystemIds()) {
+        const current = await this.getCodeSystem(id);
+        const release = {
+          ...current,
+          id: this.getReleaseId(current.url, version),
+          version,
+          date
+        };
+
+        await this.db.run(`
+          INSERT INTO fhir_resources (resource_id, resource_type, version, content)
+          VALUES (?, ?, ?, ?)
+        `, [release.id, 'CodeSystem', version, JSON.stringify(release)]);
+
+        published.push({ id: release.id, url: release.url, count: release.count });
+      }
+
+      await this.db.run(`
+        INSERT INTO code_system_releases (version, notes, concept_count, published_by)
+        VALUES (?, ?, ?, ?)
+      `, [version, notes || null, published[0].count, publishedBy || null]);
+
+      return published;
+    });
+
+    return { ...(await this.getRelease(version)), codeSystems };
+  }
+
+  /**
+   * Published releases, newest first
+   */
+  async getReleases() {
+    return this.db.all(`
+      SELECT version, notes, concept_count AS conceptCount, published_by AS publishedBy, published_at AS publishedAt
+      FROM code_system_releases
+      ORDER BY published_at DESC, id DESC
+    `);
+  }
+
+  async getRelease(version) {
+    return this.db.get(`
+      SELECT version, notes, concept_count AS conceptCount, published_by AS publishedBy, published_at AS publishedAt
+      FROM code_system_releases
+      WHERE version = ?
+    `, [version]);
+  }
+
+  /**
+   * Find a concept, at any nesting depth, in a released CodeSystem without
+   * loading the whole resource. Returns null when the release does not
+   * contain the code.
+   */
+  async findReleasedConcept(system, code, version) {
+    const row = await this.db.get(`
+      SELECT concept.value AS concept
+      FROM fhir_resources, json_tree(fhir_resources.content, '$.concept') AS concept
+      WHERE fhir_resources.resource_id = ? AND fhir_resources.resource_type = 'CodeSystem'
+        AND concept.type = 'object' AND concept.path LIKE '%concept'
+        AND json_extract(concept.value, '$.code') = ?
+    `, [this.getReleaseId(system, version), code]);
+
+    return row ? JSON.parse(row.concept) : null;
+  }
+
+  /**
+   * Read a released concept back into the namaste_codes row shape
+   */
+  releasedConceptToRow(concept) {
+    const property = (code) => (concept.property || []).find(entry => entry.code === code) || {};
+
+    return {
+      code: concept.code,
+      display: concept.display,
+      description: concept.definition,
+      status: property('status').valueCode || 'active',
+      status_date: property('deprecated').valueDateTime || property('retirementDate').valueDateTime || null,
+      status_reason: property('comment').valueString || null,
+      replaced_by: property('replacedBy').valueCode || null
+    };
+  }
+}
+
+FHIRCodeSystemService.CURRENT_VERSION = CURRENT_VERSION;
 
 module.exports = FHIRCodeSystemService;
\ No newline at end of file
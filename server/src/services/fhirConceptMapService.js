@@ -1,4 +1,26 @@
 const { v4: uuidv4 } = require('uuid');
+const { NAMASTE_URL, isNamasteSystem, getNamasteSystemName } = require('../utils/namasteSystems');
+const { TM2_CONCEPT_MAP_ID } = require('../utils/tm2');
+const { getDefaultReleaseId, resolveRelease } = require('../utils/icd11Release');
+
+// Generated ConceptMaps, by id; the TM2 map only targets ICD-11 Chapter 26
+// Traditional Medicine Module 2 codes
+const GENERATED_CONCEPT_MAPS = {
+  'namaste-to-icd11': {
+    url: 'http://terminology.ayush.gov.in/ConceptMap/namaste-to-icd11',
+    name: 'NAMASTEToICD11ConceptMap',
+    title: 'NAMASTE to ICD-11 Concept Map',
+    description: 'Concept map for translating NAMASTE AYUSH codes to ICD-11 codes for dual-coding in electronic health records.',
+    tm2Only: false
+  },
+  [TM2_CONCEPT_MAP_ID]: {
+    url: 'http://terminology.ayush.gov.in/ConceptMap/namaste-to-tm2',
+    name: 'NAMASTEToTM2ConceptMap',
+    title: 'NAMASTE to ICD-11 TM2 Concept Map',
+    description: 'Concept map for translating NAMASTE AYUSH codes to ICD-11 Chapter 26 Traditional Medicine Module 2 (TM2) disorder and pattern codes.',
+    tm2Only: true
+  }
+};
 
 class FHIRConceptMapService {
   constructor(database) {
@@ -6,22 +28,25 @@ class FHIRConceptMapService {
   }
 
   /**
-   * Create FHIR ConceptMap for NAMASTE to ICD-11 mappings
+   * Create FHIR ConceptMap for NAMASTE to ICD-11 mappings, or with the TM2
+   * map id for the mappings to TM2 codes only. TM2 targets come first, and
+   * each ICD-11 release mapped to gets its own group (targetVersion).
    */
-  async createNAMASTEToICD11ConceptMap() {
+  async createNAMASTEToICD11ConceptMap(id = 'namaste-to-icd11') {
+    const definition = GENERATED_CONCEPT_MAPS[id];
     const conceptMap = {
       resourceType: 'ConceptMap',
-      id: 'namaste-to-icd11',
-      url: 'http://terminology.ayush.gov.in/ConceptMap/namaste-to-icd11',
+      id,
+      url: definition.url,
       identifier: [
         {
           system: 'http://terminology.ayush.gov.in/identifier',
-          value: 'namaste-to-icd11'
+          value: id
         }
       ],
       version: '1.0.0',
-      name: 'NAMASTEToICD11ConceptMap',
-      title: 'NAMASTE to ICD-11 Concept Map',
+      name: definition.name,
+      title: definition.title,
       status: 'active',
       experimental: false,
       date: new Date().toISOString(),
@@ -36,7 +61,7 @@ class FHIRConceptMapService {
           ]
         }
       ],
-      description: 'Concept map for translating NAMASTE AYUSH codes to ICD-11 codes for dual-coding in electronic health records.',
+      description: definition.description,
       jurisdiction: [
         {
           coding: [
@@ -59,33 +84,37 @@ class FHIRConceptMapService {
       SELECT 
         cm.namaste_code,
         cm.icd11_code,
+        cm.icd11_release,
         cm.equivalence,
         cm.confidence,
         nc.display as namaste_display,
         nc.system_name,
-        ic.display as icd11_display
+        ic.display as icd11_display,
+        ic.tm2_type
       FROM concept_mappings cm
       JOIN namaste_codes nc ON cm.namaste_code = nc.code
-      JOIN icd11_codes ic ON cm.icd11_code = ic.code
-      ORDER BY nc.system_name, cm.namaste_code
+      JOIN icd11_codes ic ON cm.icd11_code = ic.code AND cm.icd11_release = ic.release_id
+      ${definition.tm2Only ? 'WHERE ic.tm2_type IS NOT NULL' : ''}
+      ORDER BY cm.icd11_release DESC, nc.system_name, cm.namaste_code, ic.tm2_type IS NULL, cm.confidence DESC
     `);
 
     if (mappings.length === 0) {
       conceptMap.group = [];
     } else {
-      // Group mappings by source system
+      // Group mappings by source system and target release
       const groupedMappings = {};
       
       mappings.forEach(mapping => {
         const sourceSystem = 'http://terminology.ayush.gov.in/CodeSystem/namaste';
         const targetSystem = 'http://id.who.int/icd/release/11/mms';
         
-        const groupKey = `${sourceSystem}|${targetSystem}`;
+        const groupKey = `${sourceSystem}|${targetSystem}|${mapping.icd11_release}`;
         
         if (!groupedMappings[groupKey]) {
           groupedMappings[groupKey] = {
             source: sourceSystem,
             target: targetSystem,
+            targetVersion: mapping.icd11_release,
             element: []
           };
         }
@@ -98,7 +127,8 @@ class FHIRConceptMapService {
               code: mapping.icd11_code,
               display: mapping.icd11_display,
               equivalence: mapping.equivalence,
-              comment: `Confidence: ${mapping.confidence}. System: ${mapping.system_name}`
+              comment: `Confidence: ${mapping.confidence}. System: ${mapping.system_name}` +
+                (mapping.tm2_type ? `. TM2 ${mapping.tm2_type}` : '')
             }
           ]
         });
@@ -111,32 +141,82 @@ class FHIRConceptMapService {
     await this.db.run(`
       INSERT OR REPLACE INTO fhir_resources (resource_id, resource_type, content, updated_at)
       VALUES (?, ?, ?, CURRENT_TIMESTAMP)
-    `, ['namaste-to-icd11', 'ConceptMap', JSON.stringify(conceptMap)]);
+    `, [id, 'ConceptMap', JSON.stringify(conceptMap)]);
 
     return conceptMap;
   }
 
   /**
-   * Translate a NAMASTE code to ICD-11
+   * Translate a code in either direction. The direction follows the R4
+   * `reverse` flag or, failing that, the source/target system pair. The
+   * NAMASTE side may be the umbrella CodeSystem or a per-system one.
+   * Translating through the TM2 ConceptMap only offers TM2 targets. For
+   * ICD-11 sources, version narrows the mappings to that release (a
+   * malformed release throws a ValidationError).
    */
-  async translateCode(sourceCode, sourceSystem = 'http://terminology.ayush.gov.in/CodeSystem/namaste') {
-    if (sourceSystem !== 'http://terminology.ayush.gov.in/CodeSystem/namaste') {
+  async translate({ code, system, version, targetSystem, reverse = false, conceptMapId }) {
+    const icd11System = 'http://id.who.int/icd/release/11/mms';
+
+    const sourceSystem = system || (reverse ? icd11System : NAMASTE_URL);
+    const isReverse = reverse || sourceSystem === icd11System;
+    const isSupported = isReverse
+      ? sourceSystem === icd11System && (!targetSystem || isNamasteSystem(targetSystem))
+      : isNamasteSystem(sourceSystem) && (!targetSystem || targetSystem === icd11System);
+
+    if (!isSupported) {
+      return {
+        resourceType: 'Parameters',
+        parameter: [
+          {
+            name: 'result',
+            valueBoolean: false
+          },
+          {
+            name: 'message',
+            valueString: `No concept map available from system ${sourceSystem} to ${targetSystem || (isReverse ? NAMASTE_URL : icd11System)}`
+          }
+        ]
+      };
+    }
+
+    return isReverse
+      ? this.reverseTranslateCode(code, sourceSystem, targetSystem, version && resolveRelease({ releaseId: version }).releaseId)
+      : this.translateCode(code, sourceSystem, { tm2Only: conceptMapId === TM2_CONCEPT_MAP_ID });
+  }
+
+  /**
+   * Translate a NAMASTE code to ICD-11, TM2 targets first. Mappings to the
+   * deployment's ICD-11 release come before those to earlier releases, and
+   * each match names its release as the coding version.
+   */
+  async translateCode(sourceCode, sourceSystem = NAMASTE_URL, { tm2Only = false } = {}) {
+    if (!isNamasteSystem(sourceSystem)) {
       throw new Error('Unsupported source system');
     }
 
+    // A per-system source only maps codes of that system
+    const systemName = getNamasteSystemName(sourceSystem);
+
+    // Deprecated and retired codes translate through their replacement
+    const currentCode = await this.followReplacements(sourceCode);
+
     const mappings = await this.db.all(`
       SELECT 
         cm.namaste_code,
         cm.icd11_code,
+        cm.icd11_release,
         cm.equivalence,
         cm.confidence,
         nc.display as namaste_display,
-        ic.display as icd11_display
+        ic.display as icd11_display,
+        ic.tm2_type
       FROM concept_mappings cm
       JOIN namaste_codes nc ON cm.namaste_code = nc.code
-      JOIN icd11_codes ic ON cm.icd11_code = ic.code
-      WHERE cm.namaste_code = ?
-    `, [sourceCode]);
+      JOIN icd11_codes ic ON cm.icd11_code = ic.code AND cm.icd11_release = ic.release_id
+      WHERE cm.namaste_code = ? ${systemName ? 'AND nc.system_name = ?' : ''}
+        ${tm2Only ? 'AND ic.tm2_type IS NOT NULL' : ''}
+      ORDER BY cm.icd11_release = ? DESC, cm.icd11_release DESC, ic.tm2_type IS NULL, cm.confidence DESC
+    `, [...(systemName ? [currentCode, systemName] : [currentCode]), getDefaultReleaseId()]);
 
     const parameters = {
       resourceType: 'Parameters',
@@ -148,6 +228,13 @@ class FHIRConceptMapService {
       ]
     };
 
+    if (currentCode !== sourceCode) {
+      parameters.parameter.push({
+        name: 'message',
+        valueString: `Code ${sourceCode} is replaced by ${currentCode}; translated ${currentCode}`
+      });
+    }
+
     if (mappings.length > 0) {
       // Add source information
       parameters.parameter.push({
@@ -168,13 +255,15 @@ class FHIRConceptMapService {
               name: 'concept',
               valueCoding: {
                 system: 'http://id.who.int/icd/release/11/mms',
+                version: mapping.icd11_release,
                 code: mapping.icd11_code,
                 display: mapping.icd11_display
               }
             },
             {
               name: 'source',
-              valueString: `Confidence: ${mapping.confidence}`
+              valueString: `Confidence: ${mapping.confidence}` +
+                (mapping.tm2_type ? `, TM2 ${mapping.tm2_type}` : '')
             }
           ]
         });
@@ -191,17 +280,22 @@ class FHIRConceptMapService {
   }
 
   /**
-   * Reverse translate from ICD-11 to NAMASTE
+   * Reverse translate from ICD-11 to NAMASTE, optionally only into one
+   * per-system NAMASTE CodeSystem, from the mappings to any ICD-11 release
+   * or only those to the given one
    */
-  async reverseTranslateCode(targetCode, targetSystem = 'http://id.who.int/icd/release/11/mms') {
+  async reverseTranslateCode(targetCode, targetSystem = 'http://id.who.int/icd/release/11/mms', namasteSystem = NAMASTE_URL, releaseId) {
     if (targetSystem !== 'http://id.who.int/icd/release/11/mms') {
       throw new Error('Unsupported target system');
     }
 
+    const systemName = getNamasteSystemName(namasteSystem);
+
     const mappings = await this.db.all(`
       SELECT 
         cm.namaste_code,
         cm.icd11_code,
+        cm.icd11_release,
         cm.equivalence,
         cm.confidence,
         nc.display as namaste_display,
@@ -209,9 +303,11 @@ class FHIRConceptMapService {
         ic.display as icd11_display
       FROM concept_mappings cm
       JOIN namaste_codes nc ON cm.namaste_code = nc.code
-      JOIN icd11_codes ic ON cm.icd11_code = ic.code
-      WHERE cm.icd11_code = ?
-    `, [targetCode]);
+      JOIN icd11_codes ic ON cm.icd11_code = ic.code AND cm.icd11_release = ic.release_id
+      WHERE cm.icd11_code = ? AND nc.status = 'active' ${systemName ? 'AND nc.system_name = ?' : ''}
+        ${releaseId ? 'AND cm.icd11_release = ?' : ''}
+      ORDER BY cm.icd11_release DESC
+    `, [targetCode, ...(systemName ? [systemName] : []), ...(releaseId ? [releaseId] : [])]);
 
     const parameters = {
       resourceType: 'Parameters',
@@ -230,53 +326,102 @@ class FHIRConceptMapService {
           part: [
             {
               name: 'equivalence',
-              valueCode: mapping.equivalence
+              valueCode: this.invertEquivalence(mapping.equivalence)
             },
             {
               name: 'concept',
               valueCoding: {
-                system: 'http://terminology.ayush.gov.in/CodeSystem/namaste',
+                system: namasteSystem,
                 code: mapping.namaste_code,
                 display: mapping.namaste_display
               }
             },
             {
               name: 'source',
-              valueString: `System: ${mapping.system_name}, Confidence: ${mapping.confidence}`
+              valueString: `System: ${mapping.system_name}, Confidence: ${mapping.confidence}, ICD-11 release ${mapping.icd11_release}`
             }
           ]
         });
       });
+    } else {
+      parameters.parameter.push({
+        name: 'message',
+        valueString: `No reverse mapping found for code ${targetCode} in system ${targetSystem}${releaseId ? ` version ${releaseId}` : ''}`
+      });
     }
 
     return parameters;
   }
 
   /**
-   * Add a new concept mapping
+   * Follow a NAMASTE code's replacedBy links to the code currently in use.
+   * Returns the code itself when it has no replacement.
    */
-  async addMapping(namasteCode, icd11Code, equivalence = 'equivalent', confidence = 1.0, createdBy = 'system') {
+  async followReplacements(code) {
+    const findReplacement = async (current) => {
+      const row = await this.db.get('SELECT replaced_by FROM namaste_codes WHERE code = ?', [current]);
+      return row ? row.replaced_by : null;
+    };
+
+    const seen = new Set([code]);
+    let current = code;
+    let next = await findReplacement(current);
+
+    while (next && !seen.has(next)) {
+      seen.add(next);
+      current = next;
+      next = await findReplacement(current);
+    }
+
+    return current;
+  }
+
+  /**
+   * Invert a ConceptMap equivalence when reading a mapping target-to-source
+   */
+  invertEquivalence(equivalence) {
+    const inverse = {
+      wider: 'narrower',
+      narrower: 'wider',
+      subsumes: 'specializes',
+      specializes: 'subsumes'
+    };
+    return inverse[equivalence] || equivalence;
+  }
+
+  /**
+   * Add a new concept mapping to a code of an ICD-11 release (the
+   * deployment's by default)
+   */
+  async addMapping(namasteCode, icd11Code, equivalence = 'equivalent', confidence = 1.0, createdBy = 'system', icd11Release) {
     try {
+      const { releaseId } = resolveRelease({ releaseId: icd11Release });
+
       // Verify that both codes exist
       const namasteExists = await this.db.get('SELECT code FROM namaste_codes WHERE code = ?', [namasteCode]);
-      const icd11Exists = await this.db.get('SELECT code FROM icd11_codes WHERE code = ?', [icd11Code]);
+      const icd11Exists = await this.db.get(
+        'SELECT code FROM icd11_codes WHERE code = ? AND release_id = ?',
+        [icd11Code, releaseId]
+      );
 
       if (!namasteExists) {
         throw new Error(`NAMASTE code ${namasteCode} not found`);
       }
 
       if (!icd11Exists) {
-        throw new Error(`ICD-11 code ${icd11Code} not found`);
+        throw new Error(`ICD-11 code ${icd11Code} not found in release ${releaseId}`);
       }
 
       // Insert the mapping
       await this.db.run(`
-        INSERT INTO concept_mappings (namaste_code, icd11_code, equivalence, confidence, created_by)
-        VALUES (?, ?, ?, ?, ?)
-      `, [namasteCode, icd11Code, equivalence, confidence, createdBy]);
+        INSERT INTO concept_mappings (namaste_code, icd11_code, icd11_release, equivalence, confidence, created_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [namasteCode, icd11Code, releaseId, equivalence, confidence, createdBy]);
 
-      // Regenerate ConceptMap
-      await this.createNAMASTEToICD11ConceptMap();
+      // Regenerate the ConceptMaps
+      for (const id of this.getGeneratedConceptMapIds()) {
+        await this.createNAMASTEToICD11ConceptMap(id);
+      }
 
       return { success: true, message: 'Mapping added successfully' };
 
@@ -302,13 +447,35 @@ class FHIRConceptMapService {
     }
 
     // If not found in cache, try to generate it
-    if (id === 'namaste-to-icd11') {
-      return await this.createNAMASTEToICD11ConceptMap();
+    if (GENERATED_CONCEPT_MAPS[id]) {
+      return await this.createNAMASTEToICD11ConceptMap(id);
     }
 
     return null;
   }
 
+  /**
+   * Ids of the ConceptMaps generated from the stored mappings
+   */
+  getGeneratedConceptMapIds() {
+    return Object.keys(GENERATED_CONCEPT_MAPS);
+  }
+
+  /**
+   * Get ConceptMap by canonical URL
+   */
+  async getConceptMapByUrl(url) {
+    const result = await this.db.get(`
+      SELECT resource_id FROM fhir_resources
+      WHERE resource_type = 'ConceptMap' AND json_extract(content, '$.url') = ?
+    `, [url]);
+
+    const generated = Object.entries(GENERATED_CONCEPT_MAPS).find(([, definition]) => definition.url === url);
+    const id = result ? result.resource_id : generated && generated[0];
+
+    return id ? this.getConceptMap(id) : null;
+  }
+
   /**
    * Get all available ConceptMaps
    */
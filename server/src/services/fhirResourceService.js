@@ -0,0 +1,106 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Search parameters supported per resource type, mapped to the JSON path
+// they are matched against inside the stored resource content
+const SEARCH_PARAMETERS = {
+  CodeSystem: {
+    url: '$.url',
+    system: '$.url',
+    version: '$.version',
+    name: '$.name',
+    status: '$.status'
+  },
+  ConceptMap: {
+    url: '$.url',
+    version: '$.version',
+    name: '$.name',
+    status: '$.status',
+    'source-uri': '$.sourceUri',
+    'target-uri': '$.targetUri'
+  },
+  ValueSet: {
+    url: '$.url',
+    version: '$.version',
+    name: '$.name',
+    status: '$.status'
+  }
+};
+
+class FHIRResourceService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Names of the search parameters supported for a resource type
+   */
+  getSearchParameters(resourceType) {
+    return ['_id', ...Object.keys(SEARCH_PARAMETERS[resourceType] || {})];
+  }
+
+  /**
+   * Search stored FHIR resources and return a searchset Bundle
+   */
+  async search(resourceType, params = {}, baseUrl = '') {
+    const paths = SEARCH_PARAMETERS[resourceType] || {};
+    const applied = {};
+
+    let query = `
+      SELECT resource_id, content, updated_at
+      FROM fhir_resources
+      WHERE resource_type = ?
+    `;
+    const queryParams = [resourceType];
+
+    if (params._id) {
+      query += ' AND resource_id = ?';
+      queryParams.push(params._id);
+      applied._id = params._id;
+    }
+
+    for (const [name, jsonPath] of Object.entries(paths)) {
+      const value = params[name];
+      if (!value) continue;
+
+      if (name === 'name') {
+        // FHIR string search: case-insensitive, matches from the start
+        query += ' AND json_extract(content, ?) LIKE ?';
+        queryParams.push(jsonPath, `${value}%`);
+      } else {
+        query += ' AND json_extract(content, ?) = ?';
+        queryParams.push(jsonPath, value);
+      }
+      applied[name] = value;
+    }
+
+    query += ' ORDER BY resource_id';
+
+    const rows = await this.db.all(query, queryParams);
+    const selfQuery = new URLSearchParams(applied).toString();
+
+    return {
+      resourceType: 'Bundle',
+      id: uuidv4(),
+      meta: {
+        lastUpdated: new Date().toISOString()
+      },
+      type: 'searchset',
+      total: rows.length,
+      link: [
+        {
+          relation: 'self',
+          url: `${baseUrl}/${resourceType}${selfQuery ? `?${selfQuery}` : ''}`
+        }
+      ],
+      entry: rows.map(row => ({
+        fullUrl: `${baseUrl}/${resourceType}/${row.resource_id}`,
+        resource: JSON.parse(row.content),
+        search: {
+          mode: 'match'
+        }
+      }))
+    };
+  }
+}
+
+module.exports = FHIRResourceService;
@@ -0,0 +1,124 @@
+// How long WHO ICD-API responses are served without asking the API again.
+// A release's content is fixed once published, so entities keep for long;
+// search ranking changes more often.
+const DEFAULT_ENTITY_TTL_HOURS = 24 * 30;
+const DEFAULT_SEARCH_TTL_HOURS = 24 * 7;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class ICD11ApiCache {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.ttlHours = {
+      entity: Number(options.entityTTLHours || process.env.ICD11_CACHE_ENTITY_TTL_HOURS || DEFAULT_ENTITY_TTL_HOURS),
+      search: Number(options.searchTTLHours || process.env.ICD11_CACHE_SEARCH_TTL_HOURS || DEFAULT_SEARCH_TTL_HOURS)
+    };
+  }
+
+  // Cache key URL: the request URL with its query parameters sorted
+  static keyURL(url, params = {}) {
+    const query = Object.keys(params)
+      .filter(name => params[name] !== undefined && params[name] !== null)
+      .sort()
+      .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+      .join('&');
+    return query ? `${url}?${query}` : url;
+  }
+
+  /**
+   * The cached response for a request, or null. Expired entries are still
+   * returned, flagged stale, for the caller to fall back on.
+   */
+  async get({ url, releaseId, language }) {
+    const row = await this.db.get(
+      'SELECT content, fetched_at, expires_at FROM icd11_api_cache WHERE url = ? AND release_id = ? AND language = ?',
+      [url, releaseId, language]
+    );
+    if (!row) return null;
+
+    return {
+      data: JSON.parse(row.content),
+      fetchedAt: row.fetched_at,
+      stale: new Date(row.expires_at) <= new Date()
+    };
+  }
+
+  // Store a response, replacing any earlier one for the same request
+  async set({ url, releaseId, language, kind }, data) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + (this.ttlHours[kind] || this.ttlHours.entity) * HOUR_MS);
+
+    await this.db.run(`
+      INSERT INTO icd11_api_cache (url, release_id, language, kind, content, fetched_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(url, release_id, language) DO UPDATE SET
+        kind = excluded.kind,
+        content = excluded.content,
+        fetched_at = excluded.fetched_at,
+        expires_at = excluded.expires_at
+    `, [url, releaseId, language, kind, JSON.stringify(data), now.toISOString(), expiresAt.toISOString()]);
+  }
+
+  /**
+   * Remove cached responses: all of them, or those matching the given
+   * release, language, kind ('entity' or 'search') and URL prefix. With
+   * expiredOnly, fresh entries are kept.
+   */
+  async invalidate({ releaseId, language, kind, urlPrefix, expiredOnly = false } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (releaseId) {
+      conditions.push('release_id = ?');
+      params.push(releaseId);
+    }
+    if (language) {
+      conditions.push('language = ?');
+      params.push(language);
+    }
+    if (kind) {
+      conditions.push('kind = ?');
+      params.push(kind);
+    }
+    if (urlPrefix) {
+      conditions.push("url LIKE ? ESCAPE '\\'");
+      params.push(`${urlPrefix.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+    if (expiredOnly) {
+      conditions.push('expires_at <= ?');
+      params.push(new Date().toISOString());
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await this.db.run(`DELETE FROM icd11_api_cache ${where}`, params);
+    return result.changes;
+  }
+
+  // Entry counts by release, language and kind, fresh and expired
+  async getStats() {
+    const groups = await this.db.all(`
+      SELECT release_id, language, kind,
+        COUNT(*) AS entries,
+        SUM(CASE WHEN expires_at > ? THEN 1 ELSE 0 END) AS fresh,
+        SUM(LENGTH(content)) AS bytes,
+        MIN(fetched_at) AS oldest,
+        MAX(fetched_at) AS newest
+      FROM icd11_api_cache
+      GROUP BY release_id, language, kind
+      ORDER BY release_id DESC, language, kind
+    `, [new Date().toISOString()]);
+
+    const total = groups.reduce((sum, group) => sum + group.entries, 0);
+    const fresh = groups.reduce((sum, group) => sum + group.fresh, 0);
+
+    return {
+      ttlHours: this.ttlHours,
+      total,
+      fresh,
+      stale: total - fresh,
+      groups
+    };
+  }
+}
+
+module.exports = ICD11ApiCache;
@@ -1,14 +1,40 @@
 const axios = require('axios');
+const path = require('path');
+const FullTextSearch = require('../utils/fullTextSearch');
+const ICD11TabulationParser = require('../utils/icd11TabulationParser');
+const { classifyTM2 } = require('../utils/tm2');
+const { resolveRelease, getLinearizationURI } = require('../utils/icd11Release');
+const ICD11ApiCache = require('./icd11ApiCache');
+
+// WHO ICD-API endpoints, overridable to point at a local stand-in
+// (see scripts/icd11-mock-server.js)
+const DEFAULT_BASE_URL = 'https://id.who.int';
+const DEFAULT_TOKEN_URL = 'https://icdaccessmanagement.who.int/connect/token';
+
+// Minimum spacing of WHO API calls; cached responses are not held back
+const DEFAULT_MIN_REQUEST_INTERVAL_MS = 500;
+
+// Terms synced and cache-warmed when a request names none
+const DEFAULT_SEARCH_TERMS = [
+  'disease', 'disorder', 'condition', 'syndrome',
+  'diabetes', 'hypertension', 'arthritis', 'asthma'
+];
 
 class ICD11Service {
-  constructor(db) {
+  constructor(db, options = {}) {
     this.db = db;
-    this.baseURL = 'https://id.who.int';
-    this.tokenURL = 'https://icdaccessmanagement.who.int/connect/token';
+    this.baseURL = (options.baseURL || process.env.ICD11_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.tokenURL = options.tokenURL || process.env.ICD11_TOKEN_URL || DEFAULT_TOKEN_URL;
     this.clientId = process.env.ICD11_CLIENT_ID;
     this.clientSecret = process.env.ICD11_CLIENT_SECRET;
     this.accessToken = null;
     this.tokenExpiry = null;
+    this.language = options.language || process.env.ICD11_LANGUAGE || 'en';
+    this.cache = options.cache || new ICD11ApiCache(db, options);
+    this.minRequestInterval = Number(options.minRequestInterval ?? process.env.ICD11_API_MIN_INTERVAL_MS ?? DEFAULT_MIN_REQUEST_INTERVAL_MS);
+    this.nextRequestAt = 0;
+    this.defaultSearchTerms = DEFAULT_SEARCH_TERMS;
+    this.importBatchSize = 500; // Rows written per transaction
   }
 
   // Authenticate with WHO ICD-11 API
@@ -53,84 +79,190 @@ class ICD11Service {
     return this.accessToken;
   }
 
-  // Search ICD-11 entities
-  async searchEntities(query, useLinearization = true) {
+  // Search ICD-11 entities, in the deployment's release and linearization
+  // unless options name others
+  async searchEntities(query, useLinearization = true, options = {}) {
+    const { releaseId, linearization } = resolveRelease(options);
+
     try {
-      await this.ensureValidToken();
-      
       const searchURL = useLinearization 
-        ? `${this.baseURL}/icd/release/11/2024-01/mms/search`
+        ? `${this.baseURL}/icd/release/11/${releaseId}/${linearization}/search`
         : `${this.baseURL}/icd/entity/search`;
       
-      const response = await axios.get(searchURL, {
+      const data = await this.fetchJSON(searchURL, {
         params: {
           q: query,
           flatResults: true,
-          releaseId: '2024-01'
+          releaseId
         },
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Accept': 'application/json',
-          'API-Version': 'v2',
-          'Accept-Language': 'en'
-        }
+        kind: 'search',
+        releaseId,
+        language: options.language,
+        refresh: options.refresh
       });
 
-      return response.data.destinationEntities || response.data;
+      return data.destinationEntities || data;
       
     } catch (error) {
       console.error('❌ Error searching ICD-11 entities:', error.response?.data || error.message);
+      if (error.name === 'ValidationError') throw error;
       throw new Error(`ICD-11 search failed: ${error.response?.data?.error || error.message}`);
     }
   }
 
-  // Get specific ICD-11 entity by URI
-  async getEntity(entityURI) {
+  // Get specific ICD-11 entity by URI, as of a release
+  async getEntity(entityURI, options = {}) {
+    const { releaseId } = resolveRelease(options);
+
     try {
-      await this.ensureValidToken();
-      
-      // Convert http to https if needed
-      const uri = entityURI.replace('http://', 'https://');
-      
-      const response = await axios.get(uri, {
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Accept': 'application/json',
-          'API-Version': 'v2',
-          'Accept-Language': 'en'
-        }
+      const data = await this.fetchJSON(this.toRequestURL(entityURI), {
+        params: { releaseId },
+        kind: 'entity',
+        releaseId,
+        language: options.language,
+        refresh: options.refresh
       });
 
-      return this.normalizeEntity(response.data);
+      return this.normalizeEntity(data);
       
     } catch (error) {
       console.error('❌ Error fetching ICD-11 entity:', error.response?.data || error.message);
+      if (error.name === 'ValidationError') throw error;
       throw new Error(`Failed to fetch ICD-11 entity: ${error.response?.data?.error || error.message}`);
     }
   }
 
-  // Get linearization entity (for codes)
-  async getLinearizationEntity(entityURI, linearization = 'mms') {
+  // Get linearization entity (for codes), tagged with the release and
+  // linearization it was read from
+  async getLinearizationEntity(entityURI, options = {}) {
+    const { releaseId, linearization } = resolveRelease(options);
+
     try {
-      await this.ensureValidToken();
+      const uri = this.toRequestURL(entityURI).replace('/entity/', `/release/11/${releaseId}/${linearization}/`);
       
-      const uri = entityURI.replace('http://', 'https://').replace('/entity/', `/release/11/2024-01/${linearization}/`);
+      const data = await this.fetchJSON(uri, {
+        kind: 'entity',
+        releaseId,
+        language: options.language,
+        refresh: options.refresh
+      });
+
+      const entity = this.normalizeLinearizationEntity(data);
+      return entity && { ...entity, releaseId, linearization };
       
-      const response = await axios.get(uri, {
+    } catch (error) {
+      console.error('❌ Error fetching ICD-11 linearization entity:', error.response?.data || error.message);
+      if (error.name === 'ValidationError') throw error;
+      throw new Error(`Failed to fetch ICD-11 linearization entity: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * GET a WHO ICD-API resource through the response cache. Fresh entries
+   * are served without calling the API (refresh skips them); when the API
+   * cannot be reached, fails server-side or rate limits, an expired entry
+   * is served instead of the error.
+   */
+  async fetchJSON(url, { params = {}, kind, releaseId, language, refresh = false }) {
+    const lang = this.resolveLanguage(language);
+    const key = { url: ICD11ApiCache.keyURL(url, params), releaseId, language: lang, kind };
+
+    const cached = await this.cache.get(key);
+    if (cached && !cached.stale && !refresh) {
+      return cached.data;
+    }
+
+    try {
+      await this.throttle();
+      await this.ensureValidToken();
+
+      const response = await axios.get(url, {
+        params,
         headers: {
           'Authorization': `Bearer ${this.accessToken}`,
           'Accept': 'application/json',
           'API-Version': 'v2',
-          'Accept-Language': 'en'
+          'Accept-Language': lang
         }
       });
 
-      return this.normalizeLinearizationEntity(response.data);
-      
+      await this.cache.set(key, response.data);
+      return response.data;
+
     } catch (error) {
-      console.error('❌ Error fetching ICD-11 linearization entity:', error.response?.data || error.message);
-      throw new Error(`Failed to fetch ICD-11 linearization entity: ${error.response?.data?.error || error.message}`);
+      const status = error.response?.status;
+      const upstreamFailure = !status || status >= 500 || status === 429;
+
+      if (cached && upstreamFailure) {
+        console.warn(`⚠️  ICD-11 API unavailable (${status || error.message}), serving cached response from ${cached.fetchedAt}: ${key.url}`);
+        return cached.data;
+      }
+      throw error;
+    }
+  }
+
+  // Space calls to the WHO API at least minRequestInterval apart; each
+  // caller reserves its slot before waiting, so concurrent requests queue
+  async throttle() {
+    const slot = Math.max(Date.now(), this.nextRequestAt);
+    this.nextRequestAt = slot + this.minRequestInterval;
+
+    const wait = slot - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  // Language of API responses: the request's, else the deployment's
+  resolveLanguage(language) {
+    const resolved = language || this.language;
+    if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i.test(resolved)) {
+      const error = new Error(`Invalid ICD-11 language '${resolved}', expected a language code such as en or es`);
+      error.name = 'ValidationError';
+      throw error;
     }
+    return resolved;
+  }
+
+  /**
+   * Fill the response cache for search terms: each term's search results
+   * and the linearization entities of the first maxPerTerm of them.
+   * Entries already fresh are left alone unless refresh is set.
+   */
+  async warmCache(searchTerms = [], options = {}) {
+    const { maxPerTerm = 10, refresh = false, language } = options;
+    const release = resolveRelease(options);
+    const lang = this.resolveLanguage(language);
+    const terms = searchTerms.length > 0 ? searchTerms : this.defaultSearchTerms;
+    const summary = { ...release, language: lang, searchTerms: terms, searches: 0, entities: 0, errors: [] };
+
+    for (const term of terms) {
+      let results;
+      try {
+        results = await this.searchEntities(term, true, { ...release, language: lang, refresh });
+        summary.searches++;
+      } catch (error) {
+        summary.errors.push(`Search '${term}': ${error.message}`);
+        continue;
+      }
+
+      for (const result of results.slice(0, maxPerTerm)) {
+        try {
+          await this.getLinearizationEntity(result.id, { ...release, language: lang, refresh });
+          summary.entities++;
+        } catch (error) {
+          summary.errors.push(`Entity ${result.id}: ${error.message}`);
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  // Entity URIs are canonical (http://id.who.int/...); fetch them from the
+  // configured API base instead
+  toRequestURL(entityURI) {
+    return `${this.baseURL}${new URL(entityURI).pathname}`;
   }
 
   // Normalize entity data structure
@@ -143,9 +275,10 @@ class ICD11Service {
       definition: (response.definition && response.definition['@value']) || response.definition,
       longDefinition: (response.longDefinition && response.longDefinition['@value']) || response.longDefinition,
       fullySpecifiedName: (response.fullySpecifiedName && response.fullySpecifiedName['@value']) || response.fullySpecifiedName,
-      synonym: response.synonym ? response.synonym.map(s => s['@value'] || s) : [],
-      inclusion: response.inclusion ? response.inclusion.map(i => i['@value'] || i) : [],
-      exclusion: response.exclusion ? response.exclusion.map(e => e['@value'] || e) : [],
+      // Terms arrive as { label: { @language, @value } }
+      synonym: response.synonym ? response.synonym.map(s => (s.label && s.label['@value']) || s['@value'] || s) : [],
+      inclusion: response.inclusion ? response.inclusion.map(i => (i.label && i.label['@value']) || i['@value'] || i) : [],
+      exclusion: response.exclusion ? response.exclusion.map(e => (e.label && e.label['@value']) || e['@value'] || e) : [],
       codingNote: (response.codingNote && response.codingNote['@value']) || response.codingNote,
       parent: response.parent ? response.parent.map(p => p['@id'] || p) : []
     };
@@ -162,6 +295,9 @@ class ICD11Service {
       definition: (response.definition && response.definition['@value']) || response.definition,
       longDefinition: (response.longDefinition && response.longDefinition['@value']) || response.longDefinition,
       codingNote: (response.codingNote && response.codingNote['@value']) || response.codingNote,
+      synonym: response.indexTerm
+        ? response.indexTerm.map(t => (t.label && t.label['@value']) || t.label).filter(Boolean)
+        : [],
       blockId: response.blockId,
       codeRange: response.codeRange,
       classKind: response.classKind,
@@ -170,20 +306,36 @@ class ICD11Service {
     };
   }
 
-  // Store ICD-11 codes in database
+  // Store ICD-11 codes in database, under the release the entity was read
+  // from (the deployment's release when it does not say)
   async storeICD11Code(entityData) {
     try {
+      const { releaseId, linearization } = resolveRelease(entityData);
+
+      // Update in place, keeping the hierarchy columns an offline import filled
       const query = `
-        INSERT OR REPLACE INTO icd11_codes 
-        (code, display, system_uri, description, status)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO icd11_codes 
+        (code, release_id, display, system_uri, description, synonyms, tm2_type, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(code, release_id) DO UPDATE SET
+          display = excluded.display,
+          description = COALESCE(excluded.description, icd11_codes.description),
+          synonyms = excluded.synonyms,
+          tm2_type = excluded.tm2_type,
+          status = excluded.status
       `;
       
+      // Synonyms and index terms feed the full-text index
+      const synonyms = (entityData.synonym || []).filter(term => term !== entityData.title);
+
       const params = [
         entityData.code || entityData.id,
+        releaseId,
         entityData.title,
-        'http://id.who.int/icd/release/11/mms',
+        getLinearizationURI(linearization),
         entityData.definition || entityData.longDefinition,
+        synonyms.length > 0 ? synonyms.join('; ') : null,
+        classifyTM2(entityData.code, entityData.title),
         'active'
       ];
       
@@ -193,7 +345,7 @@ class ICD11Service {
             console.error('❌ Error storing ICD-11 code:', err.message);
             reject(err);
           } else {
-            console.log(`✅ Stored ICD-11 code: ${entityData.code || entityData.id}`);
+            console.log(`✅ Stored ICD-11 code: ${entityData.code || entityData.id} (${releaseId})`);
             resolve(this.lastID);
           }
         });
@@ -205,18 +357,118 @@ class ICD11Service {
     }
   }
 
-  // Get stored ICD-11 codes from database
-  async getStoredICD11Codes(limit = 100, offset = 0) {
+  // Import an ICD-11 MMS simple tabulation file (offline, no WHO API access):
+  // every chapter, block and category with its place in the hierarchy,
+  // stored as the given release (the deployment's by default)
+  async importTabulation(filePath, options = {}) {
+    const { releaseId, linearization } = resolveRelease(options);
+    const { rows, errors } = ICD11TabulationParser.parseFile(filePath);
+    const results = {
+      source: path.basename(filePath),
+      releaseId,
+      processed: 0,
+      inserted: 0,
+      updated: 0,
+      errors
+    };
+
+    const existing = new Set((await this.db.all(
+      'SELECT code FROM icd11_codes WHERE release_id = ?', [releaseId]
+    )).map(row => row.code));
+
+    for (let start = 0; start < rows.length; start += this.importBatchSize) {
+      const batch = rows.slice(start, start + this.importBatchSize);
+
+      await this.db.transaction(async () => {
+        for (const row of batch) {
+          await this.db.run(`
+            INSERT INTO icd11_codes
+            (code, release_id, display, system_uri, chapter, block, category, parent_code, class_kind,
+              tm2_type, description, inclusions, exclusions, status)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active')
+            ON CONFLICT(code, release_id) DO UPDATE SET
+              display = excluded.display,
+              chapter = excluded.chapter,
+              block = excluded.block,
+              category = excluded.category,
+              parent_code = excluded.parent_code,
+              class_kind = excluded.class_kind,
+              tm2_type = excluded.tm2_type,
+              description = COALESCE(excluded.description, icd11_codes.description),
+              inclusions = COALESCE(excluded.inclusions, icd11_codes.inclusions),
+              exclusions = COALESCE(excluded.exclusions, icd11_codes.exclusions),
+              status = 'active'
+          `, [
+            row.code, releaseId, row.display, getLinearizationURI(linearization),
+            row.chapter, row.block, row.category, row.parentCode,
+            row.classKind, classifyTM2(row.code, row.display), row.definition, row.inclusions, row.exclusions
+          ]);
+
+          results.processed++;
+          if (existing.has(row.code)) {
+            results.updated++;
+          } else {
+            results.inserted++;
+            existing.add(row.code);
+          }
+        }
+      });
+    }
+
+    return results;
+  }
+
+  // Tag stored TM2 codes as disorders or patterns, for codes stored before
+  // the tag existed or by scripts that bypass storeICD11Code
+  async tagTM2Codes() {
+    const rows = await this.db.all(`
+      SELECT id, code, display, tm2_type FROM icd11_codes
+      WHERE code LIKE 'S%' OR tm2_type IS NOT NULL
+    `);
+
+    for (const row of rows) {
+      const tm2Type = classifyTM2(row.code, row.display);
+      if (tm2Type !== row.tm2_type) {
+        await this.db.run('UPDATE icd11_codes SET tm2_type = ? WHERE id = ?', [tm2Type, row.id]);
+      }
+    }
+  }
+
+  // Get stored TM2 codes of a release, optionally only disorders or patterns
+  async getStoredTM2Codes(tm2Type, options = {}) {
+    const { releaseId } = resolveRelease(options);
+
+    return this.db.all(`
+      SELECT * FROM icd11_codes
+      WHERE status = 'active' AND release_id = ? AND tm2_type ${tm2Type ? '= ?' : 'IS NOT NULL'}
+      ORDER BY code
+    `, tm2Type ? [releaseId, tm2Type] : [releaseId]);
+  }
+
+  // ICD-11 codes of a release to match NAMASTE codes against: the most
+  // recent stored codes plus every TM2 code, as TM2 codes are the preferred
+  // targets
+  async getMatchCandidates(limit = 1000, options = {}) {
+    const stored = await this.getStoredICD11Codes(limit, 0, options);
+    const storedCodes = new Set(stored.map(row => row.code));
+    const tm2Codes = await this.getStoredTM2Codes(null, options);
+
+    return [...stored, ...tm2Codes.filter(row => !storedCodes.has(row.code))];
+  }
+
+  // Get stored ICD-11 codes of a release from database
+  async getStoredICD11Codes(limit = 100, offset = 0, options = {}) {
     try {
+      const { releaseId } = resolveRelease(options);
       const query = `
         SELECT * FROM icd11_codes 
-        WHERE status = 'active'
+        WHERE status = 'active' AND release_id = ?
         ORDER BY created_at DESC
         LIMIT ? OFFSET ?
       `;
       
       return new Promise((resolve, reject) => {
-        this.db.db.all(query, [limit, offset], (err, rows) => {
+        this.db.db.all(query, [releaseId, limit, offset], (err, rows) => {
           if (err) {
             console.error('❌ Error fetching stored ICD-11 codes:', err.message);
             reject(err);
@@ -232,31 +484,35 @@ class ICD11Service {
     }
   }
 
-  // Search stored ICD-11 codes
-  async searchStoredICD11Codes(query) {
+  // Search stored ICD-11 codes of a release
+  async searchStoredICD11Codes(query, options = {}) {
     try {
+      const { releaseId } = resolveRelease(options);
+      const matchQuery = FullTextSearch.buildMatchQuery(query);
+      if (!matchQuery) return [];
+
+      // Code prefix hits first, then full-text hits by BM25 rank
+      // (display weighted above synonyms, descriptions lowest)
       const searchQuery = `
-        SELECT * FROM icd11_codes 
-        WHERE status = 'active' AND (
-          code LIKE ? OR 
-          display LIKE ? OR 
-          description LIKE ?
-        )
+        SELECT c.*
+        FROM icd11_codes c
+        LEFT JOIN (
+          SELECT rowid, bm25(icd11_codes_fts, 0, 10, 1, 5) AS rank
+          FROM icd11_codes_fts
+          WHERE icd11_codes_fts MATCH ?
+        ) m ON m.rowid = c.id
+        WHERE c.status = 'active' AND c.release_id = ? AND (m.rowid IS NOT NULL OR c.code LIKE ?)
         ORDER BY 
-          CASE 
-            WHEN code LIKE ? THEN 1
-            WHEN display LIKE ? THEN 2
-            ELSE 3
-          END,
-          display
+          CASE WHEN c.code LIKE ? THEN 1 ELSE 2 END,
+          m.rank,
+          c.display
         LIMIT 50
       `;
       
-      const searchTerm = `%${query}%`;
-      const exactTerm = `${query}%`;
+      const codeTerm = `${query}%`;
       
       return new Promise((resolve, reject) => {
-        this.db.db.all(searchQuery, [searchTerm, searchTerm, searchTerm, exactTerm, exactTerm], (err, rows) => {
+        this.db.db.all(searchQuery, [matchQuery, releaseId, codeTerm, codeTerm], (err, rows) => {
           if (err) {
             console.error('❌ Error searching stored ICD-11 codes:', err.message);
             reject(err);
@@ -271,6 +527,18 @@ class ICD11Service {
       throw error;
     }
   }
+
+  // Releases stored in icd11_codes, newest first, with their code and
+  // mapping counts
+  async getStoredReleases() {
+    return this.db.all(`
+      SELECT c.release_id, c.system_uri, COUNT(*) AS codes,
+        (SELECT COUNT(*) FROM concept_mappings m WHERE m.icd11_release = c.release_id) AS mappings
+      FROM icd11_codes c
+      GROUP BY c.release_id, c.system_uri
+      ORDER BY c.release_id DESC
+    `);
+  }
 }
 
 module.exports = ICD11Service;
\ No newline at end of file
@@ -0,0 +1,215 @@
+const { isNamasteSystem } = require('../utils/namasteSystems');
+const { getDefaultReleaseId } = require('../utils/icd11Release');
+const { CURRENT_VERSION } = require('./fhirCodeSystemService');
+
+const ICD11_URL = 'http://id.who.int/icd/release/11/mms';
+
+/**
+ * Release-to-release change reports: compare two versions of a code system
+ * and flag the concept mappings that point at changed or retired codes, so
+ * mapping maintainers know what to re-review after each release.
+ */
+class ReleaseDiffService {
+  constructor(database, codeSystemService) {
+    this.db = database;
+    this.codeSystemService = codeSystemService;
+  }
+
+  /**
+   * Compare two versions of a NAMASTE or ICD-11 code system. Either
+   * version may be 'current' for the live codes (for ICD-11, the
+   * deployment's release). Lists added, retired, renamed and redefined
+   * concepts and hierarchy moves.
+   */
+  async compare(system, fromVersion, toVersion = CURRENT_VERSION) {
+    if (!isNamasteSystem(system) && system !== ICD11_URL) {
+      throw this.createValidationError(`Unknown code system '${system}'`);
+    }
+    if (!fromVersion) {
+      throw this.createValidationError('The version to compare from is required');
+    }
+
+    const before = await this.loadConcepts(system, fromVersion);
+    const after = await this.loadConcepts(system, toVersion);
+
+    const report = {
+      added: [],
+      retired: [],
+      renamed: [],
+      redefined: [],
+      moved: []
+    };
+
+    for (const [code, concept] of after) {
+      const previous = before.get(code);
+
+      if (!previous) {
+        report.added.push({ code, display: concept.display });
+        continue;
+      }
+
+      if (previous.status !== 'retired' && concept.status === 'retired') {
+        report.retired.push({ code, display: concept.display, reason: 'retired', replacedBy: concept.replacedBy });
+      }
+      if (previous.display !== concept.display) {
+        report.renamed.push({ code, from: previous.display, to: concept.display });
+      }
+      if (previous.definition !== concept.definition) {
+        report.redefined.push({ code, display: concept.display, from: previous.definition, to: concept.definition });
+      }
+      if (previous.parent !== concept.parent) {
+        report.moved.push({ code, display: concept.display, from: previous.parent, to: concept.parent });
+      }
+    }
+
+    for (const [code, concept] of before) {
+      if (!after.has(code) && concept.status !== 'retired') {
+        report.retired.push({ code, display: concept.display, reason: 'removed', replacedBy: null });
+      }
+    }
+
+    const affectedMappings = await this.findAffectedMappings(system, report, fromVersion);
+
+    return {
+      system,
+      from: fromVersion,
+      to: toVersion,
+      summary: {
+        added: report.added.length,
+        retired: report.retired.length,
+        renamed: report.renamed.length,
+        redefined: report.redefined.length,
+        moved: report.moved.length,
+        affectedMappings: affectedMappings.length
+      },
+      ...report,
+      affectedMappings
+    };
+  }
+
+  /**
+   * Load the concepts of one version, keyed by code. ICD-11 releases come
+   * from the code table, which keeps each stored release, as no ICD-11
+   * CodeSystem resource is generated; other published versions are read
+   * from the stored CodeSystem.
+   */
+  async loadConcepts(system, version) {
+    const rows = system === ICD11_URL
+      ? await this.db.all(
+        'SELECT code, display, description, status, parent_code, chapter, block FROM icd11_codes WHERE release_id = ?',
+        [this.getICD11ReleaseId(version)]
+      )
+      : [];
+
+    if (rows.length > 0 || (system === ICD11_URL && version === CURRENT_VERSION)) {
+      return new Map(rows.map(row => [row.code, {
+        display: row.display,
+        definition: row.description || null,
+        status: row.status,
+        parent: row.parent_code || row.block || row.chapter || null,
+        replacedBy: null
+      }]));
+    }
+
+    if (isNamasteSystem(system) && version === CURRENT_VERSION) {
+      // Refresh the live CodeSystems so the report sees every change
+      await this.codeSystemService.createNAMASTECodeSystems();
+    }
+
+    const stored = await this.db.get(`
+      SELECT content FROM fhir_resources
+      WHERE resource_type = 'CodeSystem'
+        AND json_extract(content, '$.url') = ? AND json_extract(content, '$.version') = ?
+    `, [system, version]);
+
+    if (!stored) {
+      throw this.createValidationError(`No version '${version}' of code system '${system}'`);
+    }
+
+    const concepts = new Map();
+    this.collectConcepts(JSON.parse(stored.content).concept || [], null, concepts);
+    return concepts;
+  }
+
+  /**
+   * Flatten FHIR concepts into comparable entries. The parent is the
+   * enclosing concept of nested concepts, a `parent` property or, failing
+   * both, the NAMASTE ontology branch.
+   */
+  collectConcepts(concepts, enclosing, result) {
+    for (const concept of concepts) {
+      const property = (code) => {
+        const entry = (concept.property || []).find(candidate => candidate.code === code);
+        return entry ? entry.valueCode || entry.valueString || null : null;
+      };
+
+      result.set(concept.code, {
+        display: concept.display,
+        definition: concept.definition || null,
+        status: property('status') || 'active',
+        parent: enclosing || property('parent') || property('ontology_branch'),
+        replacedBy: property('replacedBy')
+      });
+
+      if (concept.concept) {
+        this.collectConcepts(concept.concept, concept.code, result);
+      }
+    }
+  }
+
+  /**
+   * The ICD-11 release an ICD-11 version names
+   */
+  getICD11ReleaseId(version) {
+    return version === CURRENT_VERSION ? getDefaultReleaseId() : version;
+  }
+
+  /**
+   * Concept mappings whose source (NAMASTE) or target (ICD-11) code was
+   * retired, renamed, redefined or moved, with the changes that apply.
+   * For ICD-11 only the mappings to the release compared from count.
+   */
+  async findAffectedMappings(system, report, fromVersion) {
+    const changes = new Map();
+    const flag = (code, change) => {
+      changes.set(code, [...(changes.get(code) || []), change]);
+    };
+
+    report.retired.forEach(entry => flag(entry.code, 'retired'));
+    report.renamed.forEach(entry => flag(entry.code, 'renamed'));
+    report.redefined.forEach(entry => flag(entry.code, 'redefined'));
+    report.moved.forEach(entry => flag(entry.code, 'moved'));
+
+    if (changes.size === 0) {
+      return [];
+    }
+
+    const column = system === ICD11_URL ? 'icd11_code' : 'namaste_code';
+    const mappings = await this.db.all(`
+      SELECT namaste_code, icd11_code, icd11_release, equivalence, confidence, mapping_type
+      FROM concept_mappings
+      ${system === ICD11_URL ? 'WHERE icd11_release = ?' : ''}
+      ORDER BY namaste_code, icd11_code
+    `, system === ICD11_URL ? [this.getICD11ReleaseId(fromVersion)] : []);
+
+    return mappings
+      .filter(mapping => changes.has(mapping[column]))
+      .map(mapping => ({
+        namasteCode: mapping.namaste_code,
+        icd11Code: mapping.icd11_code,
+        icd11Release: mapping.icd11_release,
+        equivalence: mapping.equivalence,
+        confidence: mapping.confidence,
+        mappingType: mapping.mapping_type,
+        changes: changes.get(mapping[column])
+      }));
+  }
+
+  createValidationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+module.exports = ReleaseDiffService;
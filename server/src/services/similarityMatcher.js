@@ -1,4 +1,6 @@
 const fuzz = require('fuzzball');
+const { classifyTM2 } = require('../utils/tm2');
+const { getDefaultReleaseId } = require('../utils/icd11Release');
 
 class SimilarityMatcher {
   constructor(db) {
@@ -63,7 +65,10 @@ class SimilarityMatcher {
     };
   }
 
-  // Find best matches for Ayurveda code against ICD-11 codes
+  // Find best matches for Ayurveda code against ICD-11 codes. TM2 codes are
+  // the primary targets, with the best biomedical code as a secondary one
+  // in the last of the maxResults slots; without TM2 candidates the
+  // biomedical codes are primary.
   async findBestMatches(ayurvedaCode, icd11Codes, maxResults = 5) {
     const matches = [];
     
@@ -82,6 +87,9 @@ class SimilarityMatcher {
           ayurveda_code: ayurvedaCode.code,
           icd11_code: icd11Code.code || icd11Code.id,
           icd11_display: icd11Code.display || icd11Code.title,
+          // Stored codes and API entities both carry the release they are from
+          icd11_release: icd11Code.release_id || icd11Code.releaseId || getDefaultReleaseId(),
+          tm2_type: icd11Code.tm2_type || classifyTM2(icd11Code.code, icd11Code.display || icd11Code.title),
           similarity_score: similarityResult.composite,
           similarity_details: similarityResult.individual,
           confidence: this.getConfidenceLevel(similarityResult.composite),
@@ -92,9 +100,24 @@ class SimilarityMatcher {
     }
     
     // Sort by similarity score (descending) and return top results
-    return matches
-      .sort((a, b) => b.similarity_score - a.similarity_score)
-      .slice(0, maxResults);
+    matches.sort((a, b) => b.similarity_score - a.similarity_score);
+
+    const tm2Matches = matches.filter(match => match.tm2_type);
+    const biomedicalMatches = matches.filter(match => !match.tm2_type);
+
+    if (tm2Matches.length === 0) {
+      return biomedicalMatches
+        .slice(0, maxResults)
+        .map(match => ({ ...match, target_role: 'primary' }));
+    }
+
+    // With a single slot, the best TM2 code takes it
+    const secondary = maxResults > 1 ? biomedicalMatches.slice(0, 1) : [];
+
+    return [
+      ...tm2Matches.slice(0, maxResults - secondary.length).map(match => ({ ...match, target_role: 'primary' })),
+      ...secondary.map(match => ({ ...match, target_role: 'secondary' }))
+    ];
   }
 
   // Create searchable text from code object
@@ -200,13 +223,15 @@ class SimilarityMatcher {
     try {
       const query = overwriteExisting 
         ? `INSERT OR REPLACE INTO concept_mappings 
-           (namaste_code, icd11_code, equivalence, confidence, mapping_type, similarity_score, mapping_details)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`
+           (namaste_code, icd11_code, icd11_release, equivalence, confidence, mapping_type, similarity_score, mapping_details)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
         : `INSERT OR IGNORE INTO concept_mappings 
-           (namaste_code, icd11_code, equivalence, confidence, mapping_type, similarity_score, mapping_details)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`;
+           (namaste_code, icd11_code, icd11_release, equivalence, confidence, mapping_type, similarity_score, mapping_details)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
       
       const mappingDetails = JSON.stringify({
+        target_role: mapping.target_role,
+        tm2_type: mapping.tm2_type,
         similarity_details: mapping.similarity_details,
         ayurveda_text: mapping.ayurveda_text,
         icd11_text: mapping.icd11_text
@@ -215,6 +240,7 @@ class SimilarityMatcher {
       const params = [
         mapping.ayurveda_code,
         mapping.icd11_code,
+        mapping.icd11_release,
         'equivalent', // Default equivalence
         mapping.similarity_score,
         'automatic',
@@ -246,7 +272,7 @@ class SimilarityMatcher {
         SELECT cm.*, nc.display as ayurveda_display, ic.display as icd11_display
         FROM concept_mappings cm
         LEFT JOIN namaste_codes nc ON cm.namaste_code = nc.code
-        LEFT JOIN icd11_codes ic ON cm.icd11_code = ic.code
+        LEFT JOIN icd11_codes ic ON cm.icd11_code = ic.code AND cm.icd11_release = ic.release_id
         WHERE 1=1
       `;
       
@@ -262,6 +288,11 @@ class SimilarityMatcher {
         params.push(filters.icd11_code);
       }
       
+      if (filters.icd11_release) {
+        query += ' AND cm.icd11_release = ?';
+        params.push(filters.icd11_release);
+      }
+      
       if (filters.min_confidence) {
         query += ' AND cm.confidence >= ?';
         params.push(filters.min_confidence);
@@ -0,0 +1,396 @@
+const csv = require('csv-parser');
+const path = require('path');
+const { pipeline } = require('stream');
+const XLSX = require('xlsx');
+const { v4: uuidv4 } = require('uuid');
+const CSVParser = require('../utils/csvParser');
+const TerminologyImportParser = require('../utils/terminologyImportParser');
+
+// Upload formats, with the profile used when none is given
+const UPLOAD_FORMATS = {
+  '.csv': 'namaste-csv',
+  '.xls': 'namaste-ayurveda',
+  '.xlsx': 'namaste-ayurveda'
+};
+
+// Reason recorded on codes retired for going missing from a full-release
+// import; only these are reactivated when a later import brings them back
+const MISSING_REASON = 'Missing from import';
+
+/**
+ * Dry-run imports: validate mapped import rows, diff them against the stored
+ * NAMASTE codes and keep the preview so that exactly that change set can be
+ * applied after review.
+ */
+class TerminologyImportService {
+  constructor(database, codeSystemService) {
+    this.db = database;
+    this.codeSystemService = codeSystemService;
+    this.batchSize = 500; // Rows written per transaction
+  }
+
+  /**
+   * Import an uploaded file stream. CSV is parsed as it arrives and written
+   * in batched transactions; XLS/XLSX workbooks are read once the upload is
+   * complete, as the format cannot be parsed incrementally. onProgress is
+   * called with the running results after every batch. A dry run collects
+   * the rows into a preview instead of writing them. retireMissing marks the
+   * file as a full release (see isMissingFromImport).
+   */
+  async importUpload(stream, filename, { profile, dryRun = false, retireMissing = false, createdBy, onProgress } = {}) {
+    const extension = path.extname(filename || '').toLowerCase();
+    let resolved;
+    try {
+      if (!UPLOAD_FORMATS[extension]) {
+        throw this.createError('ValidationError', `Unsupported file type '${extension}'; upload a CSV, XLS or XLSX file`);
+      }
+      resolved = TerminologyImportParser.loadProfile(profile || UPLOAD_FORMATS[extension]);
+    } catch (error) {
+      // Drain the rejected upload so the request can complete; its own
+      // errors (such as the size limit) no longer matter
+      stream.on('error', () => {}).resume();
+      throw error;
+    }
+    const rows = this.readUpload(stream, extension, resolved);
+
+    if (dryRun) {
+      const collected = [];
+      for await (const row of rows) {
+        collected.push(row);
+      }
+      return this.preview(collected, { source: filename, retireMissing, createdBy });
+    }
+
+    const results = { processed: 0, inserted: 0, updated: 0, errors: [] };
+    const uploaded = { codes: new Set(), systems: new Set() };
+    let batch = [];
+
+    const flush = async () => {
+      await this.codeSystemService.ingestBatch(batch, results);
+      batch = [];
+      if (onProgress) onProgress(results);
+    };
+
+    for await (const row of rows) {
+      batch.push(row);
+      if (row.code) uploaded.codes.add(row.code);
+      if (row.system) uploaded.systems.add(row.system);
+      if (batch.length >= this.batchSize) {
+        await flush();
+      }
+    }
+    if (batch.length > 0) {
+      await flush();
+    }
+
+    const lifecycle = await this.applyLifecycleChanges(
+      await this.findLifecycleChanges(uploaded.codes, uploaded.systems, { retireMissing }),
+      filename
+    );
+
+    if (results.inserted > 0 || results.updated > 0) {
+      await this.codeSystemService.createNAMASTECodeSystems();
+    }
+
+    return { source: filename, ...results, ...lifecycle };
+  }
+
+  /**
+   * Import mapped rows without a preview: upsert them, then retire and
+   * reactivate codes as applying their preview would
+   */
+  async importRows(rows, { source, retireMissing = false } = {}) {
+    const results = await this.codeSystemService.ingestCSV(rows);
+
+    const lifecycle = await this.applyLifecycleChanges(
+      await this.findLifecycleChanges(
+        new Set(rows.map(row => row.code).filter(Boolean)),
+        new Set(rows.map(row => row.system).filter(Boolean)),
+        { retireMissing }
+      ),
+      source
+    );
+
+    return { source, ...results, ...lifecycle };
+  }
+
+  /**
+   * Yield the mapped import rows of an uploaded file
+   */
+  async *readUpload(stream, extension, profile) {
+    if (extension === '.csv') {
+      // Strip a UTF-8 byte order mark from the first header
+      const parser = csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '') });
+      // pipeline (unlike pipe) passes upload errors on to the parser
+      for await (const record of pipeline(stream, parser, () => {})) {
+        yield TerminologyImportParser.mapRecords([record], profile)[0];
+      }
+      return;
+    }
+
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    yield* TerminologyImportParser.parseWorkbook(XLSX.read(Buffer.concat(chunks)), profile);
+  }
+
+  /**
+   * Validate rows and store a preview of the change set they would make.
+   * Invalid uploads are reported but not stored, so they cannot be applied.
+   */
+  async preview(rows, { source, retireMissing = false, createdBy } = {}) {
+    const validation = CSVParser.validateNAMASTECSV(rows);
+
+    if (!validation.valid) {
+      return {
+        previewId: null,
+        source,
+        valid: false,
+        errors: validation.errors
+      };
+    }
+
+    const diff = await this.diff(rows, { retireMissing });
+    const previewId = uuidv4();
+
+    await this.db.run(`
+      INSERT INTO import_previews (preview_id, source, rows, diff, retire_missing, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [previewId, source || null, JSON.stringify(rows), JSON.stringify(diff), retireMissing ? 1 : 0, createdBy || null]);
+
+    return {
+      previewId,
+      source,
+      valid: true,
+      errors: [],
+      summary: this.summarize(diff),
+      diff
+    };
+  }
+
+  /**
+   * Apply a stored preview. Fails with a ConflictError when the stored codes
+   * changed since the preview was taken, so nothing unreviewed is committed.
+   */
+  async apply(previewId, { appliedBy } = {}) {
+    const preview = await this.db.get(
+      'SELECT * FROM import_previews WHERE preview_id = ?',
+      [previewId]
+    );
+
+    if (!preview) {
+      return null;
+    }
+
+    if (preview.status !== 'pending') {
+      throw this.createError('ConflictError', `Import preview ${previewId} was already ${preview.status}`);
+    }
+
+    const rows = JSON.parse(preview.rows);
+    const diff = JSON.parse(preview.diff);
+
+    // One transaction for the whole change set, including the check that
+    // it is still current, so a failure leaves nothing half applied
+    const results = await this.db.transaction(async () => {
+      const current = await this.diff(rows, { retireMissing: Boolean(preview.retire_missing) });
+
+      if (JSON.stringify(current) !== JSON.stringify(diff)) {
+        throw this.createError(
+          'ConflictError',
+          'Terminology changed since the preview was taken; run the dry run again'
+        );
+      }
+
+      const changedCodes = new Set([
+        ...diff.added.map(entry => entry.code),
+        ...diff.changed.map(entry => entry.code)
+      ]);
+
+      const ingested = await this.codeSystemService.ingestCSV(
+        rows.filter(row => changedCodes.has(row.code))
+      );
+
+      const lifecycle = await this.applyLifecycleChanges({
+        retired: diff.retired.map(entry => entry.code),
+        reactivated: diff.changed.filter(entry => entry.changes.status).map(entry => entry.code)
+      }, preview.source || previewId);
+
+      await this.db.run(`
+        UPDATE import_previews
+        SET status = 'applied', applied_by = ?, applied_at = CURRENT_TIMESTAMP
+        WHERE preview_id = ?
+      `, [appliedBy || null, previewId]);
+
+      return { ...ingested, ...lifecycle };
+    });
+
+    return {
+      previewId,
+      source: preview.source,
+      summary: this.summarize(diff),
+      results
+    };
+  }
+
+  /**
+   * Diff import rows against the stored codes: added codes, changed codes
+   * with their field-by-field changes, and, with retireMissing, retired
+   * codes (see isMissingFromImport).
+   */
+  async diff(rows, { retireMissing = false } = {}) {
+    const importColumns = this.codeSystemService.getImportColumns();
+    const fields = ['display', 'system', 'specialty', ...importColumns];
+    const stored = await this.db.all(`
+      SELECT *, system_name AS system FROM namaste_codes ORDER BY code
+    `);
+    const storedByCode = new Map(stored.map(row => [row.code, row]));
+    const designations = await this.codeSystemService.getConceptDesignations(stored.map(row => row.code));
+
+    const diff = { added: [], changed: [], retired: [], unchanged: 0 };
+
+    for (const row of rows) {
+      const existing = storedByCode.get(row.code);
+      const incoming = {
+        ...row,
+        specialty: row.specialty || 'General Medicine'
+      };
+
+      if (!existing) {
+        diff.added.push({ code: row.code, display: row.display, system: row.system });
+        continue;
+      }
+
+      const changes = {};
+      for (const field of fields) {
+        const from = existing[field] || null;
+        const to = incoming[field] || null;
+        // Empty optional columns keep the stored value (see ingestBatch)
+        if (to === null && importColumns.includes(field)) {
+          continue;
+        }
+        if (from !== to) {
+          changes[field] = { from, to };
+        }
+      }
+
+      // Designations are only added or replaced, never removed, by an import
+      for (const { language, value } of this.codeSystemService.collectDesignations(row)) {
+        const current = (designations[row.code] || []).find(designation => designation.language === language);
+        const from = current ? current.value : null;
+        if (from !== value) {
+          changes[`designation:${language}`] = { from, to: value };
+        }
+      }
+
+      // Only codes retired for going missing come back; a curator's
+      // deprecation or retirement stays
+      if (this.isRetiredAsMissing(existing)) {
+        changes.status = { from: existing.status, to: 'active' };
+      }
+
+      if (Object.keys(changes).length > 0) {
+        diff.changed.push({ code: row.code, display: row.display, changes });
+      } else {
+        diff.unchanged++;
+      }
+    }
+
+    if (retireMissing) {
+      const uploadedCodes = new Set(rows.map(row => row.code));
+      const uploadedSystems = new Set(rows.map(row => row.system));
+      diff.retired = stored
+        .filter(row => this.isMissingFromImport(row, uploadedCodes, uploadedSystems))
+        .map(row => ({ code: row.code, display: row.display, system: row.system }));
+    }
+
+    return diff;
+  }
+
+  /**
+   * Whether a full-release import retires a stored code: it is active in
+   * one of the uploaded systems but not among the uploaded codes, so a
+   * Siddha-only file never retires Ayurveda codes. Other imports are
+   * partial and retire nothing.
+   */
+  isMissingFromImport(row, uploadedCodes, uploadedSystems) {
+    return row.status === 'active' && uploadedSystems.has(row.system) && !uploadedCodes.has(row.code);
+  }
+
+  isRetiredAsMissing(row) {
+    return row.status === 'retired' && (row.status_reason || '').startsWith(MISSING_REASON);
+  }
+
+  /**
+   * Codes an import of the given codes retires (with retireMissing only),
+   * and codes it reactivates because an earlier import retired them for
+   * going missing
+   */
+  async findLifecycleChanges(uploadedCodes, uploadedSystems, { retireMissing = false } = {}) {
+    const stored = await this.db.all(`
+      SELECT code, system_name AS system, status, status_reason FROM namaste_codes
+    `);
+
+    return {
+      retired: retireMissing
+        ? stored
+          .filter(row => this.isMissingFromImport(row, uploadedCodes, uploadedSystems))
+          .map(row => row.code)
+        : [],
+      reactivated: stored
+        .filter(row => uploadedCodes.has(row.code) && this.isRetiredAsMissing(row))
+        .map(row => row.code)
+    };
+  }
+
+  /**
+   * Retire and reactivate codes in one transaction, regenerating the
+   * CodeSystems when any status changed. Returns the counts.
+   */
+  async applyLifecycleChanges({ retired, reactivated }, source) {
+    if (retired.length === 0 && reactivated.length === 0) {
+      return { retired: 0, reactivated: 0 };
+    }
+
+    await this.db.transaction(async () => {
+      for (const code of reactivated) {
+        await this.db.run(`
+          UPDATE namaste_codes
+          SET status = 'active', status_reason = NULL, status_date = NULL, replaced_by = NULL,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE code = ?
+        `, [code]);
+      }
+
+      for (const code of retired) {
+        await this.db.run(`
+          UPDATE namaste_codes
+          SET status = 'retired', status_reason = ?, status_date = DATE('now'),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE code = ?
+        `, [source ? `${MISSING_REASON} ${source}` : MISSING_REASON, code]);
+      }
+
+      await this.codeSystemService.createNAMASTECodeSystems();
+    });
+
+    return { retired: retired.length, reactivated: reactivated.length };
+  }
+
+  summarize(diff) {
+    return {
+      added: diff.added.length,
+      changed: diff.changed.length,
+      retired: diff.retired.length,
+      unchanged: diff.unchanged
+    };
+  }
+
+  createError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+  }
+}
+
+module.exports = TerminologyImportService;
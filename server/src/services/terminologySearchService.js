@@ -0,0 +1,304 @@
+const FullTextSearch = require('../utils/fullTextSearch');
+const { TM2_FACET_VALUE } = require('../utils/tm2');
+const { NAMASTE_SYSTEMS } = require('../utils/namasteSystems');
+const { getDefaultReleaseId } = require('../utils/icd11Release');
+
+class TerminologySearchService {
+  constructor(db) {
+    this.db = db;
+    this.candidateLimit = 500; // Rows scored per source before ranking
+    this.maxLimit = 50; // Most results a query may ask for
+    this.icd11FacetValue = 'ICD-11';
+  }
+
+  // Normalize text for matching: lowercase, Latin diacritics folded
+  // (as the full-text index does), punctuation to spaces
+  normalizeText(text) {
+    if (!text) return '';
+
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Ranked type-ahead search over NAMASTE and stored ICD-11 codes.
+   * Every query token must match the start of a word (or the code);
+   * hits are ranked by how closely the best field matches the query.
+   * ICD-11 TM2 codes form their own system facet (TM2), and tm2Type
+   * narrows the search to TM2 disorders or patterns. limit (a number or
+   * numeric string) is capped at maxLimit; an invalid limit, system or
+   * tm2Type throws a ValidationError.
+   */
+  async autocomplete(query, options = {}) {
+    const startTime = Date.now();
+    const {
+      limit = 10,
+      system,
+      specialty,
+      tm2Type,
+      includeFacets = false
+    } = options;
+
+    const resultLimit = Number(limit);
+    if (!Number.isInteger(resultLimit) || resultLimit < 1) {
+      throw this.createValidationError(`Invalid limit '${limit}'; expected a positive integer`);
+    }
+
+    const systems = [...Object.keys(NAMASTE_SYSTEMS), this.icd11FacetValue, TM2_FACET_VALUE];
+    if (system && !systems.includes(system)) {
+      throw this.createValidationError(`Unknown system '${system}'; expected one of ${systems.join(', ')}`);
+    }
+
+    if (tm2Type && !['disorder', 'pattern'].includes(tm2Type)) {
+      throw this.createValidationError(`Unknown tm2Type '${tm2Type}'; expected disorder or pattern`);
+    }
+
+    const normalizedQuery = this.normalizeText(query);
+    const tokens = normalizedQuery.split(' ').filter(Boolean);
+
+    if (tokens.length === 0) {
+      return { query, total: 0, results: [], took: Date.now() - startTime };
+    }
+
+    const candidates = [];
+    let matched = 0;
+    const icd11Systems = [this.icd11FacetValue, TM2_FACET_VALUE];
+
+    if (!icd11Systems.includes(system) && !tm2Type) {
+      const found = await this.findNamasteCandidates(tokens, { system, specialty });
+      candidates.push(...found.candidates);
+      matched += found.total;
+    }
+
+    if ((!system || icd11Systems.includes(system)) && !specialty) {
+      const found = await this.findICD11Candidates(tokens, { system, tm2Type });
+      candidates.push(...found.candidates);
+      matched += found.total;
+    }
+
+    const hits = candidates
+      .map(candidate => this.scoreCandidate(candidate, normalizedQuery, tokens))
+      .filter(hit => hit.score > 0)
+      .sort((a, b) =>
+        b.score - a.score ||
+        a.display.length - b.display.length ||
+        a.code.localeCompare(b.code)
+      );
+
+    // Only the best-ranked candidates are scored, so the total comes from
+    // the database; rows beyond the candidate limit count as matches
+    const response = {
+      query,
+      total: hits.length + matched - candidates.length,
+      results: hits.slice(0, Math.min(resultLimit, this.maxLimit))
+    };
+
+    if (includeFacets) {
+      response.facets = this.buildFacets(hits);
+    }
+
+    response.took = Date.now() - startTime;
+    return response;
+  }
+
+  // Fetch the best NAMASTE rows matching every query token, code prefixes
+  // first and full-text hits by BM25 rank, with the count of all matches
+  async findNamasteCandidates(tokens, { system, specialty }) {
+    const codeTerm = `${tokens.join(' ')}%`;
+    let where = `
+      FROM namaste_codes
+      LEFT JOIN (
+        SELECT rowid AS match_id, bm25(namaste_codes_fts, 0, 10, 1, 5) AS rank
+        FROM namaste_codes_fts
+        WHERE namaste_codes_fts MATCH ?
+      ) ON match_id = id
+      WHERE status = 'active' AND (match_id IS NOT NULL OR code LIKE ?)
+    `;
+    const params = [FullTextSearch.buildMatchQuery(tokens.join(' ')), codeTerm];
+
+    if (system) {
+      where += ' AND system_name = ?';
+      params.push(system);
+    }
+
+    if (specialty) {
+      where += ' AND specialty = ?';
+      params.push(specialty);
+    }
+
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total ${where}`, params);
+    const rows = await this.db.all(`
+      SELECT code, display, description, synonyms, system_name, specialty,
+        (SELECT group_concat(value, ';') FROM namaste_designations d WHERE d.code = namaste_codes.code) AS designations
+      ${where}
+      ORDER BY CASE WHEN code LIKE ? THEN 1 ELSE 2 END, rank, code
+      LIMIT ?
+    `, [...params, codeTerm, this.candidateLimit]);
+
+    const candidates = rows.map(row => ({
+      source: 'namaste',
+      system: 'http://terminology.ayush.gov.in/CodeSystem/namaste',
+      code: row.code,
+      display: row.display,
+      fields: {
+        code: row.code,
+        display: row.display,
+        designations: this.splitSynonyms(row.designations),
+        synonyms: this.splitSynonyms(row.synonyms),
+        description: row.description
+      },
+      systemName: row.system_name,
+      specialty: row.specialty
+    }));
+
+    return { candidates, total };
+  }
+
+  // Fetch the best stored ICD-11 rows of the deployment's release matching
+  // every query token, ranked and counted as for NAMASTE; the TM2 facet (or
+  // a TM2 type) keeps only TM2 codes and the ICD-11 facet only the others
+  async findICD11Candidates(tokens, { system, tm2Type } = {}) {
+    const codeTerm = `${tokens.join(' ')}%`;
+    let where = `
+      FROM icd11_codes
+      LEFT JOIN (
+        SELECT rowid AS match_id, bm25(icd11_codes_fts, 0, 10, 1, 5) AS rank
+        FROM icd11_codes_fts
+        WHERE icd11_codes_fts MATCH ?
+      ) ON match_id = id
+      WHERE status = 'active' AND release_id = ? AND (match_id IS NOT NULL OR code LIKE ?)
+    `;
+    const params = [FullTextSearch.buildMatchQuery(tokens.join(' ')), getDefaultReleaseId(), codeTerm];
+
+    if (tm2Type) {
+      where += ' AND tm2_type = ?';
+      params.push(tm2Type);
+    } else if (system === TM2_FACET_VALUE) {
+      where += ' AND tm2_type IS NOT NULL';
+    } else if (system === this.icd11FacetValue) {
+      where += ' AND tm2_type IS NULL';
+    }
+
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total ${where}`, params);
+    const rows = await this.db.all(`
+      SELECT code, release_id, display, description, synonyms, tm2_type
+      ${where}
+      ORDER BY CASE WHEN code LIKE ? THEN 1 ELSE 2 END, rank, code
+      LIMIT ?
+    `, [...params, codeTerm, this.candidateLimit]);
+
+    const candidates = rows.map(row => ({
+      source: 'icd11',
+      system: 'http://id.who.int/icd/release/11/mms',
+      version: row.release_id,
+      code: row.code,
+      display: row.display,
+      fields: { code: row.code, display: row.display, synonyms: this.splitSynonyms(row.synonyms), description: row.description },
+      systemName: row.tm2_type ? TM2_FACET_VALUE : this.icd11FacetValue,
+      specialty: null,
+      tm2Type: row.tm2_type
+    }));
+
+    return { candidates, total };
+  }
+
+  /**
+   * Score a candidate on its best-matching field. Sanskrit designations
+   * count as much as the display, synonyms rank just below it and
+   * descriptions count for half, so a hit in the display always outranks
+   * the same hit in prose.
+   */
+  scoreCandidate(candidate, normalizedQuery, tokens) {
+    const fieldWeights = { code: 1, display: 1, designations: 1, synonyms: 0.9, description: 0.5 };
+    let best = { score: 0, field: null };
+
+    for (const [field, weight] of Object.entries(fieldWeights)) {
+      // A field may hold several terms (synonyms); the best one counts
+      for (const text of [].concat(candidate.fields[field] || [])) {
+        const score = this.scoreField(text, normalizedQuery, tokens) * weight;
+        if (score > best.score) {
+          best = { score, field };
+        }
+      }
+    }
+
+    return {
+      source: candidate.source,
+      system: candidate.system,
+      ...(candidate.version ? { version: candidate.version } : {}),
+      code: candidate.code,
+      display: candidate.display,
+      systemName: candidate.systemName,
+      specialty: candidate.specialty,
+      ...(candidate.tm2Type ? { tm2Type: candidate.tm2Type } : {}),
+      matchedField: best.field,
+      score: Math.round(best.score * 10) / 10
+    };
+  }
+
+  // Score how well one field matches: exact > phrase prefix > word prefixes
+  scoreField(text, normalizedQuery, tokens) {
+    const normalized = this.normalizeText(text);
+    if (!normalized) return 0;
+
+    if (normalized === normalizedQuery) return 100;
+
+    if (normalized.startsWith(normalizedQuery)) {
+      return 90 - Math.min(10, (normalized.length - normalizedQuery.length) / 5);
+    }
+
+    const words = normalized.split(' ');
+    const positions = tokens.map(token => words.findIndex(word => word.startsWith(token)));
+    if (positions.some(position => position === -1)) {
+      return 0;
+    }
+
+    // Reward tokens matched in order, near the start and in short texts
+    const inOrder = positions.every((position, i) => i === 0 || position > positions[i - 1]);
+    let score = 60;
+    if (positions[0] === 0) score += 10;
+    if (inOrder) score += 5;
+    score -= Math.min(10, words.length - tokens.length);
+
+    return score;
+  }
+
+  // Synonyms (and grouped designations) are one semicolon-separated string
+  splitSynonyms(synonyms) {
+    if (!synonyms) return [];
+    return synonyms.split(';').map(term => term.trim()).filter(Boolean);
+  }
+
+  // Count hits per system, specialty and TM2 type
+  buildFacets(hits) {
+    const count = (key) => {
+      const counts = {};
+      hits.forEach(hit => {
+        if (!hit[key]) return;
+        counts[hit[key]] = (counts[hit[key]] || 0) + 1;
+      });
+      return Object.entries(counts)
+        .map(([value, total]) => ({ value, count: total }))
+        .sort((a, b) => b.count - a.count);
+    };
+
+    return {
+      system: count('systemName'),
+      specialty: count('specialty'),
+      tm2Type: count('tm2Type')
+    };
+  }
+
+  createValidationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+module.exports = TerminologySearchService;
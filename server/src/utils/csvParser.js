@@ -38,7 +38,7 @@ class CSVParser {
   }
 
   /**
-   * Validate NAMASTE CSV structure
+   * Validate NAMASTE CSV structure (rows as mapped by an import profile)
    */
   static validateNAMASTECSV(data) {
     const errors = [];
@@ -58,18 +58,24 @@ class CSVParser {
     }
 
     // Validate each row
+    const seenCodes = new Set();
     data.forEach((row, index) => {
       for (const field of requiredFields) {
-        if (!row[field] || row[field].trim() === '') {
+        if (!row[field] || String(row[field]).trim() === '') {
           errors.push(`Row ${index + 1}: Missing or empty ${field}`);
         }
       }
 
-      // Validate code format
-      if (row.code && !/^[A-Z]{3}\d{3}$/.test(row.code)) {
-        errors.push(`Row ${index + 1}: Invalid code format. Expected format: ABC123 (3 letters + 3 numbers)`);
+      // Validate code format: NAMASTE codes such as AYU001, AAA-2.1 or SR11 (AAA-1)
+      if (row.code && !/^[A-Za-z0-9][A-Za-z0-9 .()\-]*$/.test(row.code)) {
+        errors.push(`Row ${index + 1}: Invalid code format. Codes may contain letters, digits, spaces, '.', '-' and parentheses`);
       }
 
+      if (row.code && seenCodes.has(row.code)) {
+        errors.push(`Row ${index + 1}: Duplicate code ${row.code}`);
+      }
+      seenCodes.add(row.code);
+
       // Validate system
       if (row.system && !['Ayurveda', 'Siddha', 'Unani'].includes(row.system)) {
         errors.push(`Row ${index + 1}: Invalid system. Must be one of: Ayurveda, Siddha, Unani`);
@@ -0,0 +1,29 @@
+class FullTextSearch {
+  /**
+   * Split free text into search tokens: lowercase words and numbers,
+   * with punctuation treated as a separator
+   */
+  static tokenize(text) {
+    if (!text) return [];
+
+    return String(text)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Build an FTS5 MATCH expression requiring every token as a word prefix.
+   * Tokens are quoted so user input can never be read as FTS5 syntax.
+   * Returns null when the text has nothing searchable.
+   */
+  static buildMatchQuery(text) {
+    const tokens = this.tokenize(text);
+    if (tokens.length === 0) return null;
+
+    return tokens.map(token => `"${token}"*`).join(' ');
+  }
+}
+
+module.exports = FullTextSearch;
@@ -0,0 +1,39 @@
+class ICD11Hierarchy {
+  /**
+   * Ancestors of an ICD-11 MMS code given by its structure, nearest first:
+   * each character after the dot is one level (8A00.0Z > 8A00.0 > 8A00).
+   * Stem codes, blocks and chapters have none.
+   */
+  static structuralParents(code) {
+    const candidates = [];
+    let current = code;
+
+    while (/\.[0-9A-Z]+$/.test(current)) {
+      current = current.slice(0, -1).replace(/\.$/, '');
+      candidates.push(current);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Whether a code is a block given as a code range, e.g. MG30-MG3Z
+   */
+  static isBlock(code) {
+    return /^[0-9A-Z]{4}-[0-9A-Z]{4}$/.test(code);
+  }
+
+  /**
+   * Whether a block range contains a code (by its stem) or a narrower
+   * block. ICD-11 codes order like their ASCII strings within a chapter.
+   */
+  static blockContains(block, code) {
+    if (!this.isBlock(block) || block === code) return false;
+
+    const [from, to] = block.split('-');
+    const [first, last] = this.isBlock(code) ? code.split('-') : [code.split('.')[0], code.split('.')[0]];
+    return from <= first && last <= to;
+  }
+}
+
+module.exports = ICD11Hierarchy;
@@ -0,0 +1,60 @@
+// ICD-11 release and linearization used when a request names none. WHO
+// publishes a new release every year: set ICD11_RELEASE_ID (and, for a
+// linearization other than MMS, ICD11_LINEARIZATION) to move a deployment
+// onto it. Earlier releases stay stored alongside.
+const DEFAULT_RELEASE_ID = '2024-01';
+const DEFAULT_LINEARIZATION = 'mms';
+
+// Codes stored and mappings made before the release was recorded came
+// from this one, the release the WHO API calls were fixed to
+const LEGACY_RELEASE_ID = '2024-01';
+
+function getDefaultReleaseId() {
+  return process.env.ICD11_RELEASE_ID || DEFAULT_RELEASE_ID;
+}
+
+function getDefaultLinearization() {
+  return process.env.ICD11_LINEARIZATION || DEFAULT_LINEARIZATION;
+}
+
+/**
+ * The release and linearization a request asks for, falling back to the
+ * deployment's. Both end up in WHO API paths, so malformed values throw a
+ * ValidationError.
+ */
+function resolveRelease({ releaseId, linearization } = {}) {
+  const resolved = {
+    releaseId: releaseId || getDefaultReleaseId(),
+    linearization: linearization || getDefaultLinearization()
+  };
+
+  if (!/^\d{4}-\d{2}$/.test(resolved.releaseId)) {
+    const error = new Error(`Invalid ICD-11 release '${resolved.releaseId}', expected YYYY-MM (e.g. 2024-01)`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  if (!/^[a-z][a-z0-9-]*$/i.test(resolved.linearization)) {
+    const error = new Error(`Invalid ICD-11 linearization '${resolved.linearization}'`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  return resolved;
+}
+
+/**
+ * System URI of the codes of a linearization, e.g.
+ * http://id.who.int/icd/release/11/mms
+ */
+function getLinearizationURI(linearization = getDefaultLinearization()) {
+  return `http://id.who.int/icd/release/11/${linearization}`;
+}
+
+module.exports = {
+  LEGACY_RELEASE_ID,
+  getDefaultReleaseId,
+  getDefaultLinearization,
+  resolveRelease,
+  getLinearizationURI
+};
@@ -0,0 +1,100 @@
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+
+// Columns of the WHO ICD-11 MMS simple tabulation, by normalized header;
+// definition, inclusions and exclusions are read when the file carries them
+const COLUMNS = {
+  code: ['code'],
+  blockId: ['blockid'],
+  title: ['title'],
+  classKind: ['classkind'],
+  chapter: ['chapterno', 'chapter'],
+  definition: ['definition'],
+  inclusions: ['inclusions', 'inclusion'],
+  exclusions: ['exclusions', 'exclusion']
+};
+
+class ICD11TabulationParser {
+  /**
+   * Read an ICD-11 MMS simple tabulation (TSV/TXT as distributed by WHO,
+   * or XLS/XLSX) into icd11_codes rows
+   */
+  static parseFile(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      const error = new Error(`ICD-11 tabulation file not found: ${filePath}`);
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    // Text files are tab separated, with cells kept verbatim
+    const workbook = ['.xls', '.xlsx'].includes(path.extname(filePath).toLowerCase())
+      ? XLSX.readFile(filePath)
+      : XLSX.read(fs.readFileSync(filePath, 'utf8'), { type: 'string', raw: true });
+
+    const records = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], {
+      defval: null,
+      raw: false
+    });
+
+    return this.parseRecords(records);
+  }
+
+  /**
+   * Map tabulation records to rows. Chapters, blocks and categories all
+   * become rows (chapters keyed by chapter number, blocks by BlockId); the
+   * leading dashes of each title give its depth, and so its parent, which
+   * is the nearest preceding row one level up.
+   */
+  static parseRecords(records) {
+    const rows = [];
+    const errors = [];
+    const ancestors = [];
+
+    records.forEach((record, index) => {
+      const cells = {};
+      for (const [header, value] of Object.entries(record)) {
+        cells[this.normalizeHeader(header)] = value === null ? '' : String(value).trim();
+      }
+      const read = (field) => COLUMNS[field].map(column => cells[column]).find(Boolean) || null;
+
+      const classKind = (read('classKind') || 'category').toLowerCase();
+      const rawTitle = read('title') || '';
+      const depth = (/^[-\s]*/.exec(rawTitle)[0].match(/-/g) || []).length;
+      const title = rawTitle.replace(/^[-\s]+/, '');
+      const chapter = read('chapter');
+      const code = read('code') || read('blockId') || (classKind === 'chapter' ? chapter : null);
+
+      if (!code || !title) {
+        errors.push(`Row ${index + 2}: missing code or title`);
+        return;
+      }
+
+      const parent = depth > 0 ? ancestors[depth - 1] : null;
+      ancestors.length = depth;
+      ancestors[depth] = { code, classKind, block: classKind === 'block' ? code : parent && parent.block };
+
+      rows.push({
+        code,
+        display: title,
+        chapter,
+        // The nearest enclosing block, not the row itself
+        block: parent ? parent.block || null : null,
+        category: classKind === 'category' ? code.split('.')[0] : null,
+        parentCode: parent ? parent.code : null,
+        classKind,
+        definition: read('definition'),
+        inclusions: read('inclusions'),
+        exclusions: read('exclusions')
+      });
+    });
+
+    return { rows, errors };
+  }
+
+  static normalizeHeader(header) {
+    return String(header).replace(/^\uFEFF/, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+}
+
+module.exports = ICD11TabulationParser;
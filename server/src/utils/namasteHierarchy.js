@@ -0,0 +1,122 @@
+class NamasteHierarchy {
+  /**
+   * Work out the parent of every NAMASTE code from its import columns.
+   * Parents are looked up within the code's own system, in order:
+   *  - Ontology_branches naming another concept (by code or term)
+   *  - Name English Under Index / Primary Index Related naming another concept
+   *  - the NAMC code structure: AA > AAA > AAA-2 > AAA-2.1, where codes
+   *    such as "SR12 (AAA-2)" are placed by their bracketed NAMC code
+   * Returns a Map of code to parent code (null for roots).
+   */
+  static buildParents(rows) {
+    const parents = new Map();
+    const bySystem = new Map();
+
+    rows.forEach(row => {
+      if (!bySystem.has(row.system_name)) bySystem.set(row.system_name, []);
+      bySystem.get(row.system_name).push(row);
+    });
+
+    for (const systemRows of bySystem.values()) {
+      const index = this.buildIndex(systemRows);
+
+      for (const row of systemRows) {
+        const referenced = [row.ontology_branch, row.name_english_under_index, row.primary_index_related]
+          .map(value => this.resolve(index, value))
+          .find(code => code && code !== row.code);
+
+        const structural = this.structuralParents(this.getStructuralCode(row.code))
+          .map(candidate => index.byCode.get(candidate))
+          .find(code => code && code !== row.code);
+
+        parents.set(row.code, referenced || structural || null);
+      }
+    }
+
+    this.breakCycles(parents);
+    return parents;
+  }
+
+  /**
+   * Index the concepts of one system by code, structural code and term
+   */
+  static buildIndex(rows) {
+    const byCode = new Map();
+    const byTerm = new Map();
+
+    rows.forEach(row => {
+      byCode.set(row.code, row.code);
+      byCode.set(this.getStructuralCode(row.code), row.code);
+      [row.display, row.name_english].filter(Boolean).forEach(term => {
+        const key = term.trim().toLowerCase();
+        if (!byTerm.has(key)) byTerm.set(key, row.code);
+      });
+    });
+
+    return { byCode, byTerm };
+  }
+
+  /**
+   * Resolve a column value naming another concept, by code or by term
+   */
+  static resolve(index, value) {
+    if (!value) return null;
+
+    const text = String(value).trim();
+    return index.byCode.get(text) ||
+      index.byCode.get(this.getStructuralCode(text)) ||
+      index.byTerm.get(text.toLowerCase()) ||
+      null;
+  }
+
+  /**
+   * The NAMC code inside a code: "SR12 (AAA-2)" carries AAA-2
+   */
+  static getStructuralCode(code) {
+    const bracketed = /\(([^()]+)\)\s*$/.exec(code);
+    return (bracketed ? bracketed[1] : code).trim();
+  }
+
+  /**
+   * Candidate parents of a structural code, nearest first. Numbered
+   * suffixes are dropped one at a time (AAA-2.1 > AAA-2 > AAA); letter
+   * codes nest one letter per level, and only the direct parent counts,
+   * so AYU is not read as a child of A.
+   */
+  static structuralParents(code) {
+    const candidates = [];
+    let current = code;
+
+    while (/[.-][^.-]+$/.test(current)) {
+      current = current.replace(/[.-][^.-]+$/, '');
+      candidates.push(current);
+    }
+
+    if (current === code && /^[A-Z]{2,}$/.test(code)) {
+      candidates.push(code.slice(0, -1));
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Drop the parent link that closes a cycle, leaving the rest as a tree
+   */
+  static breakCycles(parents) {
+    for (const code of parents.keys()) {
+      const seen = new Set();
+      let current = parents.get(code);
+
+      while (current && !seen.has(current)) {
+        if (current === code) {
+          parents.set(code, null);
+          break;
+        }
+        seen.add(current);
+        current = parents.get(current);
+      }
+    }
+  }
+}
+
+module.exports = NamasteHierarchy;
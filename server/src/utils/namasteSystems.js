@@ -0,0 +1,58 @@
+// Canonical URL of the umbrella NAMASTE CodeSystem spanning all AYUSH systems
+const NAMASTE_URL = 'http://terminology.ayush.gov.in/CodeSystem/namaste';
+
+// NAMASTE code systems published per AYUSH system, keyed by the
+// namaste_codes.system_name their concepts are stored under
+const NAMASTE_SYSTEMS = {
+  Ayurveda: {
+    id: 'namaste-ayurveda-codes',
+    url: 'http://terminology.ayush.gov.in/CodeSystem/namaste-ayurveda',
+    name: 'NAMASTEAyurvedaCodes',
+    title: 'National Ayurveda Morbidity Codes (NAMC)'
+  },
+  Siddha: {
+    id: 'namaste-siddha-codes',
+    url: 'http://terminology.ayush.gov.in/CodeSystem/namaste-siddha',
+    name: 'NAMASTESiddhaCodes',
+    title: 'National Siddha Morbidity Codes (NSMC)'
+  },
+  Unani: {
+    id: 'namaste-unani-codes',
+    url: 'http://terminology.ayush.gov.in/CodeSystem/namaste-unani',
+    name: 'NAMASTEUnaniCodes',
+    title: 'National Unani Morbidity Codes (NUMC)'
+  }
+};
+
+/**
+ * Whether a URL is the umbrella NAMASTE CodeSystem or one of its systems
+ */
+function isNamasteSystem(url) {
+  return url === NAMASTE_URL || getNamasteSystemName(url) !== null;
+}
+
+/**
+ * The system_name a per-system CodeSystem URL covers; null for the
+ * umbrella CodeSystem (all systems) and for unknown URLs
+ */
+function getNamasteSystemName(url) {
+  const entry = Object.entries(NAMASTE_SYSTEMS).find(([, system]) => system.url === url);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * The URL codes of a system are compared under: the umbrella URL for every
+ * NAMASTE CodeSystem, as a code is the same concept in the umbrella and in
+ * its own system's CodeSystem; any other URL as it is
+ */
+function getCanonicalSystem(url) {
+  return isNamasteSystem(url) ? NAMASTE_URL : url;
+}
+
+module.exports = {
+  NAMASTE_URL,
+  NAMASTE_SYSTEMS,
+  isNamasteSystem,
+  getNamasteSystemName,
+  getCanonicalSystem
+};
@@ -0,0 +1,141 @@
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding the declarative import profiles (one JSON file each)
+const PROFILES_DIR = process.env.IMPORT_PROFILES_DIR ||
+  path.join(__dirname, '..', '..', 'data', 'import-profiles');
+
+class TerminologyImportParser {
+  /**
+   * List the available import profiles
+   */
+  static listProfiles() {
+    return fs.readdirSync(PROFILES_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const profile = JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, file), 'utf8'));
+        return { id: profile.id, name: profile.name };
+      });
+  }
+
+  /**
+   * Resolve a profile by id, or validate an inline profile object
+   */
+  static loadProfile(profile) {
+    let resolved = profile;
+
+    if (typeof profile === 'string') {
+      const file = path.join(PROFILES_DIR, `${path.basename(profile)}.json`);
+      if (!fs.existsSync(file)) {
+        this.fail(`Unknown import profile '${profile}'`);
+      }
+      resolved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    if (!resolved || typeof resolved !== 'object') {
+      this.fail('Import profile must be a profile id or a profile object');
+    }
+
+    const fields = resolved.fields || {};
+    if (!fields.code || !fields.display) {
+      this.fail('Import profile must map the code and display fields');
+    }
+    if (!fields.system && !(resolved.defaults && resolved.defaults.system)) {
+      this.fail('Import profile must map the system field or give it a default');
+    }
+
+    return resolved;
+  }
+
+  static fail(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  /**
+   * Read an XLS, XLSX or CSV file and map its rows through a profile
+   */
+  static parseFile(filePath, profile) {
+    const resolved = this.loadProfile(profile);
+
+    // CSV is read as UTF-8 text with cells kept verbatim (no number or date parsing)
+    const workbook = path.extname(filePath).toLowerCase() === '.csv'
+      ? XLSX.read(fs.readFileSync(filePath, 'utf8'), { type: 'string', raw: true })
+      : XLSX.readFile(filePath);
+
+    return this.parseWorkbook(workbook, resolved);
+  }
+
+  /**
+   * Map the rows of the profile's sheet (by name or index, default first)
+   */
+  static parseWorkbook(workbook, profile) {
+    const sheet = profile.sheet === undefined ? 0 : profile.sheet;
+    const sheetName = typeof sheet === 'number' ? workbook.SheetNames[sheet] : sheet;
+    const worksheet = workbook.Sheets[sheetName];
+
+    if (!worksheet) {
+      this.fail(`Sheet '${sheet}' not found; available sheets: ${workbook.SheetNames.join(', ')}`);
+    }
+
+    const records = XLSX.utils.sheet_to_json(worksheet, {
+      defval: null,
+      raw: false,
+      range: (profile.headerRow || 1) - 1
+    });
+
+    return this.mapRecords(records, profile);
+  }
+
+  /**
+   * Map header-keyed records to import rows: concept fields, properties
+   * (stored columns) and designations. Each mapping names one column or a
+   * list of columns, the first non-empty one wins. Headers match
+   * case-insensitively, with spaces and underscores treated alike.
+   */
+  static mapRecords(records, profile) {
+    const emptyValues = new Set(profile.emptyValues || []);
+
+    return records.map(record => {
+      const cells = {};
+      for (const [header, value] of Object.entries(record)) {
+        cells[this.normalizeHeader(header)] = value;
+      }
+
+      const read = (columns) => {
+        for (const column of [].concat(columns)) {
+          const value = cells[this.normalizeHeader(column)];
+          // Collapse whitespace runs, including the non-breaking spaces spreadsheets carry
+          const cleaned = value === null || value === undefined ? '' : String(value).replace(/\s+/g, ' ').trim();
+          if (cleaned && !emptyValues.has(cleaned)) {
+            return cleaned;
+          }
+        }
+        return null;
+      };
+
+      const row = { ...(profile.defaults || {}) };
+
+      for (const [field, columns] of Object.entries({ ...profile.fields, ...profile.properties })) {
+        const value = read(columns);
+        if (value) {
+          row[field] = value;
+        }
+      }
+
+      row.designations = Object.entries(profile.designations || {})
+        .map(([language, columns]) => ({ language, value: read(columns) }))
+        .filter(designation => designation.value);
+
+      return row;
+    });
+  }
+
+  static normalizeHeader(header) {
+    return String(header).trim().toLowerCase().replace(/[\s_]+/g, '_');
+  }
+}
+
+module.exports = TerminologyImportParser;
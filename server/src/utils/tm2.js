@@ -0,0 +1,34 @@
+// ICD-11 Chapter 26 Traditional Medicine Module 2 (TM2) holds the Ayurveda,
+// Siddha and Unani disorder and pattern codes, by code range (first two
+// characters). TM1 (SA-SJ) is Traditional Chinese Medicine and is not TM2.
+const TM2_DISORDER_PREFIXES = ['SK', 'SL', 'SM', 'SN', 'SP'];
+const TM2_PATTERN_PREFIXES = ['SQ', 'SR', 'SS', 'ST', 'SU', 'SV'];
+
+// Search facet value and ConceptMap for TM2 targets
+const TM2_FACET_VALUE = 'TM2';
+const TM2_CONCEPT_MAP_ID = 'namaste-to-tm2';
+
+/**
+ * Classify an ICD-11 code as a TM2 'disorder' or 'pattern', or null when
+ * it is not a TM2 code. Codes outside the known ranges count as TM2 when
+ * their title carries the "(TM2)" suffix WHO gives them.
+ */
+function classifyTM2(code, title) {
+  if (!code || !code.startsWith('S')) return null;
+
+  const prefix = code.slice(0, 2);
+  if (TM2_DISORDER_PREFIXES.includes(prefix)) return 'disorder';
+  if (TM2_PATTERN_PREFIXES.includes(prefix)) return 'pattern';
+
+  if (title && /\(TM2\)/.test(title)) {
+    return /pattern/i.test(title) ? 'pattern' : 'disorder';
+  }
+
+  return null;
+}
+
+module.exports = {
+  TM2_FACET_VALUE,
+  TM2_CONCEPT_MAP_ID,
+  classifyTM2
+};
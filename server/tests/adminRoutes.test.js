@@ -0,0 +1,327 @@
+const request = require('supertest');
+const { generateMockToken } = require('../src/middleware/auth');
+const ICD11ApiCache = require('../src/services/icd11ApiCache');
+const { silenceConsole } = require('./testDatabase');
+const { createTestServer } = require('./testServer');
+
+describe('admin routes', () => {
+  let testServer;
+  let app;
+  const authorization = `Bearer ${generateMockToken()}`;
+
+  silenceConsole();
+
+  beforeAll(async () => {
+    testServer = await createTestServer();
+    app = testServer.app;
+  });
+
+  afterAll(async () => {
+    await testServer.cleanup();
+  });
+
+  test('requires authentication', async () => {
+    const response = await request(app).get('/admin/import-profiles');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('lists the import profiles', async () => {
+    const response = await request(app).get('/admin/import-profiles').set('Authorization', authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toContainEqual(expect.objectContaining({ id: 'namaste-csv' }));
+  });
+
+  describe('POST /admin/csv/import', () => {
+    test('imports CSV rows through the CSV profile', async () => {
+      const response = await request(app)
+        .post('/admin/csv/import')
+        .set('Authorization', authorization)
+        .send({ csvData: 'code,display,system\nUNA010,Humma,Unani\n' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results).toMatchObject({ inserted: 1, errors: [] });
+      expect(await testServer.db.get("SELECT system_name FROM namaste_codes WHERE code = 'UNA010'"))
+        .toEqual({ system_name: 'Unani' });
+    });
+
+    test('returns 400 for an unknown profile', async () => {
+      const response = await request(app)
+        .post('/admin/csv/import')
+        .set('Authorization', authorization)
+        .send({ csvData: 'code,display,system\nUNA010,Humma,Unani\n', profile: 'nope' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Unknown import profile 'nope'");
+    });
+
+    test('previews with dryRun and applies the preview', async () => {
+      const preview = await request(app)
+        .post('/admin/csv/import')
+        .set('Authorization', authorization)
+        .send({ csvData: 'code,display,system\nUNA011,Nazla,Unani\n', dryRun: true });
+
+      expect(preview.status).toBe(200);
+      expect(preview.body.preview.diff.added).toEqual([{ code: 'UNA011', display: 'Nazla', system: 'Unani' }]);
+      expect(await testServer.db.get("SELECT code FROM namaste_codes WHERE code = 'UNA011'")).toBeUndefined();
+
+      const applied = await request(app)
+        .post(`/admin/imports/${preview.body.preview.previewId}/apply`)
+        .set('Authorization', authorization);
+
+      expect(applied.status).toBe(200);
+      expect(await testServer.db.get("SELECT code FROM namaste_codes WHERE code = 'UNA011'")).toEqual({ code: 'UNA011' });
+
+      const again = await request(app)
+        .post(`/admin/imports/${preview.body.preview.previewId}/apply`)
+        .set('Authorization', authorization);
+      expect(again.status).toBe(409);
+    });
+
+    test('reports row errors of an invalid dry run with 422', async () => {
+      const response = await request(app)
+        .post('/admin/csv/import')
+        .set('Authorization', authorization)
+        .send({ csvData: 'code,display,system\nUNA012,Nazla,Unani\nUNA012,Zukam,Homeopathy\n', dryRun: true });
+
+      expect(response.status).toBe(422);
+      expect(response.body.preview.errors).toEqual([
+        'Row 2: Duplicate code UNA012',
+        'Row 2: Invalid system. Must be one of: Ayurveda, Siddha, Unani'
+      ]);
+    });
+
+    test('returns 404 when applying an unknown preview', async () => {
+      const response = await request(app)
+        .post('/admin/imports/no-such-preview/apply')
+        .set('Authorization', authorization);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /admin/namaste/upload', () => {
+    test('imports an uploaded CSV file', async () => {
+      const response = await request(app)
+        .post('/admin/namaste/upload')
+        .set('Authorization', authorization)
+        .attach('file', Buffer.from('code,display,system\nSID011,Pitha Suram,Siddha\n'), 'siddha.csv');
+
+      expect(response.status).toBe(200);
+      expect(response.body.results).toMatchObject({ source: 'siddha.csv', inserted: 1 });
+    });
+
+    test('streams NDJSON progress with progress=true', async () => {
+      const response = await request(app)
+        .post('/admin/namaste/upload')
+        .query({ progress: 'true' })
+        .set('Authorization', authorization)
+        .attach('file', Buffer.from('code,display,system\nSID012,Vali Suram,Siddha\n'), 'siddha.csv');
+
+      expect(response.headers['content-type']).toMatch('application/x-ndjson');
+      const events = response.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(events.map(event => event.event)).toEqual(['progress', 'complete']);
+      expect(events[1].results).toMatchObject({ inserted: 1 });
+    });
+
+    test('requires a multipart file', async () => {
+      const notMultipart = await request(app)
+        .post('/admin/namaste/upload')
+        .set('Authorization', authorization)
+        .send({ file: 'codes.csv' });
+      expect(notMultipart.status).toBe(400);
+
+      const withoutFile = await request(app)
+        .post('/admin/namaste/upload')
+        .set('Authorization', authorization)
+        .field('profile', 'namaste-csv');
+      expect(withoutFile.status).toBe(400);
+      expect(withoutFile.body.message).toBe('A file is required');
+    });
+
+    test('returns 400 for an unsupported file type', async () => {
+      const response = await request(app)
+        .post('/admin/namaste/upload')
+        .set('Authorization', authorization)
+        .attach('file', Buffer.from('code'), 'codes.txt');
+
+      expect(response.status).toBe(400);
+    });
+
+    test('answers once when the multipart body ends mid-file', async () => {
+      const boundary = 'truncated-upload';
+      const body = [
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="file"; filename="siddha.csv"',
+        'Content-Type: text/csv',
+        '',
+        'code,display,system',
+        'SID013,Pitha'
+      ].join('\r\n');
+
+      const response = await request(app)
+        .post('/admin/namaste/upload')
+        .set('Authorization', authorization)
+        .set('Content-Type', `multipart/form-data; boundary=${boundary}`)
+        .send(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Import Error', message: 'Unexpected end of form' });
+    });
+
+    test('retires the missing codes only of a full release', async () => {
+      const partial = await request(app)
+        .post('/admin/namaste/upload')
+        .set('Authorization', authorization)
+        .attach('file', Buffer.from('code,display,system\nSID001,Vayu Kutram,Siddha\n'), 'siddha.csv');
+      expect(partial.body.results).toMatchObject({ updated: 1, retired: 0 });
+
+      const full = await request(app)
+        .post('/admin/namaste/upload')
+        .query({ retireMissing: 'true' })
+        .set('Authorization', authorization)
+        .attach('file', Buffer.from('code,display,system\nSID001,Vayu Kutram,Siddha\n'), 'siddha.csv');
+      expect(full.status).toBe(200);
+      expect(await testServer.db.get("SELECT status FROM namaste_codes WHERE code = 'SID002'"))
+        .toEqual({ status: 'retired' });
+      expect(await testServer.db.get("SELECT status FROM namaste_codes WHERE code = 'AYU001'"))
+        .toEqual({ status: 'active' });
+    });
+  });
+
+  describe('POST /admin/codes/:code/:action', () => {
+    test('deprecates and reactivates a code', async () => {
+      const deprecated = await request(app)
+        .post('/admin/codes/AYU002/deprecate')
+        .set('Authorization', authorization)
+        .send({ reason: 'Merged', replacedBy: 'AYU001' });
+
+      expect(deprecated.status).toBe(200);
+      expect(deprecated.body.code).toMatchObject({ status: 'deprecated', replacedBy: 'AYU001' });
+
+      const reactivated = await request(app)
+        .post('/admin/codes/AYU002/reactivate')
+        .set('Authorization', authorization);
+      expect(reactivated.body.code.status).toBe('active');
+    });
+
+    test('returns 400 for an invalid replacement and 404 for an unknown code', async () => {
+      const invalid = await request(app)
+        .post('/admin/codes/AYU002/retire')
+        .set('Authorization', authorization)
+        .send({ replacedBy: 'AYU999' });
+      expect(invalid.status).toBe(400);
+
+      const unknown = await request(app)
+        .post('/admin/codes/AYU999/retire')
+        .set('Authorization', authorization);
+      expect(unknown.status).toBe(404);
+    });
+  });
+
+  describe('/admin/releases', () => {
+    test('publishes a release that the FHIR operations can pin', async () => {
+      const published = await request(app)
+        .post('/admin/releases')
+        .set('Authorization', authorization)
+        .send({ version: '2024-03', notes: 'March' });
+
+      expect(published.status).toBe(201);
+      expect(published.body.release).toMatchObject({ version: '2024-03', notes: 'March' });
+
+      const listed = await request(app).get('/admin/releases').set('Authorization', authorization);
+      expect(listed.body.map(release => release.version)).toContain('2024-03');
+
+      const validated = await request(app)
+        .get('/fhir/CodeSystem/namaste-ayush-codes-2024-03/$validate-code')
+        .query({ code: 'AYU001' });
+      expect(validated.body.parameter).toContainEqual({ name: 'version', valueString: '2024-03' });
+    });
+
+    test('returns 409 for a published version and 400 for an invalid one', async () => {
+      await request(app).post('/admin/releases').set('Authorization', authorization).send({ version: '2024-04' });
+
+      const duplicate = await request(app)
+        .post('/admin/releases')
+        .set('Authorization', authorization)
+        .send({ version: '2024-04' });
+      expect(duplicate.status).toBe(409);
+
+      const invalid = await request(app)
+        .post('/admin/releases')
+        .set('Authorization', authorization)
+        .send({ version: 'current' });
+      expect(invalid.status).toBe(400);
+    });
+
+    test('reports the changes since a release', async () => {
+      await request(app).post('/admin/releases').set('Authorization', authorization).send({ version: '2024-05' });
+      await testServer.db.run("UPDATE namaste_codes SET display = 'Vata Vikara' WHERE code = 'AYU001'");
+
+      const response = await request(app)
+        .get('/admin/releases/diff')
+        .query({ from: '2024-05' })
+        .set('Authorization', authorization);
+
+      expect(response.status).toBe(200);
+      expect(response.body.renamed).toEqual([{ code: 'AYU001', from: expect.any(String), to: 'Vata Vikara' }]);
+    });
+
+    test('returns 400 without a version to compare from', async () => {
+      const response = await request(app).get('/admin/releases/diff').set('Authorization', authorization);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /admin/icd11/import', () => {
+    test('returns 400 without a file path or for a missing file', async () => {
+      const withoutPath = await request(app).post('/admin/icd11/import').set('Authorization', authorization).send({});
+      expect(withoutPath.status).toBe(400);
+
+      const missing = await request(app)
+        .post('/admin/icd11/import')
+        .set('Authorization', authorization)
+        .send({ filePath: '/nonexistent/simpleTabulation.txt' });
+      expect(missing.status).toBe(400);
+      expect(missing.body.message).toBe('ICD-11 tabulation file not found: /nonexistent/simpleTabulation.txt');
+    });
+  });
+
+  describe('/admin/icd11/cache', () => {
+    beforeEach(async () => {
+      const cache = new ICD11ApiCache(testServer.db);
+      await cache.invalidate();
+      await cache.set({ url: '/icd/entity/1', releaseId: '2024-01', language: 'en', kind: 'entity' }, {});
+      await cache.set({ url: '/icd/entity/2', releaseId: '2025-01', language: 'en', kind: 'entity' }, {});
+    });
+
+    test('reports the cached responses', async () => {
+      const response = await request(app).get('/admin/icd11/cache').set('Authorization', authorization);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ total: 2, fresh: 2, stale: 0 });
+    });
+
+    test('removes the cached responses of a release', async () => {
+      const response = await request(app)
+        .delete('/admin/icd11/cache')
+        .query({ releaseId: '2025-01' })
+        .set('Authorization', authorization);
+
+      expect(response.body).toMatchObject({ message: 'Removed 1 cached ICD-11 API responses', removed: 1 });
+    });
+
+    test('returns 400 for an unknown kind or release', async () => {
+      const kind = await request(app).delete('/admin/icd11/cache').query({ kind: 'token' }).set('Authorization', authorization);
+      expect(kind.status).toBe(400);
+
+      const release = await request(app)
+        .post('/admin/icd11/cache/warm')
+        .set('Authorization', authorization)
+        .send({ searchTerms: ['asthma'], releaseId: 'latest' });
+      expect(release.status).toBe(400);
+    });
+  });
+});
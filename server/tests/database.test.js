@@ -0,0 +1,210 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../src/models/database');
+const { silenceConsole } = require('./testDatabase');
+
+describe('Database', () => {
+  let directory;
+  let db;
+
+  silenceConsole();
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ayush-terminology-test-'));
+  });
+
+  afterEach(async () => {
+    if (db) await db.close();
+    db = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('upgrading a database stored before ICD-11 releases', () => {
+    // The code and mapping tables as they were keyed before
+    const LEGACY_TABLES = [
+      `CREATE TABLE namaste_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL,
+        display TEXT NOT NULL,
+        system_name TEXT NOT NULL DEFAULT 'AYUSH',
+        specialty TEXT NOT NULL,
+        description TEXT,
+        status TEXT DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE icd11_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL,
+        display TEXT NOT NULL,
+        system_uri TEXT DEFAULT 'http://id.who.int/icd/release/11/mms',
+        chapter TEXT,
+        block TEXT,
+        category TEXT,
+        description TEXT,
+        status TEXT DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE concept_mappings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        namaste_code TEXT NOT NULL,
+        icd11_code TEXT NOT NULL,
+        equivalence TEXT DEFAULT 'equivalent',
+        confidence REAL DEFAULT 1.0,
+        mapping_type TEXT DEFAULT 'manual',
+        similarity_score REAL DEFAULT 0.0,
+        mapping_details TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(namaste_code, icd11_code)
+      )`
+    ];
+
+    const openDatabase = async () => {
+      db = new Database(path.join(directory, 'legacy.db'));
+      await db.initialize();
+    };
+
+    beforeEach(async () => {
+      const legacy = new Database(path.join(directory, 'legacy.db'));
+      await legacy.connect();
+      for (const sql of LEGACY_TABLES) {
+        await legacy.run(sql);
+      }
+      await legacy.run("INSERT INTO namaste_codes (code, display, system_name, specialty) VALUES ('AYU001', 'Vata Dosha Imbalance', 'Ayurveda', 'General Medicine')");
+      await legacy.run("INSERT INTO icd11_codes (id, code, display) VALUES (7, 'BA00', 'Essential hypertension')");
+      await legacy.run("INSERT INTO concept_mappings (namaste_code, icd11_code) VALUES ('AYU001', 'BA00')");
+      await legacy.close();
+    });
+
+    test('records existing codes and mappings under the legacy release', async () => {
+      await openDatabase();
+
+      expect(await db.get("SELECT id, release_id FROM icd11_codes WHERE code = 'BA00'")).toEqual({ id: 7, release_id: '2024-01' });
+      expect(await db.get('SELECT icd11_code, icd11_release FROM concept_mappings'))
+        .toEqual({ icd11_code: 'BA00', icd11_release: '2024-01' });
+    });
+
+    test('keeps the rebuilt codes searchable', async () => {
+      await openDatabase();
+
+      const rows = await db.all("SELECT rowid FROM icd11_codes_fts WHERE icd11_codes_fts MATCH 'hypertension'");
+      expect(rows).toEqual([{ rowid: 7 }]);
+
+      await db.run("UPDATE icd11_codes SET display = 'Primary hypertension' WHERE code = 'BA00'");
+      expect(await db.all("SELECT rowid FROM icd11_codes_fts WHERE icd11_codes_fts MATCH 'primary'")).toEqual([{ rowid: 7 }]);
+    });
+
+    test('stores a code once per release', async () => {
+      await openDatabase();
+
+      await db.run("INSERT INTO icd11_codes (code, release_id, display) VALUES ('BA00', '2025-01', 'Essential hypertension')");
+      await expect(db.run("INSERT INTO icd11_codes (code, release_id, display) VALUES ('BA00', '2025-01', 'Duplicate')"))
+        .rejects.toThrow('UNIQUE constraint failed');
+    });
+
+    test('rebuilds the tables only once', async () => {
+      await openDatabase();
+      await db.run("INSERT INTO icd11_codes (code, release_id, display) VALUES ('BA00', '2025-01', 'Essential hypertension')");
+      await db.close();
+
+      await openDatabase();
+
+      expect(await db.all("SELECT release_id FROM icd11_codes WHERE code = 'BA00' ORDER BY release_id"))
+        .toEqual([{ release_id: '2024-01' }, { release_id: '2025-01' }]);
+    });
+  });
+
+  describe('transaction', () => {
+    beforeEach(async () => {
+      db = new Database(path.join(directory, 'test.db'));
+      await db.initialize();
+    });
+
+    const getDisplay = async (code) => (await db.get('SELECT display FROM namaste_codes WHERE code = ?', [code])).display;
+
+    test('commits the work when it resolves', async () => {
+      const result = await db.transaction(async () => {
+        await db.run("UPDATE namaste_codes SET display = 'Vata' WHERE code = 'AYU001'");
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(await getDisplay('AYU001')).toBe('Vata');
+    });
+
+    test('rolls the work back when it throws', async () => {
+      await expect(db.transaction(async () => {
+        await db.run("UPDATE namaste_codes SET display = 'Vata' WHERE code = 'AYU001'");
+        throw new Error('failed');
+      })).rejects.toThrow('failed');
+
+      expect(await getDisplay('AYU001')).toBe('Vata Dosha Imbalance');
+    });
+
+    test('makes a nested transaction part of the enclosing one', async () => {
+      await expect(db.transaction(async () => {
+        await db.transaction(() => db.run("UPDATE namaste_codes SET display = 'Vata' WHERE code = 'AYU001'"));
+        await expect(db.transaction(async () => {
+          await db.run("UPDATE namaste_codes SET display = 'Pitta' WHERE code = 'AYU002'");
+          throw new Error('inner');
+        })).rejects.toThrow('inner');
+
+        expect(await getDisplay('AYU001')).toBe('Vata');
+        expect(await getDisplay('AYU002')).toBe('Pitta Dosha Imbalance');
+        throw new Error('outer');
+      })).rejects.toThrow('outer');
+
+      expect(await getDisplay('AYU001')).toBe('Vata Dosha Imbalance');
+    });
+
+    test('runs concurrent transactions one at a time', async () => {
+      const steps = [];
+      const failing = db.transaction(async () => {
+        steps.push('first started');
+        await db.run("UPDATE namaste_codes SET display = 'Vata' WHERE code = 'AYU001'");
+        await new Promise(resolve => setTimeout(resolve, 20));
+        steps.push('first failed');
+        throw new Error('failed');
+      });
+      const succeeding = db.transaction(async () => {
+        steps.push('second started');
+        await db.run("UPDATE namaste_codes SET display = 'Pitta' WHERE code = 'AYU002'");
+      });
+
+      await expect(failing).rejects.toThrow('failed');
+      await succeeding;
+
+      expect(steps).toEqual(['first started', 'first failed', 'second started']);
+      expect(await getDisplay('AYU001')).toBe('Vata Dosha Imbalance');
+      expect(await getDisplay('AYU002')).toBe('Pitta');
+    });
+  });
+
+  describe('upgrading resources stored by id alone', () => {
+    test('keys them by resource type and id', async () => {
+      const legacy = new Database(path.join(directory, 'legacy.db'));
+      await legacy.connect();
+      await legacy.run(`CREATE TABLE fhir_resources (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        resource_id TEXT UNIQUE NOT NULL,
+        resource_type TEXT NOT NULL,
+        version TEXT DEFAULT '1',
+        content TEXT NOT NULL,
+        status TEXT DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+      await legacy.run("INSERT INTO fhir_resources (resource_id, resource_type, content) VALUES ('shared', 'CodeSystem', '{}')");
+      await legacy.close();
+
+      db = new Database(path.join(directory, 'legacy.db'));
+      await db.initialize();
+      await db.run("INSERT INTO fhir_resources (resource_id, resource_type, content) VALUES ('shared', 'ValueSet', '{}')");
+
+      expect(await db.all("SELECT resource_type FROM fhir_resources WHERE resource_id = 'shared' ORDER BY resource_type"))
+        .toEqual([{ resource_type: 'CodeSystem' }, { resource_type: 'ValueSet' }]);
+    });
+  });
+});
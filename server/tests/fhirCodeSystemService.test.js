@@ -0,0 +1,937 @@
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const FHIRCodeSystemService = require('../src/services/fhirCodeSystemService');
+const FullTextSearch = require('../src/utils/fullTextSearch');
+const { createTestDatabase, silenceConsole } = require('./testDatabase');
+
+const NAMASTE_URL = 'http://terminology.ayush.gov.in/CodeSystem/namaste';
+const ICD11_URL = 'http://id.who.int/icd/release/11/mms';
+
+describe('FHIRCodeSystemService', () => {
+  let testDatabase;
+  let db;
+  let service;
+
+  silenceConsole();
+
+  beforeEach(async () => {
+    testDatabase = await createTestDatabase();
+    db = testDatabase.db;
+    service = new FHIRCodeSystemService(db);
+  });
+
+  afterEach(async () => {
+    await testDatabase.cleanup();
+  });
+
+  const getParameters = (parameters) => Object.fromEntries(
+    parameters.parameter.map(parameter => {
+      const valueKey = Object.keys(parameter).find(key => key.startsWith('value'));
+      return [parameter.name, parameter[valueKey]];
+    })
+  );
+
+  describe('validateCode', () => {
+    test('accepts a NAMASTE code with its display', async () => {
+      const result = getParameters(await service.validateCode({
+        system: NAMASTE_URL,
+        code: 'AYU001',
+        display: 'vata dosha imbalance'
+      }));
+
+      expect(result).toEqual({
+        result: true,
+        display: 'Vata Dosha Imbalance',
+        code: 'AYU001',
+        system: NAMASTE_URL
+      });
+    });
+
+    test('accepts an ICD-11 code', async () => {
+      const result = getParameters(await service.validateCode({ system: ICD11_URL, code: 'MG30.0Z' }));
+
+      expect(result).toMatchObject({ result: true, code: 'MG30.0Z', system: ICD11_URL });
+    });
+
+    test('rejects a display that does not match', async () => {
+      const result = getParameters(await service.validateCode({
+        system: NAMASTE_URL,
+        code: 'AYU001',
+        display: 'Pitta Dosha Imbalance'
+      }));
+
+      expect(result.result).toBe(false);
+      expect(result.message).toBe(
+        "Display 'Pitta Dosha Imbalance' does not match the display for code 'AYU001': expected 'Vata Dosha Imbalance'"
+      );
+    });
+
+    test('rejects unknown codes and systems', async () => {
+      expect(getParameters(await service.validateCode({ system: NAMASTE_URL, code: 'AYU999' }))).toMatchObject({
+        result: false,
+        message: `Code 'AYU999' not found in system '${NAMASTE_URL}'`
+      });
+      expect(getParameters(await service.validateCode({ system: 'http://example.org/cs', code: 'AYU001' }))).toMatchObject({
+        result: false,
+        message: "Unknown code system 'http://example.org/cs'"
+      });
+    });
+
+    test('accepts a CodeableConcept when any of its codings is valid', async () => {
+      const result = getParameters(await service.validateCode({
+        codeableConcept: {
+          coding: [
+            { system: NAMASTE_URL, code: 'AYU999' },
+            { system: ICD11_URL, code: 'MG30.1Z' }
+          ]
+        }
+      }));
+
+      expect(result).toMatchObject({ result: true, code: 'MG30.1Z' });
+    });
+
+    test('flags inactive codes as valid but inactive', async () => {
+      await db.run("UPDATE namaste_codes SET status = 'retired' WHERE code = 'AYU002'");
+
+      const result = getParameters(await service.validateCode({ coding: { system: NAMASTE_URL, code: 'AYU002' } }));
+
+      expect(result).toMatchObject({ result: true, inactive: true, message: "Code 'AYU002' is retired" });
+    });
+  });
+
+  describe('validateValueSetCode', () => {
+    const NAMASTE_ALL = 'http://terminology.ayush.gov.in/ValueSet/namaste-all';
+
+    test('checks membership of a namaste-all ValueSet narrowed by system', async () => {
+      const url = `${NAMASTE_ALL}?system=Siddha`;
+
+      expect(getParameters(await service.validateValueSetCode({ url, system: NAMASTE_URL, code: 'SID001' })))
+        .toMatchObject({ result: true, code: 'SID001' });
+      expect(getParameters(await service.validateValueSetCode({ url, system: NAMASTE_URL, code: 'AYU001' })))
+        .toMatchObject({
+          result: false,
+          message: `Code 'AYU001' from system '${NAMASTE_URL}' is not in value set '${url}'`
+        });
+    });
+
+    test('reads the concepts and filters of an inline ValueSet', async () => {
+      const valueSet = {
+        resourceType: 'ValueSet',
+        compose: {
+          include: [
+            { system: NAMASTE_URL, concept: [{ code: 'AYU002' }] },
+            { system: NAMASTE_URL, filter: [{ property: 'system', op: '=', value: 'Unani' }] }
+          ]
+        }
+      };
+
+      const validate = async (code) => getParameters(
+        await service.validateValueSetCode({ valueSet, coding: { system: NAMASTE_URL, code } })
+      ).result;
+
+      expect(await validate('AYU002')).toBe(true);
+      expect(await validate('UNA001')).toBe(true);
+      expect(await validate('AYU001')).toBe(false);
+    });
+
+    test('checks the display of a member', async () => {
+      const result = getParameters(await service.validateValueSetCode({
+        url: NAMASTE_ALL,
+        coding: { system: NAMASTE_URL, code: 'AYU001', display: 'Kapha' }
+      }));
+
+      expect(result.result).toBe(false);
+    });
+
+    test('returns null for a ValueSet it cannot evaluate', async () => {
+      expect(await service.validateValueSetCode({
+        url: 'http://example.org/ValueSet/other',
+        system: NAMASTE_URL,
+        code: 'AYU001'
+      })).toBeNull();
+    });
+
+    test('matches per-system codings against the umbrella, within their own system', async () => {
+      const siddhaUrl = 'http://terminology.ayush.gov.in/CodeSystem/namaste-siddha';
+      const validate = async (code, compose) => getParameters(await service.validateValueSetCode({
+        valueSet: { resourceType: 'ValueSet', compose },
+        coding: { system: siddhaUrl, code }
+      })).result;
+
+      expect(await validate('SID001', { include: [{ system: NAMASTE_URL }] })).toBe(true);
+      expect(await validate('AYU001', { include: [{ system: NAMASTE_URL }] })).toBe(false);
+      expect(await validate('SID001', {
+        include: [{ system: siddhaUrl }],
+        exclude: [{ system: NAMASTE_URL, concept: [{ code: 'SID001' }] }]
+      })).toBe(false);
+    });
+  });
+
+  describe('buildComposeQuery', () => {
+    const selectCodes = async (clause, options) => {
+      const { query, params } = service.buildComposeQuery(clause, options);
+      return (await db.all(query, params)).map(row => row.code).sort();
+    };
+
+    test('includes every active concept of the code system', async () => {
+      expect(await selectCodes({ system: NAMASTE_URL })).toEqual([
+        'AYU001', 'AYU002', 'AYU003', 'SID001', 'SID002', 'UNA001', 'UNA002'
+      ]);
+      expect(await selectCodes({ system: ICD11_URL })).toEqual(['MG30.0Z', 'MG30.1Z', 'MG30.2Z']);
+    });
+
+    test('selects the listed concepts', async () => {
+      const clause = { system: NAMASTE_URL, concept: [{ code: 'AYU002' }, { code: 'UNA001' }] };
+      expect(await selectCodes(clause)).toEqual(['AYU002', 'UNA001']);
+    });
+
+    test('applies = and in property filters', async () => {
+      expect(await selectCodes({
+        system: NAMASTE_URL,
+        filter: [{ property: 'system', op: '=', value: 'Unani' }]
+      })).toEqual(['UNA001', 'UNA002']);
+
+      expect(await selectCodes({
+        system: NAMASTE_URL,
+        filter: [{ property: 'system_name', op: 'in', value: 'Siddha, Unani' }]
+      })).toEqual(['SID001', 'SID002', 'UNA001', 'UNA002']);
+    });
+
+    test('narrows by the system, text and code options', async () => {
+      expect(await selectCodes({ system: NAMASTE_URL }, { system: 'Siddha' })).toEqual(['SID001', 'SID002']);
+      expect(await selectCodes({ system: NAMASTE_URL }, { text: 'pitta' })).toEqual(['AYU002']);
+      expect(await selectCodes({ system: ICD11_URL }, { code: 'MG30.1Z' })).toEqual(['MG30.1Z']);
+    });
+
+    test('leaves out inactive concepts', async () => {
+      await db.run("UPDATE namaste_codes SET status = 'retired' WHERE code = 'AYU003'");
+
+      expect(await selectCodes({ system: NAMASTE_URL, filter: [{ property: 'system', op: '=', value: 'Ayurveda' }] }))
+        .toEqual(['AYU001', 'AYU002']);
+    });
+  });
+
+  describe('expandValueSet', () => {
+    const expandCodes = async (compose, options) => {
+      const valueSet = await service.expandValueSet({ resourceType: 'ValueSet', status: 'active', compose }, options);
+      return valueSet.expansion.contains.map(concept => concept.code).sort();
+    };
+
+    test('removes excluded concepts from the included ones', async () => {
+      expect(await expandCodes({
+        include: [{ system: NAMASTE_URL, filter: [{ property: 'system', op: 'in', value: 'Ayurveda,Siddha' }] }],
+        exclude: [{ system: NAMASTE_URL, concept: [{ code: 'AYU002' }, { code: 'SID001' }] }]
+      })).toEqual(['AYU001', 'AYU003', 'SID002']);
+    });
+
+    test('excludes by filter', async () => {
+      expect(await expandCodes({
+        include: [{ system: NAMASTE_URL }],
+        exclude: [{ system: NAMASTE_URL, filter: [{ property: 'system', op: 'in', value: 'Ayurveda,Unani' }] }]
+      })).toEqual(['SID001', 'SID002']);
+    });
+
+    test('lists a concept included by several clauses once', async () => {
+      expect(await expandCodes({
+        include: [
+          { system: NAMASTE_URL, concept: [{ code: 'SID001' }] },
+          { system: NAMASTE_URL, filter: [{ property: 'system', op: '=', value: 'Siddha' }] }
+        ]
+      })).toEqual(['SID001', 'SID002']);
+    });
+
+    test('combines code systems', async () => {
+      expect(await expandCodes({
+        include: [
+          { system: NAMASTE_URL, concept: [{ code: 'UNA001' }] },
+          { system: ICD11_URL, concept: [{ code: 'MG30.2Z' }] }
+        ]
+      })).toEqual(['MG30.2Z', 'UNA001']);
+    });
+
+    test('rejects compose rules it cannot evaluate', async () => {
+      await expect(expandCodes({ include: [] })).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: 'ValueSet.compose.include must contain at least one clause'
+      });
+      await expect(expandCodes({ include: [{ system: 'http://snomed.info/sct' }] })).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: "Unsupported code system in compose: 'http://snomed.info/sct'"
+      });
+      await expect(expandCodes({
+        include: [{ system: NAMASTE_URL, filter: [{ property: 'chapter', op: '=', value: '24' }] }]
+      })).rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    test('pages the expansion with count and offset', async () => {
+      const valueSet = await service.expandValueSet(
+        { resourceType: 'ValueSet', compose: { include: [{ system: NAMASTE_URL }] } },
+        { count: 2, offset: 3 }
+      );
+
+      expect(valueSet.expansion).toMatchObject({ total: 7, offset: 3 });
+      expect(valueSet.expansion.contains.map(concept => concept.code)).toEqual(['SID001', 'SID002']);
+      expect(valueSet.expansion.parameter).toEqual([
+        { name: 'count', valueInteger: 2 },
+        { name: 'offset', valueInteger: 3 }
+      ]);
+    });
+
+    test('flags inactive concepts when activeOnly is false', async () => {
+      await db.run("UPDATE namaste_codes SET status = 'retired' WHERE code = 'UNA002'");
+      const compose = { include: [{ system: NAMASTE_URL, filter: [{ property: 'system', op: '=', value: 'Unani' }] }] };
+
+      expect(await expandCodes(compose)).toEqual(['UNA001']);
+
+      const valueSet = await service.expandValueSet({ resourceType: 'ValueSet', compose }, { activeOnly: false });
+      expect(valueSet.expansion.contains).toEqual([
+        { system: NAMASTE_URL, code: 'UNA001', display: expect.any(String) },
+        { system: NAMASTE_URL, code: 'UNA002', display: expect.any(String), inactive: true }
+      ]);
+    });
+
+    test('excludes inactive concepts named by an exclude clause', async () => {
+      await db.run("UPDATE namaste_codes SET status = 'retired' WHERE code = 'UNA002'");
+
+      const valueSet = await service.expandValueSet({
+        resourceType: 'ValueSet',
+        compose: {
+          include: [{ system: NAMASTE_URL, filter: [{ property: 'system', op: '=', value: 'Unani' }] }],
+          exclude: [{ system: NAMASTE_URL, concept: [{ code: 'UNA002' }] }]
+        }
+      }, { activeOnly: false });
+
+      expect(valueSet.expansion.contains.map(concept => concept.code)).toEqual(['UNA001']);
+    });
+
+    test('adds designations when asked for them', async () => {
+      const valueSet = await service.expandValueSet(
+        { resourceType: 'ValueSet', compose: { include: [{ system: NAMASTE_URL, concept: [{ code: 'AYU001' }] }] } },
+        { includeDesignations: true }
+      );
+
+      expect(valueSet.expansion.contains[0].designation).toEqual([
+        expect.objectContaining({ language: 'en', value: 'Vata Dosha Imbalance' })
+      ]);
+    });
+
+    test('excludes umbrella codes included through their own system', async () => {
+      const valueSet = await service.expandValueSet({
+        resourceType: 'ValueSet',
+        status: 'active',
+        compose: {
+          include: [
+            { system: 'http://terminology.ayush.gov.in/CodeSystem/namaste-siddha' },
+            { system: NAMASTE_URL, filter: [{ property: 'system', op: '=', value: 'Siddha' }] }
+          ],
+          exclude: [{ system: NAMASTE_URL, concept: [{ code: 'SID001' }] }]
+        }
+      });
+
+      expect(valueSet.expansion.contains.map(concept => concept.code)).toEqual(['SID002']);
+    });
+
+    test('pages a single include clause in SQL', async () => {
+      const all = jest.spyOn(db, 'all');
+
+      const valueSet = await service.expandValueSet(
+        { resourceType: 'ValueSet', compose: { include: [{ system: NAMASTE_URL }] } },
+        { count: 2, offset: 1 }
+      );
+
+      expect(valueSet.expansion.total).toBe(7);
+      expect(valueSet.expansion.contains.map(concept => concept.code)).toEqual(['AYU002', 'AYU003']);
+      expect(all).toHaveBeenCalledWith(expect.stringMatching(/LIMIT \? OFFSET \?$/), expect.arrayContaining([2, 1]));
+      all.mockRestore();
+    });
+  });
+
+  describe('saveValueSet', () => {
+    const valueSet = {
+      resourceType: 'ValueSet',
+      url: 'http://example.org/ValueSet/siddha',
+      version: '1.0.0',
+      status: 'active',
+      compose: { include: [{ system: NAMASTE_URL, filter: [{ property: 'system', op: '=', value: 'Siddha' }] }] }
+    };
+
+    test('keeps every saved version', async () => {
+      const first = await service.saveValueSet(valueSet, 'siddha');
+      const second = await service.saveValueSet({ ...valueSet, version: '1.1.0' }, 'siddha');
+
+      expect(first).toMatchObject({ created: true, valueSet: { id: 'siddha', meta: { versionId: '1' } } });
+      expect(second).toMatchObject({ created: false, valueSet: { meta: { versionId: '2' } } });
+      expect((await service.getValueSet('siddha')).version).toBe('1.1.0');
+      expect((await service.getValueSetVersion('siddha', '1')).version).toBe('1.0.0');
+    });
+
+    test('finds a stored ValueSet by url and business version', async () => {
+      await service.saveValueSet(valueSet, 'siddha');
+      await service.saveValueSet({ ...valueSet, version: '2.0.0' }, 'siddha-2');
+
+      expect((await service.findValueSetByUrl(valueSet.url)).id).toBe('siddha-2');
+      expect((await service.findValueSetByUrl(valueSet.url, '1.0.0')).id).toBe('siddha');
+      expect(await service.findValueSetByUrl(valueSet.url, '3.0.0')).toBeNull();
+    });
+
+    test('requires a url', async () => {
+      const withoutUrl = { ...valueSet };
+      delete withoutUrl.url;
+
+      await expect(service.saveValueSet(withoutUrl)).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: 'ValueSet.url is required'
+      });
+    });
+
+    test('keeps a CodeSystem of the same id', async () => {
+      await service.getCodeSystem('namaste-ayush-codes');
+      await service.saveValueSet(valueSet, 'namaste-ayush-codes');
+
+      expect((await service.getCodeSystem('namaste-ayush-codes')).resourceType).toBe('CodeSystem');
+      expect((await service.getValueSet('namaste-ayush-codes')).url).toBe(valueSet.url);
+    });
+  });
+
+  describe('full-text index', () => {
+    const match = async (table, text) => (await db.all(`
+      SELECT code FROM ${table}
+      WHERE id IN (SELECT rowid FROM ${table}_fts WHERE ${table}_fts MATCH ?)
+      ORDER BY code
+    `, [FullTextSearch.buildMatchQuery(text)])).map(row => row.code);
+
+    test('follows inserts, updates and deletes of the code tables', async () => {
+      await service.ingestCSV([
+        { code: 'AYU004', display: 'Agnimandya', system: 'Ayurveda', synonyms: 'Digestive weakness' }
+      ]);
+      expect(await match('namaste_codes', 'digestive')).toEqual(['AYU004']);
+
+      await db.run("UPDATE namaste_codes SET display = 'Mandagni' WHERE code = 'AYU004'");
+      expect(await match('namaste_codes', 'agnimandya')).toEqual([]);
+      expect(await match('namaste_codes', 'mandagni')).toEqual(['AYU004']);
+
+      await db.run("DELETE FROM namaste_codes WHERE code = 'AYU004'");
+      expect(await match('namaste_codes', 'mandagni')).toEqual([]);
+    });
+
+    test('indexes ICD-11 codes', async () => {
+      expect(await match('icd11_codes', 'lifestyle')).toEqual(['MG30.1Z']);
+    });
+
+    test('ranks compose text matches in the display above those in descriptions', async () => {
+      const { query, params } = service.buildComposeQuery({ system: NAMASTE_URL }, { text: 'imbalance' });
+      const codes = (await db.all(query, params)).map(row => row.code);
+
+      expect(codes.slice(0, 3).sort()).toEqual(['AYU001', 'AYU002', 'AYU003']);
+      expect(codes.slice(3).sort()).toEqual(['SID001', 'SID002', 'UNA001', 'UNA002']);
+    });
+  });
+
+  describe('designations', () => {
+    const SIRA = {
+      code: 'AYU010',
+      display: 'Headache',
+      system: 'Ayurveda',
+      namc_term: 'shirahshula',
+      namc_term_diacritical: 'śiraḥśūla',
+      namc_term_devanagari: 'शिरःशूल'
+    };
+
+    test('stores the IAST and Devanagari terms of imported codes', async () => {
+      await service.ingestCSV([SIRA]);
+
+      const concept = (await service.createNAMASTECodeSystem()).concept.find(c => c.code === 'AYU010');
+      expect(concept.designation.map(({ language, value }) => ({ language, value }))).toEqual([
+        { language: 'sa-Latn', value: 'śiraḥśūla' },
+        { language: 'sa-Deva', value: 'शिरःशूल' }
+      ]);
+    });
+
+    test('falls back to the plain term without a diacritical form', async () => {
+      await service.ingestCSV([{ ...SIRA, namc_term_diacritical: '' }]);
+
+      const stored = await db.get(
+        "SELECT value FROM namaste_designations WHERE code = 'AYU010' AND language = 'sa-Latn'"
+      );
+      expect(stored.value).toBe('shirahshula');
+    });
+
+    test('returns designations from $lookup and displays the requested language', async () => {
+      await service.ingestCSV([SIRA]);
+
+      const plain = await service.lookupCode(NAMASTE_URL, 'AYU010');
+      expect(getParameters(plain).display).toBe('Headache');
+      expect(plain.parameter.filter(p => p.name === 'designation')).toHaveLength(3);
+
+      expect(getParameters(await service.lookupCode(NAMASTE_URL, 'AYU010', { displayLanguage: 'sa' })).display)
+        .toBe('śiraḥśūla');
+      expect(getParameters(await service.lookupCode(NAMASTE_URL, 'AYU010', { displayLanguage: 'sa-Deva' })).display)
+        .toBe('शिरःशूल');
+    });
+
+    test('selects a display language in $expand', async () => {
+      await service.ingestCSV([SIRA]);
+
+      const expansion = await service.expandValueSet(
+        { resourceType: 'ValueSet', compose: { include: [{ system: NAMASTE_URL, concept: [{ code: 'AYU010' }] }] } },
+        { displayLanguage: 'sa-Deva', includeDesignations: true }
+      );
+      const [concept] = expansion.expansion.contains;
+      expect(concept.display).toBe('शिरःशूल');
+      expect(concept.designation.map(designation => designation.language)).toEqual(['en', 'sa-Latn', 'sa-Deva']);
+    });
+
+    test('indexes designations for full-text search without diacritics', async () => {
+      await service.ingestCSV([SIRA]);
+
+      const { query, params } = service.buildComposeQuery({ system: NAMASTE_URL }, { text: 'sirahsula' });
+      expect((await db.all(query, params)).map(row => row.code)).toEqual(['AYU010']);
+
+      await db.run("DELETE FROM namaste_designations WHERE code = 'AYU010'");
+      expect(await db.all(query, params)).toEqual([]);
+    });
+  });
+
+  describe('readTerminologyFile', () => {
+    const HEADER = [
+      'Sr No.', 'NAMC_ID', 'NAMC_CODE', 'NAMC_term', 'NAMC_term_diacritical', 'NAMC_term_DEVANAGARI',
+      'Short_definition', 'Long_definition', 'Ontology_branches', 'Name English',
+      'Name English Under Index', 'Primary Index Related'
+    ];
+    let workbookPath;
+
+    beforeEach(() => {
+      workbookPath = path.join(path.dirname(db.dbPath), 'namaste.xlsx');
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        HEADER,
+        [1, '1', 'AAA-1', 'vAtasaJcayaH', 'vātasañcayaḥ', 'वातसञ्चयः', 'Accumulation of vata',
+          '-', 'Vikara', 'Vata accumulation', '-', '-'],
+        [2, '2', 'AYU001', 'vAtaprakopaH', 'vātaprakopaḥ', '-', 'Aggravation of vata',
+          'Aggravation of vata beyond its seat', '-', 'Vata aggravation', '-', '-']
+      ]), 'NAMC');
+      XLSX.writeFile(workbook, workbookPath);
+    });
+
+    const importFile = async (filePath, profile) => {
+      const { source, rows } = service.readTerminologyFile(filePath, profile);
+      return { source, ...await service.ingestCSV(rows) };
+    };
+
+    test('upserts every NAMC row with its workbook columns', async () => {
+      const results = await importFile(workbookPath);
+      expect(results).toMatchObject({ source: 'namaste.xlsx', inserted: 1, updated: 1, errors: [] });
+
+      const [inserted] = await service.getNAMASTECodes('AAA-1');
+      expect(inserted).toMatchObject({
+        display: 'Vata accumulation',
+        system_name: 'Ayurveda',
+        description: 'Accumulation of vata',
+        ontology_branch: 'Vikara',
+        namc_id: '1',
+        namc_term: 'vAtasaJcayaH',
+        short_definition: 'Accumulation of vata',
+        long_definition: null,
+        name_english_under_index: null
+      });
+
+      const [updated] = await service.getNAMASTECodes('AYU001');
+      expect(updated).toMatchObject({
+        display: 'Vata aggravation',
+        description: 'Aggravation of vata beyond its seat'
+      });
+    });
+
+    test('stores the Sanskrit terms as designations, skipping empty cells', async () => {
+      await importFile(workbookPath);
+
+      const designations = await service.getConceptDesignations(['AAA-1', 'AYU001']);
+      expect(designations['AAA-1'].map(designation => designation.value)).toEqual(['vātasañcayaḥ', 'वातसञ्चयः']);
+      expect(designations.AYU001.map(designation => designation.language)).toEqual(['sa-Latn']);
+    });
+
+    test('lists active codes only', async () => {
+      await db.run("UPDATE namaste_codes SET status = 'retired' WHERE code = 'AYU002'");
+
+      const codes = (await service.getNAMASTECodes()).map(code => code.code);
+      expect(codes).toContain('AYU001');
+      expect(codes).not.toContain('AYU002');
+      expect(await service.getNAMASTECodes('AYU002')).toEqual([]);
+    });
+
+    test('imports CSV files through a profile', async () => {
+      const csvPath = path.join(path.dirname(db.dbPath), 'codes.csv');
+      fs.writeFileSync(csvPath, 'code,display,system,namc_term_devanagari\nSID010,Suram,Siddha,०१\n');
+
+      const results = await importFile(csvPath, 'namaste-csv');
+      expect(results).toMatchObject({ source: 'codes.csv', inserted: 1, errors: [] });
+
+      const designations = await service.getConceptDesignations(['SID010']);
+      expect(designations.SID010).toEqual([expect.objectContaining({ language: 'sa-Deva', value: '०१' })]);
+    });
+
+    test('keeps the workbook columns a later CSV import leaves out', async () => {
+      await importFile(workbookPath);
+      const csvPath = path.join(path.dirname(db.dbPath), 'codes.csv');
+      fs.writeFileSync(csvPath, 'code,display,system,description\nAAA-1,Vata sanchaya,Ayurveda,\n');
+
+      const results = await importFile(csvPath, 'namaste-csv');
+      expect(results).toMatchObject({ updated: 1, errors: [] });
+
+      const [code] = await service.getNAMASTECodes('AAA-1');
+      expect(code).toMatchObject({
+        display: 'Vata sanchaya',
+        description: 'Accumulation of vata',
+        ontology_branch: 'Vikara',
+        namc_id: '1',
+        short_definition: 'Accumulation of vata'
+      });
+    });
+  });
+
+  describe('per-system CodeSystems', () => {
+    const SIDDHA_URL = 'http://terminology.ayush.gov.in/CodeSystem/namaste-siddha';
+
+    test('publishes each AYUSH system with its own codes only', async () => {
+      const codeSystem = await service.getCodeSystem('namaste-siddha-codes');
+
+      expect(codeSystem).toMatchObject({ url: SIDDHA_URL, name: 'NAMASTESiddhaCodes' });
+      expect(codeSystem.concept.map(concept => concept.code)).toEqual(['SID001', 'SID002']);
+      expect(service.getNAMASTECodeSystemIds()).toEqual([
+        'namaste-ayush-codes', 'namaste-ayurveda-codes', 'namaste-siddha-codes', 'namaste-unani-codes'
+      ]);
+    });
+
+    test('validates and looks up codes within their own system', async () => {
+      expect(getParameters(await service.validateCode({ system: SIDDHA_URL, code: 'SID001' })).result).toBe(true);
+      expect(getParameters(await service.validateCode({ system: SIDDHA_URL, code: 'AYU001' })).result).toBe(false);
+
+      expect(getParameters(await service.lookupCode(SIDDHA_URL, 'SID002'))).toMatchObject({
+        system: SIDDHA_URL,
+        display: 'Azhal Kutram'
+      });
+      expect(await service.lookupCode(SIDDHA_URL, 'AYU001')).toBeNull();
+    });
+
+    test('narrows compose clauses to the system', async () => {
+      const { query, params } = service.buildComposeQuery({
+        system: 'http://terminology.ayush.gov.in/CodeSystem/namaste-unani'
+      });
+
+      expect((await db.all(query, params)).map(row => row.code)).toEqual(['UNA001', 'UNA002']);
+    });
+  });
+
+  describe('setCodeStatus', () => {
+    test('deprecates a code with a reason, date and replacement', async () => {
+      const result = await service.setCodeStatus('AYU002', 'deprecated', {
+        reason: 'Merged into AYU001',
+        effectiveDate: '2025-01-01',
+        replacedBy: 'AYU001'
+      });
+
+      expect(result).toMatchObject({
+        code: 'AYU002',
+        status: 'deprecated',
+        reason: 'Merged into AYU001',
+        effectiveDate: '2025-01-01',
+        replacedBy: 'AYU001'
+      });
+
+      // Deprecated codes stay active
+      const validation = getParameters(await service.validateCode({ system: NAMASTE_URL, code: 'AYU002' }));
+      expect(validation).toMatchObject({
+        result: true,
+        message: "Code 'AYU002' is deprecated since 2025-01-01 (Merged into AYU001); use 'AYU001' instead"
+      });
+      expect(validation).not.toHaveProperty('inactive');
+    });
+
+    test('keeps retired codes in the CodeSystem with lifecycle properties', async () => {
+      await service.setCodeStatus('AYU003', 'retired', { effectiveDate: '2025-02-01' });
+
+      const concept = (await service.createNAMASTECodeSystem()).concept.find(c => c.code === 'AYU003');
+      expect(concept.property).toEqual(expect.arrayContaining([
+        { code: 'status', valueCode: 'retired' },
+        { code: 'inactive', valueBoolean: true },
+        { code: 'retirementDate', valueDateTime: '2025-02-01' }
+      ]));
+
+      const lookup = await service.lookupCode(NAMASTE_URL, 'AYU003');
+      const properties = lookup.parameter.filter(parameter => parameter.name === 'property');
+      expect(properties).toContainEqual({
+        name: 'property',
+        part: [{ name: 'code', valueCode: 'status' }, { name: 'value', valueCode: 'retired' }]
+      });
+    });
+
+    test('clears the lifecycle details when a code is reactivated', async () => {
+      await service.setCodeStatus('AYU002', 'retired', { reason: 'Withdrawn', replacedBy: 'AYU001' });
+
+      expect(await service.setCodeStatus('AYU002', 'active')).toMatchObject({
+        status: 'active',
+        reason: null,
+        effectiveDate: null,
+        replacedBy: null
+      });
+    });
+
+    test('requires another active code as the replacement', async () => {
+      await service.setCodeStatus('AYU003', 'retired');
+
+      await expect(service.setCodeStatus('AYU002', 'deprecated', { replacedBy: 'AYU002' }))
+        .rejects.toThrow("Replacement code 'AYU002' must be another active code");
+      await expect(service.setCodeStatus('AYU002', 'deprecated', { replacedBy: 'AYU003' }))
+        .rejects.toThrow("Replacement code 'AYU003' must be another active code");
+      await expect(service.setCodeStatus('AYU002', 'deprecated', { replacedBy: 'AYU999' }))
+        .rejects.toMatchObject({ name: 'ValidationError', message: "Replacement code 'AYU999' not found" });
+    });
+
+    test('rejects unknown statuses and malformed dates', async () => {
+      await expect(service.setCodeStatus('AYU002', 'obsolete')).rejects.toMatchObject({ name: 'ValidationError' });
+      await expect(service.setCodeStatus('AYU002', 'retired', { effectiveDate: 'soon' }))
+        .rejects.toThrow("Invalid effective date 'soon'; expected YYYY-MM-DD");
+    });
+
+    test('returns null for an unknown code', async () => {
+      expect(await service.setCodeStatus('AYU999', 'retired')).toBeNull();
+    });
+  });
+
+  describe('publishRelease', () => {
+    test('freezes the NAMASTE CodeSystems under the release version', async () => {
+      const release = await service.publishRelease('2024-02', { notes: 'February', publishedBy: 'tester' });
+
+      expect(release).toMatchObject({ version: '2024-02', notes: 'February', conceptCount: 7, publishedBy: 'tester' });
+      expect(release.codeSystems.map(codeSystem => codeSystem.id)).toEqual([
+        'namaste-ayush-codes-2024-02',
+        'namaste-ayurveda-codes-2024-02',
+        'namaste-siddha-codes-2024-02',
+        'namaste-unani-codes-2024-02'
+      ]);
+
+      await db.run("UPDATE namaste_codes SET display = 'Pitta Vyadhi' WHERE code = 'AYU002'");
+      await service.createNAMASTECodeSystems();
+
+      const frozen = await service.getCodeSystem('namaste-ayush-codes-2024-02');
+      expect(frozen.version).toBe('2024-02');
+      expect(frozen.concept.find(concept => concept.code === 'AYU002').display).toBe('Pitta Dosha Imbalance');
+      expect((await service.getCodeSystem('namaste-ayush-codes')).version).toBe('current');
+    });
+
+    test('validates and looks up codes as they were released', async () => {
+      await service.publishRelease('2024-02');
+      await service.ingestCSV([{ code: 'AYU004', display: 'Agnimandya', system: 'Ayurveda' }]);
+      await service.setCodeStatus('AYU002', 'retired');
+
+      const validate = async (code, version) => getParameters(await service.validateCode({ system: NAMASTE_URL, code, version }));
+
+      const missing = await validate('AYU004', '2024-02');
+      expect(missing).toMatchObject({
+        result: false,
+        message: `Code 'AYU004' not found in system '${NAMASTE_URL}' version '2024-02'`
+      });
+      expect((await validate('AYU004')).result).toBe(true);
+
+      const released = await validate('AYU002', '2024-02');
+      expect(released).toMatchObject({ result: true, version: '2024-02' });
+      expect(released).not.toHaveProperty('inactive');
+
+      const lookup = getParameters(await service.lookupCode(NAMASTE_URL, 'AYU002', { version: '2024-02' }));
+      expect(lookup).toMatchObject({ version: '2024-02', display: 'Pitta Dosha Imbalance' });
+    });
+
+    test('reports unknown releases', async () => {
+      expect(getParameters(await service.validateCode({ system: NAMASTE_URL, code: 'AYU001', version: '1999' })))
+        .toMatchObject({ result: false, message: `No release '1999' of code system '${NAMASTE_URL}'` });
+      await expect(service.lookupCode(NAMASTE_URL, 'AYU001', { version: '1999' }))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    test('refuses to publish a version twice', async () => {
+      await service.publishRelease('2024-02');
+
+      await expect(service.publishRelease('2024-02')).rejects.toMatchObject({ name: 'ConflictError' });
+      expect(await service.getReleases()).toHaveLength(1);
+    });
+
+    test('rejects invalid versions', async () => {
+      await expect(service.publishRelease('current')).rejects.toMatchObject({ name: 'ValidationError' });
+      await expect(service.publishRelease('2024/02')).rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    test('expands and validates ValueSets as of a release', async () => {
+      await service.publishRelease('2024-02');
+      await db.run("UPDATE namaste_codes SET display = 'Pitta Vyadhi' WHERE code = 'AYU002'");
+      await service.ingestCSV([{ code: 'AYU004', display: 'Agnimandya', system: 'Ayurveda' }]);
+
+      const released = await service.expandValueSet({
+        resourceType: 'ValueSet',
+        status: 'active',
+        compose: { include: [{ system: NAMASTE_URL, filter: [{ property: 'system', op: '=', value: 'Ayurveda' }] }] }
+      }, { systemVersions: { [NAMASTE_URL]: '2024-02' } });
+      expect(released.expansion.contains.map(concept => [concept.code, concept.display, concept.version])).toEqual([
+        ['AYU001', 'Vata Dosha Imbalance', '2024-02'],
+        ['AYU002', 'Pitta Dosha Imbalance', '2024-02'],
+        ['AYU003', 'Kapha Dosha Imbalance', '2024-02']
+      ]);
+
+      const validate = async (coding, systemVersions) => getParameters(await service.validateValueSetCode({
+        url: 'http://terminology.ayush.gov.in/ValueSet/namaste-all',
+        coding,
+        systemVersions
+      }));
+      expect((await validate({ system: NAMASTE_URL, code: 'AYU004' })).result).toBe(true);
+      expect((await validate({ system: NAMASTE_URL, code: 'AYU004', version: '2024-02' })).result).toBe(false);
+      expect((await validate({ system: NAMASTE_URL, code: 'AYU004' }, { [NAMASTE_URL]: '2024-02' })).result).toBe(false);
+      expect(await validate({ system: NAMASTE_URL, code: 'AYU002', version: '2024-02' }))
+        .toMatchObject({ result: true, version: '2024-02', display: 'Pitta Dosha Imbalance' });
+    });
+
+    test('leaves no partial release when a step fails', async () => {
+      const run = db.run.bind(db);
+      jest.spyOn(db, 'run').mockImplementation((query, params) =>
+        query.includes('INSERT INTO code_system_releases')
+          ? Promise.reject(new Error('disk full'))
+          : run(query, params)
+      );
+
+      await expect(service.publishRelease('2024-02')).rejects.toThrow('disk full');
+      db.run.mockRestore();
+
+      expect(await service.getReleases()).toEqual([]);
+      expect(await db.get("SELECT COUNT(*) AS count FROM fhir_resources WHERE version = '2024-02'"))
+        .toEqual({ count: 0 });
+    });
+  });
+
+  describe('hierarchy', () => {
+    beforeEach(async () => {
+      await service.ingestCSV([
+        { code: 'AA', display: 'Vikara', system: 'Ayurveda' },
+        { code: 'AAA', display: 'Jvara', system: 'Ayurveda' },
+        { code: 'AAA-1', display: 'Vataja Jvara', system: 'Ayurveda' },
+        { code: 'AAA-1.1', display: 'Sannipataja Jvara', system: 'Ayurveda' },
+        { code: 'AAB', display: 'Atisara', system: 'Ayurveda' }
+      ]);
+    });
+
+    test('stores the derived parent links', async () => {
+      const rows = await db.all("SELECT code, parent_code FROM namaste_codes WHERE code LIKE 'AA%' ORDER BY code");
+
+      expect(rows).toEqual([
+        { code: 'AA', parent_code: null },
+        { code: 'AAA', parent_code: 'AA' },
+        { code: 'AAA-1', parent_code: 'AAA' },
+        { code: 'AAA-1.1', parent_code: 'AAA-1' },
+        { code: 'AAB', parent_code: 'AA' }
+      ]);
+    });
+
+    test('nests child concepts in the CodeSystem with parent and child properties', async () => {
+      const codeSystem = await service.createNAMASTECodeSystem('Ayurveda');
+      const root = codeSystem.concept.find(concept => concept.code === 'AA');
+
+      expect(codeSystem.count).toBe(8);
+      expect(codeSystem.concept.map(concept => concept.code)).toEqual(['AA', 'AYU001', 'AYU002', 'AYU003']);
+      expect(root.concept.map(concept => concept.code)).toEqual(['AAA', 'AAB']);
+      expect(root.property).toEqual(expect.arrayContaining([
+        { code: 'child', valueCode: 'AAA' },
+        { code: 'child', valueCode: 'AAB' }
+      ]));
+      expect(root.concept[0].property).toContainEqual({ code: 'parent', valueCode: 'AA' });
+    });
+
+    test('returns parent and children from $lookup, live and released', async () => {
+      const properties = (parameters) => parameters.parameter
+        .filter(parameter => parameter.name === 'property')
+        .map(parameter => parameter.part.map(part => part.valueCode || part.valueString));
+
+      expect(properties(await service.lookupCode(NAMASTE_URL, 'AAA'))).toEqual(expect.arrayContaining([
+        ['parent', 'AA'],
+        ['child', 'AAA-1']
+      ]));
+
+      await service.publishRelease('2024-02');
+      expect(properties(await service.lookupCode(NAMASTE_URL, 'AAA-1.1', { version: '2024-02' })))
+        .toContainEqual(['parent', 'AAA-1']);
+    });
+
+    test('filters compose clauses by is-a and descendent-of', async () => {
+      const select = async (op) => {
+        const { query, params } = service.buildComposeQuery({
+          system: NAMASTE_URL,
+          filter: [{ property: 'concept', op, value: 'AAA' }]
+        });
+        return (await db.all(query, params)).map(row => row.code).sort();
+      };
+
+      expect(await select('is-a')).toEqual(['AAA', 'AAA-1', 'AAA-1.1']);
+      expect(await select('descendent-of')).toEqual(['AAA-1', 'AAA-1.1']);
+      await expect(service.expandValueSet({
+        resourceType: 'ValueSet',
+        compose: { include: [{ system: NAMASTE_URL, filter: [{ property: 'specialty', op: 'is-a', value: 'AAA' }] }] }
+      })).rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    test('browses a concept with its ancestors and children', async () => {
+      const result = await service.browseHierarchy('AAA-1');
+
+      expect(result.concept).toMatchObject({ code: 'AAA-1', childCount: 1 });
+      expect(result.ancestors.map(ancestor => ancestor.code)).toEqual(['AA', 'AAA']);
+      expect(result.children.map(child => child.code)).toEqual(['AAA-1.1']);
+
+      const roots = await service.browseHierarchy(undefined, { system: 'Ayurveda' });
+      expect(roots.children.map(child => child.code)).toEqual(['AA', 'AYU001', 'AYU002', 'AYU003']);
+      expect(await service.browseHierarchy('AAA-9')).toBeNull();
+    });
+  });
+
+  describe('subsumes', () => {
+    const outcome = async (...args) => getParameters(await service.subsumes(...args)).outcome;
+
+    beforeEach(async () => {
+      await service.ingestCSV([
+        { code: 'AA', display: 'Vikara', system: 'Ayurveda' },
+        { code: 'AAA', display: 'Jvara', system: 'Ayurveda' },
+        { code: 'AAA-1', display: 'Vataja Jvara', system: 'Ayurveda' },
+        { code: 'AAB', display: 'Atisara', system: 'Ayurveda' }
+      ]);
+    });
+
+    test('relates NAMASTE codes through their ancestors', async () => {
+      expect(await outcome(NAMASTE_URL, 'AA', 'AAA-1')).toBe('subsumes');
+      expect(await outcome(NAMASTE_URL, 'AAA-1', 'AA')).toBe('subsumed-by');
+      expect(await outcome(NAMASTE_URL, 'AAA', 'AAA')).toBe('equivalent');
+      expect(await outcome(NAMASTE_URL, 'AAA', 'AAB')).toBe('not-subsumed');
+      expect(await outcome('http://terminology.ayush.gov.in/CodeSystem/namaste-ayurveda', 'AA', 'AAB'))
+        .toBe('subsumes');
+    });
+
+    test('relates ICD-11 codes through their blocks and chapters', async () => {
+      expect(await outcome(ICD11_URL, 'MG30-MG3Z', 'MG30.0Z')).toBe('subsumes');
+      expect(await outcome(ICD11_URL, 'MG30.1Z', 'Chapter 24')).toBe('subsumed-by');
+      expect(await outcome(ICD11_URL, 'MG30.0Z', 'MG30.1Z')).toBe('not-subsumed');
+    });
+
+    test('compares codes as they were in a release', async () => {
+      await service.publishRelease('2024-02');
+      await db.run("UPDATE namaste_codes SET ontology_branch = 'AAB' WHERE code = 'AAA-1'");
+      await service.createNAMASTECodeSystems();
+
+      expect(await outcome(NAMASTE_URL, 'AAB', 'AAA-1')).toBe('subsumes');
+      expect(await outcome(NAMASTE_URL, 'AAB', 'AAA-1', { version: '2024-02' })).toBe('not-subsumed');
+      expect(await outcome(NAMASTE_URL, 'AA', 'AAA-1', { version: '2024-02' })).toBe('subsumes');
+    });
+
+    test('rejects unknown codes, systems and releases', async () => {
+      await expect(service.subsumes(NAMASTE_URL, 'AA', 'AYU999'))
+        .rejects.toThrow(`Code 'AYU999' not found in system '${NAMASTE_URL}'`);
+      await expect(service.subsumes('http://terminology.ayush.gov.in/CodeSystem/namaste-siddha', 'AA', 'AAA')).rejects.toMatchObject({ name: 'ValidationError' });
+      await expect(service.subsumes('http://example.org/cs', 'A', 'B')).rejects.toMatchObject({ name: 'ValidationError' });
+      await expect(service.subsumes(ICD11_URL, 'MG30.0Z', 'MG30.1Z', { version: '2024-02' }))
+        .rejects.toThrow(`No release '2024-02' of code system '${ICD11_URL}'`);
+    });
+  });
+});
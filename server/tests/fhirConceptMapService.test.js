@@ -0,0 +1,196 @@
+const FHIRCodeSystemService = require('../src/services/fhirCodeSystemService');
+const FHIRConceptMapService = require('../src/services/fhirConceptMapService');
+const { NAMASTE_SYSTEMS } = require('../src/utils/namasteSystems');
+const { createTestDatabase, silenceConsole } = require('./testDatabase');
+
+const NAMASTE_URL = 'http://terminology.ayush.gov.in/CodeSystem/namaste';
+const ICD11_URL = 'http://id.who.int/icd/release/11/mms';
+
+describe('FHIRConceptMapService translate', () => {
+  let testDatabase;
+  let db;
+  let conceptMapService;
+
+  silenceConsole();
+
+  beforeEach(async () => {
+    testDatabase = await createTestDatabase();
+    db = testDatabase.db;
+    conceptMapService = new FHIRConceptMapService(db);
+  });
+
+  afterEach(async () => {
+    await testDatabase.cleanup();
+  });
+
+  const getParameter = (parameters, name) =>
+    parameters.parameter.filter(parameter => parameter.name === name);
+
+  const getMatches = (parameters) =>
+    getParameter(parameters, 'match').map(match => ({
+      equivalence: match.part.find(part => part.name === 'equivalence').valueCode,
+      ...match.part.find(part => part.name === 'concept').valueCoding
+    }));
+
+  test('translates a NAMASTE code to ICD-11', async () => {
+    const result = await conceptMapService.translate({ code: 'AYU001', system: NAMASTE_URL });
+
+    expect(getParameter(result, 'result')[0].valueBoolean).toBe(true);
+    expect(getMatches(result)).toEqual([
+      expect.objectContaining({ system: ICD11_URL, code: 'MG30.0Z', equivalence: 'equivalent' })
+    ]);
+  });
+
+  test('translates an ICD-11 code back to NAMASTE with the reverse flag', async () => {
+    const result = await conceptMapService.translate({ code: 'MG30.0Z', reverse: true });
+
+    const matches = getMatches(result);
+    expect(matches.map(match => match.code)).toEqual(
+      expect.arrayContaining(['AYU001', 'SID001', 'UNA001'])
+    );
+    expect(matches.every(match => match.system === NAMASTE_URL)).toBe(true);
+  });
+
+  test('treats an ICD-11 source system as a reverse translation', async () => {
+    const result = await conceptMapService.translate({ code: 'MG30.0Z', system: ICD11_URL, targetSystem: NAMASTE_URL });
+
+    expect(getParameter(result, 'result')[0].valueBoolean).toBe(true);
+  });
+
+  test('inverts the equivalence of mappings read in reverse', async () => {
+    await db.run("UPDATE concept_mappings SET equivalence = 'wider' WHERE namaste_code = 'AYU002'");
+
+    const matches = getMatches(await conceptMapService.translate({ code: 'MG30.0Z', system: ICD11_URL }));
+
+    expect(matches.find(match => match.code === 'AYU002').equivalence).toBe('narrower');
+    expect(matches.find(match => match.code === 'AYU001').equivalence).toBe('equivalent');
+  });
+
+  test('reports a reverse translation without mappings', async () => {
+    const result = await conceptMapService.translate({ code: 'MG30.2Z', system: ICD11_URL });
+
+    expect(getParameter(result, 'result')[0].valueBoolean).toBe(false);
+    expect(getParameter(result, 'message')[0].valueString)
+      .toBe(`No reverse mapping found for code MG30.2Z in system ${ICD11_URL}`);
+  });
+
+  test('refuses system pairs it has no concept map for', async () => {
+    const result = await conceptMapService.translate({ code: 'AYU001', system: NAMASTE_URL, targetSystem: 'http://snomed.info/sct' });
+
+    expect(getParameter(result, 'result')[0].valueBoolean).toBe(false);
+    expect(getParameter(result, 'message')[0].valueString)
+      .toBe(`No concept map available from system ${NAMASTE_URL} to http://snomed.info/sct`);
+  });
+
+  test('translates between ICD-11 and a per-system NAMASTE CodeSystem', async () => {
+    const siddhaUrl = 'http://terminology.ayush.gov.in/CodeSystem/namaste-siddha';
+
+    const forward = await conceptMapService.translate({ code: 'SID001', system: siddhaUrl });
+    expect(getMatches(forward)).toEqual([expect.objectContaining({ code: 'MG30.0Z' })]);
+
+    const otherSystem = await conceptMapService.translate({ code: 'AYU001', system: siddhaUrl });
+    expect(getParameter(otherSystem, 'result')[0].valueBoolean).toBe(false);
+
+    const reverse = await conceptMapService.translate({ code: 'MG30.0Z', system: ICD11_URL, targetSystem: siddhaUrl });
+    expect(getMatches(reverse).map(match => match.code).sort()).toEqual(['SID001', 'SID002']);
+  });
+
+  describe('replaced codes', () => {
+    let codeSystemService;
+
+    beforeEach(async () => {
+      codeSystemService = new FHIRCodeSystemService(db);
+
+      // Give AYU001 a target of its own to tell replacements apart by
+      await db.run("DELETE FROM concept_mappings WHERE namaste_code = 'AYU001'");
+      await conceptMapService.addMapping('AYU001', 'MG30.1Z', 'equivalent', 0.9);
+    });
+
+    const getTargets = (parameters) => getMatches(parameters).map(match => match.code);
+
+    test('translates an active code through its own mappings', async () => {
+      const result = await conceptMapService.translate({ code: 'AYU002', system: NAMASTE_URL });
+
+      expect(getTargets(result)).toEqual(['MG30.0Z']);
+      expect(getParameter(result, 'message')).toEqual([]);
+    });
+
+    test('translates a deprecated code through its replacement', async () => {
+      await codeSystemService.setCodeStatus('AYU002', 'deprecated', { replacedBy: 'AYU001' });
+
+      const result = await conceptMapService.translate({ code: 'AYU002', system: NAMASTE_URL });
+
+      expect(getTargets(result)).toEqual(['MG30.1Z']);
+      expect(getParameter(result, 'message')[0].valueString)
+        .toBe('Code AYU002 is replaced by AYU001; translated AYU001');
+    });
+
+    test('follows a chain of replacements', async () => {
+      await codeSystemService.setCodeStatus('AYU003', 'retired', { replacedBy: 'AYU002' });
+      await codeSystemService.setCodeStatus('AYU002', 'deprecated', { replacedBy: 'AYU001' });
+
+      const result = await conceptMapService.translate({ code: 'AYU003', system: NAMASTE_SYSTEMS.Ayurveda.url });
+
+      expect(getTargets(result)).toEqual(['MG30.1Z']);
+      expect(getParameter(result, 'message')[0].valueString)
+        .toBe('Code AYU003 is replaced by AYU001; translated AYU001');
+    });
+
+    test('translates a retired code without a replacement as itself', async () => {
+      await codeSystemService.setCodeStatus('AYU002', 'retired', { reason: 'Withdrawn' });
+
+      const result = await conceptMapService.translate({ code: 'AYU002', system: NAMASTE_URL });
+
+      expect(getTargets(result)).toEqual(['MG30.0Z']);
+    });
+
+    test('translates a reactivated code as itself again', async () => {
+      await codeSystemService.setCodeStatus('AYU002', 'deprecated', { replacedBy: 'AYU001' });
+      await codeSystemService.setCodeStatus('AYU002', 'active');
+
+      const result = await conceptMapService.translate({ code: 'AYU002', system: NAMASTE_URL });
+
+      expect(getTargets(result)).toEqual(['MG30.0Z']);
+    });
+
+    test('leaves inactive codes out of reverse translations', async () => {
+      await codeSystemService.setCodeStatus('SID001', 'retired');
+
+      const result = await conceptMapService.translate({ code: 'MG30.0Z', system: ICD11_URL });
+
+      expect(getTargets(result)).not.toContain('SID001');
+      expect(getTargets(result)).toContain('SID002');
+    });
+  });
+
+  describe('TM2 targets', () => {
+    beforeEach(async () => {
+      await db.run(`
+        INSERT INTO icd11_codes (code, release_id, display, system_uri, tm2_type, status)
+        VALUES ('SK20', '2024-01', 'Vata disorder (TM2)', ?, 'disorder', 'active')
+      `, [ICD11_URL]);
+      await conceptMapService.addMapping('AYU001', 'SK20', 'equivalent', 0.7);
+    });
+
+    test('offers TM2 targets before biomedical ones', async () => {
+      const result = await conceptMapService.translate({ code: 'AYU001', system: NAMASTE_URL });
+
+      expect(getMatches(result).map(match => match.code)).toEqual(['SK20', 'MG30.0Z']);
+    });
+
+    test('offers only TM2 targets through the TM2 ConceptMap', async () => {
+      const result = await conceptMapService.translate({ code: 'AYU001', system: NAMASTE_URL, conceptMapId: 'namaste-to-tm2' });
+
+      expect(getMatches(result).map(match => match.code)).toEqual(['SK20']);
+    });
+
+    test('generates the TM2 ConceptMap from the TM2 mappings', async () => {
+      const conceptMap = await conceptMapService.getConceptMapByUrl('http://terminology.ayush.gov.in/ConceptMap/namaste-to-tm2');
+
+      expect(conceptMap.id).toBe('namaste-to-tm2');
+      const targets = conceptMap.group.flatMap(group => group.element.flatMap(element => element.target));
+      expect(targets.map(target => target.code)).toEqual(['SK20']);
+      expect(targets[0].comment).toMatch(/TM2 disorder$/);
+    });
+  });
+});
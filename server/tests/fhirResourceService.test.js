@@ -0,0 +1,67 @@
+const FHIRResourceService = require('../src/services/fhirResourceService');
+const { createTestDatabase, silenceConsole } = require('./testDatabase');
+
+describe('FHIRResourceService search', () => {
+  let testDatabase;
+  let service;
+
+  silenceConsole();
+
+  beforeEach(async () => {
+    testDatabase = await createTestDatabase();
+    service = new FHIRResourceService(testDatabase.db);
+
+    const store = (resource) => testDatabase.db.run(
+      'INSERT INTO fhir_resources (resource_id, resource_type, content) VALUES (?, ?, ?)',
+      [resource.id, resource.resourceType, JSON.stringify(resource)]
+    );
+
+    await store({
+      resourceType: 'ValueSet',
+      id: 'siddha-codes',
+      url: 'http://example.org/ValueSet/siddha',
+      version: '1',
+      name: 'SiddhaCodes',
+      status: 'active'
+    });
+    await store({
+      resourceType: 'ValueSet',
+      id: 'unani-codes',
+      url: 'http://example.org/ValueSet/unani',
+      version: '2',
+      name: 'UnaniCodes',
+      status: 'draft'
+    });
+  });
+
+  afterEach(async () => {
+    await testDatabase.cleanup();
+  });
+
+  const getIds = (bundle) => bundle.entry.map(entry => entry.resource.id);
+
+  test('returns every resource of the type as a searchset Bundle', async () => {
+    const bundle = await service.search('ValueSet', {}, 'http://localhost/fhir');
+
+    expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'searchset', total: 2 });
+    expect(getIds(bundle)).toEqual(['siddha-codes', 'unani-codes']);
+    expect(bundle.entry[0].fullUrl).toBe('http://localhost/fhir/ValueSet/siddha-codes');
+  });
+
+  test('matches token and uri parameters exactly', async () => {
+    expect(getIds(await service.search('ValueSet', { url: 'http://example.org/ValueSet/unani' }))).toEqual(['unani-codes']);
+    expect(getIds(await service.search('ValueSet', { status: 'active' }))).toEqual(['siddha-codes']);
+    expect(getIds(await service.search('ValueSet', { _id: 'siddha-codes', version: '2' }))).toEqual([]);
+  });
+
+  test('matches names case-insensitively from the start', async () => {
+    expect(getIds(await service.search('ValueSet', { name: 'siddha' }))).toEqual(['siddha-codes']);
+    expect(getIds(await service.search('ValueSet', { name: 'Codes' }))).toEqual([]);
+  });
+
+  test('echoes only the parameters it applied in the self link', async () => {
+    const bundle = await service.search('ValueSet', { status: 'draft', _count: '5' }, 'http://localhost/fhir');
+
+    expect(bundle.link).toEqual([{ relation: 'self', url: 'http://localhost/fhir/ValueSet?status=draft' }]);
+  });
+});
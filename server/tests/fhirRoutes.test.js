@@ -0,0 +1,366 @@
+const request = require('supertest');
+const { generateMockToken } = require('../src/middleware/auth');
+const { silenceConsole } = require('./testDatabase');
+const { createTestServer } = require('./testServer');
+
+const NAMASTE_URL = 'http://terminology.ayush.gov.in/CodeSystem/namaste';
+
+describe('FHIR routes', () => {
+  let testServer;
+  let app;
+
+  silenceConsole();
+
+  beforeAll(async () => {
+    testServer = await createTestServer();
+    app = testServer.app;
+  });
+
+  afterAll(async () => {
+    await testServer.cleanup();
+  });
+
+  const getResult = (response) => response.body.parameter.find(parameter => parameter.name === 'result').valueBoolean;
+
+  describe('search', () => {
+    test('finds the built-in NAMASTE CodeSystem by url', async () => {
+      const response = await request(app).get('/fhir/CodeSystem').query({ url: NAMASTE_URL });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ resourceType: 'Bundle', type: 'searchset', total: 1 });
+      expect(response.body.entry[0].resource.id).toBe('namaste-ayush-codes');
+    });
+
+    test('finds the built-in ConceptMap by source', async () => {
+      const response = await request(app).get('/fhir/ConceptMap').query({ 'source-uri': NAMASTE_URL });
+
+      expect(response.body.entry.map(entry => entry.resource.id)).toEqual(
+        expect.arrayContaining(['namaste-to-icd11', 'namaste-to-tm2'])
+      );
+    });
+  });
+
+  describe('CodeSystem/$validate-code', () => {
+    test('validates a code given in the query string', async () => {
+      const response = await request(app)
+        .get('/fhir/CodeSystem/$validate-code')
+        .query({ url: NAMASTE_URL, code: 'AYU001' });
+
+      expect(response.status).toBe(200);
+      expect(getResult(response)).toBe(true);
+    });
+
+    test('validates a coding given in a Parameters resource', async () => {
+      const response = await request(app)
+        .post('/fhir/CodeSystem/$validate-code')
+        .send({
+          resourceType: 'Parameters',
+          parameter: [{ name: 'coding', valueCoding: { system: NAMASTE_URL, code: 'AYU999' } }]
+        });
+
+      expect(response.status).toBe(200);
+      expect(getResult(response)).toBe(false);
+    });
+
+    test('requires a code to validate', async () => {
+      const response = await request(app).get('/fhir/CodeSystem/$validate-code').query({ url: NAMASTE_URL });
+
+      expect(response.status).toBe(400);
+      expect(response.body.issue[0].code).toBe('required');
+    });
+
+    test('returns 404 for an unknown CodeSystem instance', async () => {
+      const response = await request(app).get('/fhir/CodeSystem/unknown/$validate-code').query({ code: 'AYU001' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.resourceType).toBe('OperationOutcome');
+    });
+
+    test('returns 400 for a coding that is not one', async () => {
+      const response = await request(app)
+        .get('/fhir/CodeSystem/$validate-code')
+        .query({ coding: 'AYU001' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.issue[0]).toMatchObject({ code: 'invalid', diagnostics: 'coding must be a Coding' });
+    });
+  });
+
+  describe('ValueSet/$validate-code', () => {
+    test('validates a code against a ValueSet url', async () => {
+      const response = await request(app)
+        .get('/fhir/ValueSet/$validate-code')
+        .query({
+          url: 'http://terminology.ayush.gov.in/ValueSet/namaste-all?system=Unani',
+          system: NAMASTE_URL,
+          code: 'UNA002'
+        });
+
+      expect(response.status).toBe(200);
+      expect(getResult(response)).toBe(true);
+    });
+
+    test('requires a ValueSet', async () => {
+      const response = await request(app)
+        .get('/fhir/ValueSet/$validate-code')
+        .query({ system: NAMASTE_URL, code: 'UNA002' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('returns 404 for an unknown ValueSet', async () => {
+      const response = await request(app)
+        .get('/fhir/ValueSet/$validate-code')
+        .query({ url: 'http://example.org/ValueSet/other', system: NAMASTE_URL, code: 'UNA002' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('ConceptMap/$translate', () => {
+    test('translates in reverse when asked to', async () => {
+      const response = await request(app)
+        .post('/fhir/ConceptMap/$translate')
+        .send({ system: 'http://id.who.int/icd/release/11/mms', code: 'MG30.0Z', reverse: true });
+
+      expect(response.status).toBe(200);
+      expect(getResult(response)).toBe(true);
+    });
+
+    test('translates a code given in the query string', async () => {
+      const response = await request(app)
+        .get('/fhir/ConceptMap/$translate')
+        .query({ system: NAMASTE_URL, code: 'AYU001' });
+
+      expect(response.status).toBe(200);
+      expect(getResult(response)).toBe(true);
+    });
+
+    test('reads a ConceptMap instance target-to-source with reverse', async () => {
+      const response = await request(app)
+        .post('/fhir/ConceptMap/namaste-to-icd11/$translate')
+        .send({
+          resourceType: 'Parameters',
+          parameter: [
+            { name: 'code', valueCode: 'MG30.0Z' },
+            { name: 'reverse', valueBoolean: true }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(getResult(response)).toBe(true);
+    });
+
+    test('returns 404 for an unknown ConceptMap instance', async () => {
+      const response = await request(app).get('/fhir/ConceptMap/unknown/$translate').query({ code: 'AYU001' });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('translates through a ConceptMap chosen by url', async () => {
+      const response = await request(app)
+        .get('/fhir/ConceptMap/$translate')
+        .query({ url: 'http://terminology.ayush.gov.in/ConceptMap/namaste-to-tm2', system: NAMASTE_URL, code: 'AYU001' });
+
+      // The seeded mappings have no TM2 targets
+      expect(response.status).toBe(200);
+      expect(getResult(response)).toBe(false);
+    });
+
+    test('returns 404 for an unknown ConceptMap url', async () => {
+      const response = await request(app)
+        .get('/fhir/ConceptMap/$translate')
+        .query({ url: 'http://example.org/ConceptMap/unknown', code: 'AYU001' });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('returns 400 for a malformed ICD-11 release', async () => {
+      const response = await request(app)
+        .get('/fhir/ConceptMap/$translate')
+        .query({ system: 'http://id.who.int/icd/release/11/mms', code: 'MG30.0Z', version: 'latest' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.issue[0]).toMatchObject({
+        code: 'invalid',
+        diagnostics: "Invalid ICD-11 release 'latest', expected YYYY-MM (e.g. 2024-01)"
+      });
+    });
+  });
+
+  describe('CodeSystem/$lookup', () => {
+    test('looks up a code given in the query string', async () => {
+      const response = await request(app)
+        .get('/fhir/CodeSystem/$lookup')
+        .query({ system: NAMASTE_URL, code: 'AYU002' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.parameter).toEqual(
+        expect.arrayContaining([{ name: 'display', valueString: 'Pitta Dosha Imbalance' }])
+      );
+    });
+
+    test('looks up a coding given in a Parameters resource on a CodeSystem instance', async () => {
+      const response = await request(app)
+        .post('/fhir/CodeSystem/namaste-ayush-codes/$lookup')
+        .send({
+          resourceType: 'Parameters',
+          parameter: [{ name: 'code', valueCode: 'SID001' }]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.resourceType).toBe('Parameters');
+    });
+
+    test('requires a system and code', async () => {
+      const response = await request(app).get('/fhir/CodeSystem/$lookup').query({ code: 'AYU002' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('returns 400 for an unknown release version', async () => {
+      const response = await request(app)
+        .get('/fhir/CodeSystem/$lookup')
+        .query({ system: NAMASTE_URL, code: 'AYU002', version: '1999' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.issue[0]).toMatchObject({ code: 'invalid' });
+    });
+  });
+
+  describe('CodeSystem/$subsumes', () => {
+    test('compares two codes given in the query string', async () => {
+      const response = await request(app)
+        .get('/fhir/CodeSystem/$subsumes')
+        .query({ system: 'http://id.who.int/icd/release/11/mms', codeA: 'MG30-MG3Z', codeB: 'MG30.2Z' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.parameter).toEqual([{ name: 'outcome', valueCode: 'subsumes' }]);
+    });
+
+    test('compares codings on a CodeSystem instance', async () => {
+      const response = await request(app)
+        .post('/fhir/CodeSystem/namaste-ayush-codes/$subsumes')
+        .send({
+          resourceType: 'Parameters',
+          parameter: [
+            { name: 'codingA', valueCoding: { system: NAMASTE_URL, code: 'AYU001' } },
+            { name: 'codingB', valueCoding: { system: NAMASTE_URL, code: 'AYU002' } }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.parameter).toEqual([{ name: 'outcome', valueCode: 'not-subsumed' }]);
+    });
+
+    test('returns 400 for missing codes, mixed systems and unknown codes', async () => {
+      const missing = await request(app).get('/fhir/CodeSystem/$subsumes').query({ system: NAMASTE_URL, codeA: 'AYU001' });
+      expect(missing.status).toBe(400);
+
+      const mixed = await request(app)
+        .post('/fhir/CodeSystem/$subsumes')
+        .send({
+          resourceType: 'Parameters',
+          parameter: [
+            { name: 'codingA', valueCoding: { system: NAMASTE_URL, code: 'AYU001' } },
+            { name: 'codingB', valueCoding: { system: 'http://id.who.int/icd/release/11/mms', code: 'MG30.0Z' } }
+          ]
+        });
+      expect(mixed.status).toBe(400);
+      expect(mixed.body.issue[0].diagnostics).toBe('Both codes must be from the same code system');
+
+      const unknown = await request(app)
+        .get('/fhir/CodeSystem/$subsumes')
+        .query({ system: NAMASTE_URL, codeA: 'AYU001', codeB: 'AYU999' });
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.issue[0].code).toBe('invalid');
+    });
+  });
+
+  describe('ValueSet', () => {
+    const siddha = {
+      resourceType: 'ValueSet',
+      id: 'siddha',
+      url: 'http://example.org/ValueSet/siddha',
+      version: '1.0.0',
+      status: 'active',
+      compose: { include: [{ system: NAMASTE_URL, filter: [{ property: 'system', op: '=', value: 'Siddha' }] }] }
+    };
+    const authorization = `Bearer ${generateMockToken()}`;
+
+    test('requires authentication to store a ValueSet', async () => {
+      const response = await request(app).put('/fhir/ValueSet/siddha').send(siddha);
+
+      expect(response.status).toBe(401);
+    });
+
+    test('stores versions of a ValueSet and reads them back', async () => {
+      const created = await request(app).put('/fhir/ValueSet/siddha').set('Authorization', authorization).send(siddha);
+      const updated = await request(app)
+        .put('/fhir/ValueSet/siddha')
+        .set('Authorization', authorization)
+        .send({ ...siddha, version: '1.1.0' });
+
+      expect(created.status).toBe(201);
+      expect(updated.status).toBe(200);
+      expect(updated.body.meta.versionId).toBe('2');
+
+      const first = await request(app).get('/fhir/ValueSet/siddha/_history/1');
+      expect(first.body.version).toBe('1.0.0');
+    });
+
+    test('rejects a ValueSet it cannot evaluate', async () => {
+      const response = await request(app)
+        .put('/fhir/ValueSet/siddha')
+        .set('Authorization', authorization)
+        .send({ ...siddha, compose: { include: [{ system: 'http://snomed.info/sct' }] } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.resourceType).toBe('OperationOutcome');
+    });
+
+    test('expands a stored ValueSet by id', async () => {
+      const response = await request(app).get('/fhir/ValueSet/siddha/$expand');
+
+      expect(response.status).toBe(200);
+      expect(response.body.expansion.contains.map(concept => concept.code)).toEqual(['SID001', 'SID002']);
+    });
+
+    test('returns 404 when expanding an unknown ValueSet', async () => {
+      const response = await request(app).get('/fhir/ValueSet/$expand').query({ url: 'http://example.org/ValueSet/none' });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('rejects a negative count', async () => {
+      const response = await request(app).get('/fhir/ValueSet/siddha/$expand').query({ count: -1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.issue[0].diagnostics).toBe('count and offset must be non-negative integers');
+    });
+
+    test('pages an expansion', async () => {
+      const response = await request(app).get('/fhir/ValueSet/siddha/$expand').query({ count: 1, offset: 1 });
+
+      expect(response.body.expansion.total).toBe(2);
+      expect(response.body.expansion.contains.map(concept => concept.code)).toEqual(['SID002']);
+    });
+
+    test('pins code systems with system-version', async () => {
+      const live = await request(app)
+        .get('/fhir/ValueSet/siddha/$expand')
+        .query({ 'system-version': `${NAMASTE_URL}|current` });
+      expect(live.status).toBe(200);
+      expect(live.body.expansion.parameter).toContainEqual({ name: 'system-version', valueUri: `${NAMASTE_URL}|current` });
+
+      const unknown = await request(app)
+        .get('/fhir/ValueSet/siddha/$expand')
+        .query({ 'system-version': `${NAMASTE_URL}|1999` });
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.issue[0].diagnostics).toBe(`No release '1999' of code system '${NAMASTE_URL}'`);
+
+      const malformed = await request(app).get('/fhir/ValueSet/siddha/$expand').query({ 'system-version': NAMASTE_URL });
+      expect(malformed.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,17 @@
+const FullTextSearch = require('../src/utils/fullTextSearch');
+
+describe('FullTextSearch', () => {
+  test('tokenizes text into lowercase words', () => {
+    expect(FullTextSearch.tokenize('Vata-Dosha  (imbalance)')).toEqual(['vata', 'dosha', 'imbalance']);
+    expect(FullTextSearch.tokenize('')).toEqual([]);
+  });
+
+  test('requires every token as a quoted word prefix', () => {
+    expect(FullTextSearch.buildMatchQuery('vata dosha')).toBe('"vata"* "dosha"*');
+  });
+
+  test('never passes FTS5 syntax through', () => {
+    expect(FullTextSearch.buildMatchQuery('vata OR "dosha" NEAR(x)')).toBe('"vata"* "or"* "dosha"* "near"* "x"*');
+    expect(FullTextSearch.buildMatchQuery('*:()')).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+const ICD11ApiCache = require('../src/services/icd11ApiCache');
+const { createTestDatabase, silenceConsole } = require('./testDatabase');
+
+describe('ICD11ApiCache', () => {
+  let testDatabase;
+  let db;
+  let cache;
+
+  silenceConsole();
+
+  beforeEach(async () => {
+    testDatabase = await createTestDatabase();
+    db = testDatabase.db;
+    cache = new ICD11ApiCache(db, { entityTTLHours: 2, searchTTLHours: 1 });
+  });
+
+  afterEach(async () => {
+    await testDatabase.cleanup();
+  });
+
+  const entityKey = (url, fields = {}) => ({ url, releaseId: '2024-01', language: 'en', kind: 'entity', ...fields });
+
+  const expire = (url) => db.run(
+    "UPDATE icd11_api_cache SET expires_at = '2000-01-01T00:00:00.000Z' WHERE url = ?", [url]
+  );
+
+  test('keys requests by their URL with the query parameters sorted', () => {
+    expect(ICD11ApiCache.keyURL('https://id.who.int/icd/entity/search', { q: 'asthma care', flatResults: true, skipped: null }))
+      .toBe('https://id.who.int/icd/entity/search?flatResults=true&q=asthma%20care');
+    expect(ICD11ApiCache.keyURL('https://id.who.int/icd/entity/1')).toBe('https://id.who.int/icd/entity/1');
+  });
+
+  test('returns a stored response until it expires, then flags it stale', async () => {
+    expect(await cache.get(entityKey('/icd/entity/1'))).toBeNull();
+
+    await cache.set(entityKey('/icd/entity/1'), { code: 'BA00' });
+    expect(await cache.get(entityKey('/icd/entity/1'))).toMatchObject({ data: { code: 'BA00' }, stale: false });
+    expect(await cache.get(entityKey('/icd/entity/1', { language: 'es' }))).toBeNull();
+
+    await expire('/icd/entity/1');
+    expect(await cache.get(entityKey('/icd/entity/1'))).toMatchObject({ data: { code: 'BA00' }, stale: true });
+  });
+
+  test('replaces the response stored for the same request', async () => {
+    await cache.set(entityKey('/icd/entity/1'), { code: 'BA00' });
+    await expire('/icd/entity/1');
+    await cache.set(entityKey('/icd/entity/1'), { code: 'BA01' });
+
+    expect(await cache.get(entityKey('/icd/entity/1'))).toMatchObject({ data: { code: 'BA01' }, stale: false });
+  });
+
+  test('keeps entries for the TTL of their kind', async () => {
+    await cache.set(entityKey('/icd/entity/1'), {});
+    await cache.set(entityKey('/icd/entity/search?q=a', { kind: 'search' }), {});
+
+    const rows = await db.all('SELECT kind, fetched_at, expires_at FROM icd11_api_cache ORDER BY kind');
+    const hours = rows.map(row => (new Date(row.expires_at) - new Date(row.fetched_at)) / (60 * 60 * 1000));
+    expect(hours).toEqual([2, 1]);
+  });
+
+  describe('invalidate', () => {
+    beforeEach(async () => {
+      await cache.set(entityKey('/icd/entity/1'), {});
+      await cache.set(entityKey('/icd/entity/2', { releaseId: '2025-01' }), {});
+      await cache.set(entityKey('/icd/entity/search?q=a', { kind: 'search' }), {});
+      await cache.set(entityKey('/icd/release/11/2024-01/mms/1'), {});
+    });
+
+    const remaining = async () => (await db.all('SELECT url FROM icd11_api_cache ORDER BY url')).map(row => row.url);
+
+    test('removes entries by release, kind and URL prefix', async () => {
+      expect(await cache.invalidate({ releaseId: '2025-01' })).toBe(1);
+      expect(await cache.invalidate({ kind: 'search' })).toBe(1);
+      expect(await cache.invalidate({ urlPrefix: '/icd/release/' })).toBe(1);
+      expect(await remaining()).toEqual(['/icd/entity/1']);
+    });
+
+    test('matches URL prefixes literally', async () => {
+      expect(await cache.invalidate({ urlPrefix: '/icd/entity/%' })).toBe(0);
+      expect(await cache.invalidate({ urlPrefix: '/icd_entity' })).toBe(0);
+    });
+
+    test('keeps fresh entries with expiredOnly', async () => {
+      await expire('/icd/entity/1');
+
+      expect(await cache.invalidate({ expiredOnly: true })).toBe(1);
+      expect(await remaining()).not.toContain('/icd/entity/1');
+    });
+
+    test('removes everything without filters', async () => {
+      expect(await cache.invalidate()).toBe(4);
+      expect(await remaining()).toEqual([]);
+    });
+  });
+
+  test('counts entries by release, language and kind', async () => {
+    await cache.set(entityKey('/icd/entity/1'), {});
+    await cache.set(entityKey('/icd/entity/2'), {});
+    await cache.set(entityKey('/icd/entity/search?q=a', { kind: 'search' }), {});
+    await expire('/icd/entity/2');
+
+    const stats = await cache.getStats();
+
+    expect(stats).toMatchObject({ ttlHours: { entity: 2, search: 1 }, total: 3, fresh: 2, stale: 1 });
+    expect(stats.groups.map(group => [group.kind, group.entries, group.fresh])).toEqual([['entity', 2, 1], ['search', 1, 1]]);
+  });
+});
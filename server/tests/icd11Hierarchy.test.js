@@ -0,0 +1,23 @@
+const ICD11Hierarchy = require('../src/utils/icd11Hierarchy');
+
+describe('ICD11Hierarchy', () => {
+  test('derives parents from the characters after the dot', () => {
+    expect(ICD11Hierarchy.structuralParents('8A00.0Z')).toEqual(['8A00.0', '8A00']);
+    expect(ICD11Hierarchy.structuralParents('MG30.1')).toEqual(['MG30']);
+    expect(ICD11Hierarchy.structuralParents('MG30')).toEqual([]);
+    expect(ICD11Hierarchy.structuralParents('MG30-MG3Z')).toEqual([]);
+  });
+
+  test('tells blocks from codes', () => {
+    expect(ICD11Hierarchy.isBlock('MG30-MG3Z')).toBe(true);
+    expect(ICD11Hierarchy.isBlock('MG30.0Z')).toBe(false);
+  });
+
+  test('places codes and narrower blocks inside a block range', () => {
+    expect(ICD11Hierarchy.blockContains('MG30-MG3Z', 'MG30.0Z')).toBe(true);
+    expect(ICD11Hierarchy.blockContains('MG30-MG3Z', 'MG31-MG32')).toBe(true);
+    expect(ICD11Hierarchy.blockContains('MG30-MG3Z', 'MG40')).toBe(false);
+    expect(ICD11Hierarchy.blockContains('MG30-MG3Z', 'MG30-MG3Z')).toBe(false);
+    expect(ICD11Hierarchy.blockContains('MG30.0Z', 'MG30.0Z')).toBe(false);
+  });
+});
@@ -0,0 +1,31 @@
+const { resolveRelease, getLinearizationURI } = require('../src/utils/icd11Release');
+
+describe('resolveRelease', () => {
+  afterEach(() => {
+    delete process.env.ICD11_RELEASE_ID;
+    delete process.env.ICD11_LINEARIZATION;
+  });
+
+  test('falls back to the deployment release and linearization', () => {
+    expect(resolveRelease()).toEqual({ releaseId: '2024-01', linearization: 'mms' });
+
+    process.env.ICD11_RELEASE_ID = '2025-01';
+    process.env.ICD11_LINEARIZATION = 'icf';
+    expect(resolveRelease({})).toEqual({ releaseId: '2025-01', linearization: 'icf' });
+  });
+
+  test('prefers the release and linearization asked for', () => {
+    expect(resolveRelease({ releaseId: '2023-01', linearization: 'mms' }))
+      .toEqual({ releaseId: '2023-01', linearization: 'mms' });
+  });
+
+  test('rejects values that do not belong in an API path', () => {
+    expect(() => resolveRelease({ releaseId: '2024' })).toThrow("Invalid ICD-11 release '2024'");
+    expect(() => resolveRelease({ linearization: '../mms' })).toThrow("Invalid ICD-11 linearization '../mms'");
+    expect(() => resolveRelease({ releaseId: 'latest' })).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+  });
+
+  test('builds the system URI of a linearization', () => {
+    expect(getLinearizationURI('mms')).toBe('http://id.who.int/icd/release/11/mms');
+  });
+});
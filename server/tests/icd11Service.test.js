@@ -0,0 +1,299 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const ICD11Service = require('../src/services/icd11Service');
+const FHIRCodeSystemService = require('../src/services/fhirCodeSystemService');
+const { createMockServer } = require('../scripts/icd11-mock-server');
+const { createTestDatabase, silenceConsole } = require('./testDatabase');
+
+const ICD11_URL = 'http://id.who.int/icd/release/11/mms';
+
+describe('ICD11Service', () => {
+  let testDatabase;
+  let db;
+  let service;
+
+  silenceConsole();
+
+  beforeEach(async () => {
+    testDatabase = await createTestDatabase();
+    db = testDatabase.db;
+    service = new ICD11Service(db);
+  });
+
+  afterEach(async () => {
+    await testDatabase.cleanup();
+  });
+
+  const getCode = (code) => db.get('SELECT * FROM icd11_codes WHERE code = ?', [code]);
+
+  describe('importTabulation', () => {
+    const writeTabulation = (lines) => {
+      const file = path.join(path.dirname(db.dbPath), 'simpleTabulation.txt');
+      fs.writeFileSync(file, ['Code\tBlockId\tTitle\tClassKind\tChapterNo', ...lines].join('\n'));
+      return file;
+    };
+
+    const TABULATION = [
+      '\t\tSupplementary Chapter Traditional Medicine Conditions - Module I\tchapter\t26',
+      '\tBlockL1-SA0\t- Disorders of organ systems (TM1)\tblock\t26',
+      'SA00\t\t- - Disorder of the brain (TM1)\tcategory\t26',
+      'SA00.0\t\t- - - Dizziness disorder (TM1)\tcategory\t26',
+      'MG30.0Z\t\t- - Constitutional factors\tcategory\t26'
+    ];
+
+    test('stores every row with its place in the hierarchy', async () => {
+      const results = await service.importTabulation(writeTabulation(TABULATION));
+
+      expect(results).toEqual({
+        source: 'simpleTabulation.txt',
+        releaseId: '2024-01',
+        processed: 5,
+        inserted: 4,
+        updated: 1,
+        errors: []
+      });
+      expect(await getCode('SA00.0')).toMatchObject({
+        display: 'Dizziness disorder (TM1)',
+        chapter: '26',
+        block: 'BlockL1-SA0',
+        parent_code: 'SA00',
+        class_kind: 'category',
+        status: 'active'
+      });
+    });
+
+    test('keeps stored descriptions the file does not carry', async () => {
+      await db.run("UPDATE icd11_codes SET description = 'From the WHO API' WHERE code = 'MG30.0Z'");
+
+      await service.importTabulation(writeTabulation(TABULATION));
+
+      expect(await getCode('MG30.0Z')).toMatchObject({
+        display: 'Constitutional factors',
+        description: 'From the WHO API',
+        parent_code: 'BlockL1-SA0'
+      });
+    });
+
+    test('writes in batches', async () => {
+      service.importBatchSize = 2;
+      const transaction = jest.spyOn(db, 'transaction');
+
+      await service.importTabulation(writeTabulation(TABULATION));
+
+      expect(transaction).toHaveBeenCalledTimes(3);
+    });
+
+    test('nests in an enclosing transaction', async () => {
+      await expect(db.transaction(async () => {
+        await service.importTabulation(writeTabulation(TABULATION));
+        throw new Error('failed');
+      })).rejects.toThrow('failed');
+
+      expect(await getCode('SA00.0')).toBeUndefined();
+    });
+
+    test('lets $subsumes follow the imported parent chain', async () => {
+      await service.importTabulation(writeTabulation(TABULATION));
+      const codeSystemService = new FHIRCodeSystemService(db);
+
+      const outcome = await codeSystemService.subsumes(ICD11_URL, '26', 'SA00.0');
+      expect(outcome.parameter).toEqual([{ name: 'outcome', valueCode: 'subsumes' }]);
+    });
+
+    test('tags imported TM2 codes and leaves TM1 codes untagged', async () => {
+      await service.importTabulation(writeTabulation([
+        'SK20\t\tVata disorder (TM2)\tcategory\t26',
+        'SR10\t\tVata pattern (TM2)\tcategory\t26',
+        'SA00\t\tDisorder of the brain (TM1)\tcategory\t26'
+      ]));
+
+      expect((await getCode('SK20')).tm2_type).toBe('disorder');
+      expect((await getCode('SR10')).tm2_type).toBe('pattern');
+      expect((await getCode('SA00')).tm2_type).toBeNull();
+    });
+
+    test('stores another release beside the existing one', async () => {
+      const results = await service.importTabulation(writeTabulation(TABULATION), { releaseId: '2025-01' });
+
+      expect(results).toMatchObject({ releaseId: '2025-01', inserted: 5, updated: 0 });
+      expect(await db.all("SELECT release_id FROM icd11_codes WHERE code = 'MG30.0Z' ORDER BY release_id"))
+        .toEqual([{ release_id: '2024-01' }, { release_id: '2025-01' }]);
+      expect((await service.getStoredReleases()).map(release => [release.release_id, release.codes, release.mappings]))
+        .toEqual([['2025-01', 5, 0], ['2024-01', 3, 7]]);
+      expect(await service.searchStoredICD11Codes('dizziness', { releaseId: '2024-01' })).toEqual([]);
+      expect((await service.searchStoredICD11Codes('dizziness', { releaseId: '2025-01' })).map(row => row.code))
+        .toEqual(['SA00.0']);
+    });
+  });
+
+  describe('storeICD11Code', () => {
+    test('updates a code in place, keeping its imported hierarchy', async () => {
+      await db.run("UPDATE icd11_codes SET parent_code = 'MG30', class_kind = 'category' WHERE code = 'MG30.0Z'");
+
+      await service.storeICD11Code({ code: 'MG30.0Z', title: 'Constitutional factors', synonym: ['Constitution'] });
+
+      expect(await getCode('MG30.0Z')).toMatchObject({
+        display: 'Constitutional factors',
+        synonyms: 'Constitution',
+        parent_code: 'MG30',
+        class_kind: 'category'
+      });
+    });
+  });
+
+  describe('TM2 codes', () => {
+    test('tags TM2 codes stored without a tag', async () => {
+      await db.run(`
+        INSERT INTO icd11_codes (code, release_id, display, system_uri, status)
+        VALUES ('SK20', '2024-01', 'Vata disorder (TM2)', ?, 'active')
+      `, [ICD11_URL]);
+
+      await service.tagTM2Codes();
+
+      expect((await getCode('SK20')).tm2_type).toBe('disorder');
+      expect(await service.getStoredTM2Codes('pattern')).toEqual([]);
+    });
+
+    test('adds every TM2 code to the match candidates', async () => {
+      await db.run(`
+        INSERT INTO icd11_codes (code, release_id, display, system_uri, tm2_type, status)
+        VALUES ('SK20', '2024-01', 'Vata disorder (TM2)', ?, 'disorder', 'active')
+      `, [ICD11_URL]);
+
+      const codes = (await service.getMatchCandidates(1)).map(row => row.code);
+
+      expect(codes).toContain('SK20');
+      expect(new Set(codes).size).toBe(codes.length);
+    });
+  });
+
+  describe('against the ICD-11 API mock', () => {
+    let mockServer;
+    let baseURL;
+
+    beforeAll((done) => {
+      mockServer = createMockServer().listen(0, () => {
+        baseURL = `http://127.0.0.1:${mockServer.address().port}`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      mockServer.close(done);
+    });
+
+    beforeEach(() => {
+      service = new ICD11Service(db, { baseURL: `${baseURL}/`, tokenURL: `${baseURL}/connect/token`, minRequestInterval: 0 });
+      service.clientId = 'test-client';
+      service.clientSecret = 'test-secret';
+    });
+
+    test('fetches canonical entity URIs from the configured base', () => {
+      expect(service.baseURL).toBe(baseURL);
+      expect(service.toRequestURL('http://id.who.int/icd/entity/761947693')).toBe(`${baseURL}/icd/entity/761947693`);
+    });
+
+    test('searches the MMS linearization', async () => {
+      const entities = await service.searchEntities('diabetes');
+
+      expect(entities.map(entity => entity.theCode).sort()).toEqual(['5A10', '5A11']);
+    });
+
+    test('reads foundation terms from their labels', async () => {
+      const entity = service.normalizeEntity(await service.getEntity('http://id.who.int/icd/entity/761947693'));
+
+      expect(entity.title).toBe('Essential hypertension');
+      expect(entity.synonym).toEqual(['primary hypertension', 'high blood pressure']);
+    });
+
+    test('stores a fetched TM2 pattern code', async () => {
+      const entity = await service.getLinearizationEntity('http://id.who.int/icd/entity/1784406571');
+      await service.storeICD11Code(entity);
+
+      expect(await getCode('SR11')).toMatchObject({
+        display: 'Accumulation of vata pattern (TM2)',
+        tm2_type: 'pattern',
+        status: 'active'
+      });
+    });
+
+    test('fails without credentials', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      service.clientId = null;
+
+      await expect(service.searchEntities('asthma')).rejects.toThrow('ICD-11 credentials not configured');
+      console.error.mockRestore();
+    });
+
+    test('reads and stores codes of the release asked for', async () => {
+      const entity = await service.getLinearizationEntity('http://id.who.int/icd/entity/761947693', { releaseId: '2025-01' });
+
+      expect(entity).toMatchObject({ code: 'BA00', releaseId: '2025-01', linearization: 'mms' });
+      expect(entity.id).toContain('/release/11/2025-01/mms/');
+
+      await service.storeICD11Code(entity);
+      expect(await db.get("SELECT code FROM icd11_codes WHERE release_id = '2025-01'")).toEqual({ code: 'BA00' });
+    });
+
+    describe('response cache', () => {
+      const expireCache = () => db.run("UPDATE icd11_api_cache SET expires_at = '2000-01-01T00:00:00.000Z'");
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      test('serves fresh responses without calling the API, unless refreshing', async () => {
+        const get = jest.spyOn(axios, 'get');
+
+        await service.searchEntities('asthma');
+        const cached = await service.searchEntities('asthma');
+        expect(cached.map(entity => entity.theCode)).toEqual(['CA23']);
+        expect(get).toHaveBeenCalledTimes(1);
+
+        await service.searchEntities('asthma', true, { refresh: true });
+        expect(get).toHaveBeenCalledTimes(2);
+      });
+
+      test('falls back to an expired response when the API cannot be reached', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        await service.searchEntities('asthma');
+        await expireCache();
+
+        jest.spyOn(axios, 'get').mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+        const results = await service.searchEntities('asthma');
+
+        expect(results.map(entity => entity.theCode)).toEqual(['CA23']);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('serving cached response'));
+      });
+
+      test('passes client errors on instead of falling back', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await service.searchEntities('asthma');
+        await expireCache();
+
+        jest.spyOn(axios, 'get').mockRejectedValueOnce(
+          Object.assign(new Error('Not found'), { response: { status: 404, data: { error: 'NotFound' } } })
+        );
+
+        await expect(service.searchEntities('asthma')).rejects.toThrow('ICD-11 search failed: NotFound');
+      });
+
+      test('keys responses by language and rejects malformed languages', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await service.searchEntities('asthma', true, { language: 'es' });
+
+        expect(await db.all('SELECT language FROM icd11_api_cache')).toEqual([{ language: 'es' }]);
+        await expect(service.searchEntities('asthma', true, { language: 'en;q=1' }))
+          .rejects.toThrow(expect.objectContaining({ name: 'ValidationError' }));
+      });
+
+      test('warms the cache with search results and their entities', async () => {
+        const summary = await service.warmCache(['diabetes'], { maxPerTerm: 1 });
+
+        expect(summary).toMatchObject({ releaseId: '2024-01', language: 'en', searches: 1, entities: 1, errors: [] });
+        expect(await service.cache.getStats()).toMatchObject({ total: 2, fresh: 2 });
+      });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ICD11TabulationParser = require('../src/utils/icd11TabulationParser');
+
+describe('ICD11TabulationParser', () => {
+  const TABULATION = [
+    ['Code', 'BlockId', 'Title', 'ClassKind', 'ChapterNo'],
+    ['', '', 'Supplementary Chapter Traditional Medicine Conditions - Module I', 'chapter', '26'],
+    ['', 'BlockL1-SA0', '- Disorders of organ systems (TM1)', 'block', '26'],
+    ['', 'BlockL2-SA0', '- - Disorders of the nervous system (TM1)', 'block', '26'],
+    ['SA00', '', '- - - Disorder of the brain (TM1)', 'category', '26'],
+    ['SA00.0', '', '- - - - Dizziness disorder (TM1)', 'category', '26'],
+    ['SA01', '', '- - - Headache disorder (TM1)', 'category', '26']
+  ];
+
+  const toRecords = (table) => table.slice(1).map(cells =>
+    Object.fromEntries(table[0].map((header, i) => [header, cells[i]]))
+  );
+
+  test('keys chapters by number and blocks by BlockId', () => {
+    const { rows, errors } = ICD11TabulationParser.parseRecords(toRecords(TABULATION));
+
+    expect(errors).toEqual([]);
+    expect(rows.slice(0, 2)).toEqual([
+      expect.objectContaining({ code: '26', classKind: 'chapter', parentCode: null, block: null }),
+      expect.objectContaining({ code: 'BlockL1-SA0', classKind: 'block', parentCode: '26', block: null })
+    ]);
+  });
+
+  test('derives parents and blocks from the title dashes', () => {
+    const { rows } = ICD11TabulationParser.parseRecords(toRecords(TABULATION));
+    const byCode = Object.fromEntries(rows.map(row => [row.code, row]));
+
+    expect(byCode.SA00).toMatchObject({
+      display: 'Disorder of the brain (TM1)',
+      chapter: '26',
+      block: 'BlockL2-SA0',
+      category: 'SA00',
+      parentCode: 'BlockL2-SA0'
+    });
+    expect(byCode['SA00.0']).toMatchObject({ parentCode: 'SA00', block: 'BlockL2-SA0', category: 'SA00' });
+    expect(byCode.SA01.parentCode).toBe('BlockL2-SA0');
+  });
+
+  test('reports rows without a code or title', () => {
+    const { rows, errors } = ICD11TabulationParser.parseRecords([{ Code: 'SA02', Title: '' }]);
+
+    expect(rows).toEqual([]);
+    expect(errors).toEqual(['Row 2: missing code or title']);
+  });
+
+  test('reads tab-separated files and rejects missing ones', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'icd11-tabulation-'));
+    const file = path.join(directory, 'simpleTabulation.txt');
+    fs.writeFileSync(file, '\uFEFF' + TABULATION.map(cells => cells.join('\t')).join('\n'));
+
+    try {
+      expect(ICD11TabulationParser.parseFile(file).rows.map(row => row.code))
+        .toEqual(['26', 'BlockL1-SA0', 'BlockL2-SA0', 'SA00', 'SA00.0', 'SA01']);
+      expect(() => ICD11TabulationParser.parseFile(path.join(directory, 'missing.txt')))
+        .toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,55 @@
+const request = require('supertest');
+const { silenceConsole } = require('./testDatabase');
+const { createTestServer } = require('./testServer');
+
+describe('mapping routes', () => {
+  let testServer;
+  let app;
+
+  silenceConsole();
+
+  beforeAll(async () => {
+    testServer = await createTestServer();
+    app = testServer.app;
+  });
+
+  afterAll(async () => {
+    await testServer.cleanup();
+  });
+
+  describe('POST /api/mappings/find-similar', () => {
+    test('matches a stored NAMASTE code against ICD-11', async () => {
+      const response = await request(app)
+        .post('/api/mappings/find-similar')
+        .send({ ayurveda_code: 'AYU001', max_results: 2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ayurveda_code).toMatchObject({ code: 'AYU001', display: 'Vata Dosha Imbalance' });
+      expect(Array.isArray(response.body.matches)).toBe(true);
+    });
+
+    test('returns 404 for a code that is not in the database', async () => {
+      const response = await request(app)
+        .post('/api/mappings/find-similar')
+        .send({ ayurveda_code: 'AYU999' });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('matches against the ICD-11 release asked for', async () => {
+      const other = await request(app)
+        .post('/api/mappings/find-similar')
+        .send({ ayurveda_code: 'AYU001', releaseId: '2025-01' });
+
+      expect(other.status).toBe(400);
+      expect(other.body.message).toMatch(/^No ICD-11 codes available for release 2025-01/);
+
+      const invalid = await request(app)
+        .post('/api/mappings/find-similar')
+        .send({ ayurveda_code: 'AYU001', releaseId: 'latest' });
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toBe("Invalid ICD-11 release 'latest', expected YYYY-MM (e.g. 2024-01)");
+    });
+  });
+});
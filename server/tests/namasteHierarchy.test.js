@@ -0,0 +1,55 @@
+const NamasteHierarchy = require('../src/utils/namasteHierarchy');
+
+describe('NamasteHierarchy', () => {
+  const concept = (code, fields = {}) => ({ code, display: code, system_name: 'Ayurveda', ...fields });
+  const parentsOf = (rows) => Object.fromEntries(NamasteHierarchy.buildParents(rows));
+
+  test('nests NAMC codes by their structure', () => {
+    expect(parentsOf([
+      concept('A'), concept('AA'), concept('AAA'), concept('AAA-2'), concept('AAA-2.1'), concept('AYU')
+    ])).toEqual({
+      A: null,
+      AA: 'A',
+      AAA: 'AA',
+      'AAA-2': 'AAA',
+      'AAA-2.1': 'AAA-2',
+      AYU: null
+    });
+  });
+
+  test('skips missing levels and places codes by their bracketed NAMC code', () => {
+    expect(parentsOf([concept('AAA'), concept('SR12 (AAA-2)'), concept('AAA-2.1'), concept('AAA-3.1')])).toEqual({
+      AAA: null,
+      'SR12 (AAA-2)': 'AAA',
+      'AAA-2.1': 'SR12 (AAA-2)',
+      'AAA-3.1': 'AAA'
+    });
+  });
+
+  test('prefers the ontology branch and index columns, by code or term', () => {
+    expect(parentsOf([
+      concept('AAA'),
+      concept('AAB', { display: 'Jvara' }),
+      concept('AAA-1', { ontology_branch: 'Jvara' }),
+      concept('AAA-2', { name_english_under_index: 'AAB' }),
+      concept('AAA-3', { ontology_branch: 'Vikara', primary_index_related: 'jvara' })
+    ])).toMatchObject({ 'AAA-1': 'AAB', 'AAA-2': 'AAB', 'AAA-3': 'AAB' });
+  });
+
+  test('only links concepts within the same system', () => {
+    expect(parentsOf([
+      concept('AAA', { system_name: 'Siddha' }),
+      concept('AAA-1'),
+      concept('SID001', { ontology_branch: 'AAA-1', system_name: 'Siddha' })
+    ])).toEqual({ AAA: null, 'AAA-1': null, SID001: null });
+  });
+
+  test('breaks reference cycles', () => {
+    const parents = parentsOf([
+      concept('AAB', { ontology_branch: 'AAC' }),
+      concept('AAC', { ontology_branch: 'AAB' })
+    ]);
+
+    expect(Object.values(parents)).toContain(null);
+  });
+});
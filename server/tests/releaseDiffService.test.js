@@ -0,0 +1,117 @@
+const FHIRCodeSystemService = require('../src/services/fhirCodeSystemService');
+const ReleaseDiffService = require('../src/services/releaseDiffService');
+const { NAMASTE_URL, NAMASTE_SYSTEMS } = require('../src/utils/namasteSystems');
+const { createTestDatabase, silenceConsole } = require('./testDatabase');
+
+const ICD11_URL = 'http://id.who.int/icd/release/11/mms';
+
+describe('ReleaseDiffService compare', () => {
+  let testDatabase;
+  let db;
+  let codeSystemService;
+  let diffService;
+
+  silenceConsole();
+
+  beforeEach(async () => {
+    testDatabase = await createTestDatabase();
+    db = testDatabase.db;
+    codeSystemService = new FHIRCodeSystemService(db);
+    diffService = new ReleaseDiffService(db, codeSystemService);
+  });
+
+  afterEach(async () => {
+    await testDatabase.cleanup();
+  });
+
+  // Changes made after publishing 2024-02: a rename, a redefinition, a
+  // retirement with a replacement and a new code
+  const changeCodes = async () => {
+    await db.run("UPDATE namaste_codes SET display = 'Vata Imbalance' WHERE code = 'AYU001'");
+    await db.run("UPDATE namaste_codes SET description = 'Excess of Pitta' WHERE code = 'SID002'");
+    await codeSystemService.setCodeStatus('AYU003', 'retired', { replacedBy: 'AYU002' });
+    await codeSystemService.ingestCSV([
+      { code: 'AYU004', display: 'Agnimandya', system: 'Ayurveda', specialty: 'General Medicine' }
+    ]);
+  };
+
+  test('reports the changes between a release and the current codes', async () => {
+    await codeSystemService.publishRelease('2024-02');
+    await changeCodes();
+
+    const report = await diffService.compare(NAMASTE_URL, '2024-02');
+
+    expect(report).toMatchObject({ system: NAMASTE_URL, from: '2024-02', to: 'current' });
+    expect(report.added).toEqual([{ code: 'AYU004', display: 'Agnimandya' }]);
+    expect(report.retired).toEqual([
+      { code: 'AYU003', display: 'Kapha Dosha Imbalance', reason: 'retired', replacedBy: 'AYU002' }
+    ]);
+    expect(report.renamed).toEqual([{ code: 'AYU001', from: 'Vata Dosha Imbalance', to: 'Vata Imbalance' }]);
+    expect(report.redefined.map(entry => entry.code)).toEqual(['SID002']);
+    expect(report.summary).toMatchObject({ added: 1, retired: 1, renamed: 1, redefined: 1, moved: 0 });
+  });
+
+  test('flags the mappings of changed codes', async () => {
+    await codeSystemService.publishRelease('2024-02');
+    await changeCodes();
+
+    const { affectedMappings } = await diffService.compare(NAMASTE_URL, '2024-02');
+
+    expect(affectedMappings.map(mapping => [mapping.namasteCode, mapping.changes])).toEqual([
+      ['AYU001', ['renamed']],
+      ['AYU003', ['retired']],
+      ['SID002', ['redefined']]
+    ]);
+  });
+
+  test('compares two published releases', async () => {
+    await codeSystemService.publishRelease('2024-02');
+    await changeCodes();
+    await codeSystemService.publishRelease('2024-08');
+    await db.run("UPDATE namaste_codes SET display = 'Vata Vyadhi' WHERE code = 'AYU001'");
+
+    const report = await diffService.compare(NAMASTE_SYSTEMS.Ayurveda.url, '2024-02', '2024-08');
+
+    expect(report.renamed).toEqual([{ code: 'AYU001', from: 'Vata Dosha Imbalance', to: 'Vata Imbalance' }]);
+    expect(report.added.map(entry => entry.code)).toEqual(['AYU004']);
+    expect(report.redefined).toEqual([]);
+  });
+
+  test('reports concepts moved in the hierarchy', async () => {
+    await codeSystemService.publishRelease('2024-02');
+    await db.run("UPDATE namaste_codes SET ontology_branch = 'AYU001' WHERE code = 'AYU002'");
+
+    const { moved } = await diffService.compare(NAMASTE_URL, '2024-02');
+
+    expect(moved).toEqual([{ code: 'AYU002', display: 'Pitta Dosha Imbalance', from: null, to: 'AYU001' }]);
+  });
+
+  test('reads the current ICD-11 codes from the code table', async () => {
+    const report = await diffService.compare(ICD11_URL, 'current', 'current');
+
+    expect(report.summary).toEqual({ added: 0, retired: 0, renamed: 0, redefined: 0, moved: 0, affectedMappings: 0 });
+  });
+
+  test('places ICD-11 codes by their parent code before their block', async () => {
+    await db.run(`
+      INSERT INTO icd11_codes (code, display, system_uri, chapter, block, parent_code, release_id)
+      SELECT code, display, system_uri, chapter, block, CASE WHEN code = 'MG30.0Z' THEN 'MG30.0' END, '2025-01'
+      FROM icd11_codes WHERE release_id = '2024-01'
+    `);
+
+    const report = await diffService.compare(ICD11_URL, '2024-01', '2025-01');
+
+    expect(report.moved).toEqual([{
+      code: 'MG30.0Z',
+      display: 'Constitutional factors affecting health status',
+      from: 'MG30-MG3Z',
+      to: 'MG30.0'
+    }]);
+    expect(report.affectedMappings.every(mapping => mapping.icd11Code === 'MG30.0Z')).toBe(true);
+  });
+
+  test('rejects unknown versions and systems', async () => {
+    await expect(diffService.compare(NAMASTE_URL, '2099-01')).rejects.toMatchObject({ name: 'ValidationError' });
+    await expect(diffService.compare('http://example.org/cs', '2024-02')).rejects.toMatchObject({ name: 'ValidationError' });
+  });
+});
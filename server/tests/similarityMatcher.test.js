@@ -0,0 +1,48 @@
+const SimilarityMatcher = require('../src/services/similarityMatcher');
+
+describe('SimilarityMatcher findBestMatches', () => {
+  const matcher = new SimilarityMatcher(null);
+  const vata = { code: 'AYU001', display: 'Vata Dosha Imbalance' };
+
+  test('makes TM2 codes the primary targets and the best biomedical code a secondary one', async () => {
+    const matches = await matcher.findBestMatches(vata, [
+      { code: 'MG30.0Z', display: 'Vata Dosha Imbalance' },
+      { code: 'MG30.1Z', display: 'Vata Dosha Imbalances' },
+      { code: 'SK20', display: 'Vata Dosha Imbalance (TM2)' },
+      { code: 'SR10', display: 'Vata dosha imbalance pattern (TM2)' }
+    ]);
+
+    expect(matches.map(match => [match.icd11_code, match.tm2_type, match.target_role])).toEqual([
+      ['SK20', 'disorder', 'primary'],
+      ['SR10', 'pattern', 'primary'],
+      ['MG30.0Z', null, 'secondary']
+    ]);
+  });
+
+  test('keeps the last of maxResults for the biomedical code', async () => {
+    const candidates = [
+      { code: 'MG30.0Z', display: 'Vata Dosha Imbalance' },
+      { code: 'SK20', display: 'Vata Dosha Imbalance (TM2)' },
+      { code: 'SR10', display: 'Vata dosha imbalance pattern (TM2)' }
+    ];
+
+    const two = await matcher.findBestMatches(vata, candidates, 2);
+    expect(two.map(match => [match.icd11_code, match.target_role])).toEqual([
+      ['SK20', 'primary'],
+      ['MG30.0Z', 'secondary']
+    ]);
+
+    const one = await matcher.findBestMatches(vata, candidates, 1);
+    expect(one.map(match => [match.icd11_code, match.target_role])).toEqual([['SK20', 'primary']]);
+  });
+
+  test('makes biomedical codes primary without TM2 candidates', async () => {
+    const matches = await matcher.findBestMatches(vata, [
+      { code: 'MG30.0Z', display: 'Vata Dosha Imbalance' },
+      { code: 'MG30.1Z', display: 'Vata Dosha Imbalances' },
+      { code: 'MG30.2Z', display: 'Unrelated heading' }
+    ], 1);
+
+    expect(matches.map(match => [match.icd11_code, match.target_role])).toEqual([['MG30.0Z', 'primary']]);
+  });
+});
@@ -0,0 +1,98 @@
+const XLSX = require('xlsx');
+const TerminologyImportParser = require('../src/utils/terminologyImportParser');
+
+describe('TerminologyImportParser', () => {
+  const workbookOf = (sheets) => {
+    const workbook = XLSX.utils.book_new();
+    for (const [name, rows] of Object.entries(sheets)) {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+    }
+    return workbook;
+  };
+
+  describe('loadProfile', () => {
+    test('only reads profiles from the profiles directory', () => {
+      expect(TerminologyImportParser.loadProfile('../../data/import-profiles/namaste-csv').id).toBe('namaste-csv');
+      expect(() => TerminologyImportParser.loadProfile('../package')).toThrow(
+        expect.objectContaining({ name: 'ValidationError' })
+      );
+    });
+
+    test('loads a shipped profile by id', () => {
+      const profile = TerminologyImportParser.loadProfile('namaste-siddha');
+
+      expect(profile.id).toBe('namaste-siddha');
+      expect(TerminologyImportParser.listProfiles().map(listed => listed.id)).toEqual(expect.arrayContaining([
+        'namaste-ayurveda', 'namaste-csv', 'namaste-siddha', 'namaste-unani'
+      ]));
+    });
+
+    test('rejects unknown profiles and profiles missing required fields', () => {
+      expect(() => TerminologyImportParser.loadProfile('nope')).toThrow("Unknown import profile 'nope'");
+      expect(() => TerminologyImportParser.loadProfile({ fields: { code: 'Code' } }))
+        .toThrow('Import profile must map the code and display fields');
+      expect(() => TerminologyImportParser.loadProfile({ fields: { code: 'Code', display: 'Term' } }))
+        .toThrow('Import profile must map the system field or give it a default');
+    });
+  });
+
+  describe('mapRecords', () => {
+    const profile = {
+      emptyValues: ['-'],
+      defaults: { system: 'Unani' },
+      fields: { code: 'Code', display: ['English Name', 'Term'] },
+      properties: { namc_id: 'NAMC ID' },
+      designations: { 'ur-Arab': 'Arabic Term' }
+    };
+
+    test('maps fields, properties and designations', () => {
+      const [row] = TerminologyImportParser.mapRecords([
+        { Code: ' UNA010 ', 'English Name': 'Fever', Term: 'Humma', NAMC_ID: '7', 'Arabic Term': 'حمى' }
+      ], profile);
+
+      expect(row).toEqual({
+        system: 'Unani',
+        code: 'UNA010',
+        display: 'Fever',
+        namc_id: '7',
+        designations: [{ language: 'ur-Arab', value: 'حمى' }]
+      });
+    });
+
+    test('falls back to the next column when a cell is empty', () => {
+      const [row] = TerminologyImportParser.mapRecords([
+        { Code: 'UNA010', 'English Name': '-', Term: 'Humma', 'Arabic Term': null }
+      ], profile);
+
+      expect(row.display).toBe('Humma');
+      expect(row.designations).toEqual([]);
+    });
+  });
+
+  describe('parseWorkbook', () => {
+    test('reads the profile sheet from its header row', () => {
+      const workbook = workbookOf({
+        Notes: [['ignored']],
+        Codes: [
+          ['NAMASTE Unani release'],
+          ['Code', 'Term'],
+          ['UNA010', 'Humma']
+        ]
+      });
+
+      const rows = TerminologyImportParser.parseWorkbook(workbook, {
+        sheet: 'Codes',
+        headerRow: 2,
+        defaults: { system: 'Unani' },
+        fields: { code: 'Code', display: 'Term' }
+      });
+
+      expect(rows).toEqual([{ system: 'Unani', code: 'UNA010', display: 'Humma', designations: [] }]);
+    });
+
+    test('names the available sheets when the profile sheet is missing', () => {
+      expect(() => TerminologyImportParser.parseWorkbook(workbookOf({ Codes: [['Code']] }), { sheet: 'NAMC' }))
+        .toThrow("Sheet 'NAMC' not found; available sheets: Codes");
+    });
+  });
+});
@@ -0,0 +1,278 @@
+const path = require('path');
+const { Readable } = require('stream');
+const XLSX = require('xlsx');
+const FHIRCodeSystemService = require('../src/services/fhirCodeSystemService');
+const TerminologyImportService = require('../src/services/terminologyImportService');
+const { createTestDatabase, getImportRows, silenceConsole } = require('./testDatabase');
+
+describe('TerminologyImportService', () => {
+  let testDatabase;
+  let db;
+  let codeSystemService;
+  let importService;
+
+  silenceConsole();
+
+  beforeEach(async () => {
+    testDatabase = await createTestDatabase();
+    db = testDatabase.db;
+    codeSystemService = new FHIRCodeSystemService(db);
+    importService = new TerminologyImportService(db, codeSystemService);
+  });
+
+  afterEach(async () => {
+    await testDatabase.cleanup();
+  });
+
+  const getCode = (code) => db.get('SELECT * FROM namaste_codes WHERE code = ?', [code]);
+
+  describe('preview', () => {
+    test('reports an unchanged upload as unchanged', async () => {
+      const rows = await getImportRows(db);
+      const preview = await importService.preview(rows, { source: 'test.csv' });
+
+      expect(preview.valid).toBe(true);
+      expect(preview.summary).toEqual({ added: 0, changed: 0, retired: 0, unchanged: rows.length });
+    });
+
+    test('lists added, changed and retired codes', async () => {
+      const rows = (await getImportRows(db))
+        .filter(row => row.code !== 'AYU003')
+        .map(row => row.code === 'AYU001' ? { ...row, display: 'Vata Imbalance' } : row);
+      rows.push({ code: 'AYU004', display: 'Agnimandya', system: 'Ayurveda', specialty: 'General Medicine' });
+
+      const { diff } = await importService.preview(rows, { source: 'test.csv', retireMissing: true });
+
+      expect(diff.added).toEqual([{ code: 'AYU004', display: 'Agnimandya', system: 'Ayurveda' }]);
+      expect(diff.changed).toEqual([{
+        code: 'AYU001',
+        display: 'Vata Imbalance',
+        changes: { display: { from: 'Vata Dosha Imbalance', to: 'Vata Imbalance' } }
+      }]);
+      expect(diff.retired.map(entry => entry.code)).toEqual(['AYU003']);
+    });
+
+    test('only retires codes of the uploaded systems', async () => {
+      const rows = (await getImportRows(db)).filter(row => row.system === 'Siddha');
+      const { diff } = await importService.preview(rows, { retireMissing: true });
+
+      expect(diff.retired).toEqual([]);
+    });
+
+    test('retires nothing unless the upload is a full release', async () => {
+      const rows = (await getImportRows(db)).filter(row => row.code !== 'AYU003');
+      const { diff } = await importService.preview(rows);
+
+      expect(diff.retired).toEqual([]);
+    });
+
+    test('does not store an invalid upload', async () => {
+      const preview = await importService.preview([{ code: 'AYU001', display: '', system: 'Ayurveda' }]);
+
+      expect(preview.valid).toBe(false);
+      expect(preview.previewId).toBeNull();
+      expect(await db.get('SELECT COUNT(*) AS count FROM import_previews')).toEqual({ count: 0 });
+    });
+
+    test('ignores optional columns the upload leaves empty', async () => {
+      await db.run("UPDATE namaste_codes SET namc_id = '42', short_definition = 'Vata vitiation' WHERE code = 'AYU001'");
+
+      const { diff } = await importService.preview(await getImportRows(db));
+
+      expect(diff.changed).toEqual([]);
+    });
+  });
+
+  describe('apply', () => {
+    test('applies the previewed change set', async () => {
+      const rows = (await getImportRows(db))
+        .filter(row => row.code !== 'AYU003')
+        .map(row => row.code === 'AYU001' ? { ...row, display: 'Vata Imbalance' } : row);
+      rows.push({ code: 'AYU004', display: 'Agnimandya', system: 'Ayurveda', specialty: 'General Medicine' });
+
+      const { previewId } = await importService.preview(rows, { source: 'test.csv', retireMissing: true });
+      const applied = await importService.apply(previewId, { appliedBy: 'tester' });
+
+      expect(applied.summary).toEqual({ added: 1, changed: 1, retired: 1, unchanged: 5 });
+      expect(applied.results).toMatchObject({ inserted: 1, updated: 1, retired: 1 });
+      expect((await getCode('AYU001')).display).toBe('Vata Imbalance');
+      expect(await getCode('AYU004')).toMatchObject({ status: 'active', system_name: 'Ayurveda' });
+      expect(await getCode('AYU003')).toMatchObject({
+        status: 'retired',
+        status_reason: 'Missing from import test.csv'
+      });
+
+      const preview = await db.get('SELECT status, applied_by FROM import_previews WHERE preview_id = ?', [previewId]);
+      expect(preview).toEqual({ status: 'applied', applied_by: 'tester' });
+    });
+
+    test('returns null for an unknown preview', async () => {
+      expect(await importService.apply('no-such-preview')).toBeNull();
+    });
+
+    test('refuses to apply a preview twice', async () => {
+      const { previewId } = await importService.preview(await getImportRows(db));
+      await importService.apply(previewId);
+
+      await expect(importService.apply(previewId)).rejects.toMatchObject({ name: 'ConflictError' });
+    });
+
+    test('refuses a preview the stored codes changed since', async () => {
+      const rows = (await getImportRows(db)).map(row =>
+        row.code === 'AYU001' ? { ...row, display: 'Vata Imbalance' } : row
+      );
+      const { previewId } = await importService.preview(rows);
+
+      await db.run("UPDATE namaste_codes SET display = 'Vata Vyadhi' WHERE code = 'AYU001'");
+
+      await expect(importService.apply(previewId)).rejects.toMatchObject({ name: 'ConflictError' });
+      expect((await getCode('AYU001')).display).toBe('Vata Vyadhi');
+    });
+
+    test('leaves nothing applied when a step fails', async () => {
+      const rows = (await getImportRows(db))
+        .filter(row => row.code !== 'AYU003')
+        .map(row => row.code === 'AYU001' ? { ...row, display: 'Vata Imbalance' } : row);
+      const { previewId } = await importService.preview(rows, { retireMissing: true });
+
+      jest.spyOn(codeSystemService, 'createNAMASTECodeSystems').mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(importService.apply(previewId)).rejects.toThrow('disk full');
+      expect((await getCode('AYU001')).display).toBe('Vata Dosha Imbalance');
+      expect((await getCode('AYU003')).status).toBe('active');
+
+      const applied = await importService.apply(previewId);
+      expect(applied.results).toMatchObject({ retired: 1 });
+      expect((await getCode('AYU001')).display).toBe('Vata Imbalance');
+    });
+  });
+
+  describe('importUpload', () => {
+    const csvStream = (text) => Readable.from([Buffer.from(text)]);
+
+    test('imports a CSV stream in batches, reporting progress and skipping the BOM', async () => {
+      importService.batchSize = 2;
+      const progress = [];
+
+      const results = await importService.importUpload(
+        csvStream('\uFEFFcode,display,system\nUNA010,Humma,Unani\nUNA011,Nazla,Unani\nUNA001,Barid Mizaj,Unani\n'),
+        'unani.csv',
+        { onProgress: (running) => progress.push(running.processed) }
+      );
+
+      expect(results).toMatchObject({ source: 'unani.csv', processed: 3, inserted: 2, updated: 1, errors: [] });
+      expect(progress).toEqual([2, 3]);
+      expect((await getCode('UNA001')).display).toBe('Barid Mizaj');
+      expect((await codeSystemService.getCodeSystem('namaste-unani-codes')).concept).toHaveLength(4);
+    });
+
+    test('reads XLSX workbooks once the upload is complete', async () => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['NAMC_CODE', 'NAMC_term', 'Name English'],
+        ['AAA-1', 'vAtasaJcayaH', 'Vata accumulation']
+      ]), 'NAMC');
+
+      const results = await importService.importUpload(
+        Readable.from([XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })]),
+        'namc.xlsx'
+      );
+
+      expect(results).toMatchObject({ inserted: 1 });
+      expect(await getCode('AAA-1')).toMatchObject({ display: 'Vata accumulation', system_name: 'Ayurveda' });
+    });
+
+    test('collects a dry run into a preview without writing', async () => {
+      const preview = await importService.importUpload(
+        csvStream('code,display,system\nSID010,Suram,Siddha\n'),
+        'siddha.csv',
+        { dryRun: true }
+      );
+
+      expect(preview).toMatchObject({ source: 'siddha.csv', valid: true });
+      expect(preview.diff.added).toEqual([{ code: 'SID010', display: 'Suram', system: 'Siddha' }]);
+      expect(await getCode('SID010')).toBeUndefined();
+    });
+
+    test('rejects unsupported file types', async () => {
+      await expect(importService.importUpload(csvStream('code'), 'codes.txt')).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: "Unsupported file type '.txt'; upload a CSV, XLS or XLSX file"
+      });
+    });
+
+    test('retires the codes of the uploaded systems missing from an upload', async () => {
+      const results = await importService.importUpload(
+        csvStream('code,display,system\nSID001,Vayu Kutram,Siddha\n'),
+        'siddha.csv',
+        { retireMissing: true }
+      );
+
+      expect(results).toMatchObject({ updated: 1, retired: 1, reactivated: 0 });
+      expect(await getCode('SID002')).toMatchObject({ status: 'retired', status_reason: 'Missing from import siddha.csv' });
+      expect((await getCode('AYU001')).status).toBe('active');
+    });
+  });
+
+  describe('code lifecycle', () => {
+    test('retires nothing on a partial import', async () => {
+      const { source, rows } = codeSystemService.readTerminologyFile(
+        path.join(__dirname, '../data/sample-namaste-codes.csv'),
+        'namaste-csv'
+      );
+
+      const results = await importService.importRows(rows, { source });
+
+      expect(results).toMatchObject({ inserted: rows.length, retired: 0 });
+      expect(await db.get("SELECT COUNT(*) AS count FROM namaste_codes WHERE status = 'retired'")).toEqual({ count: 0 });
+    });
+
+    test('keeps a deprecated code and its replacement on re-import', async () => {
+      await codeSystemService.setCodeStatus('AYU002', 'deprecated', {
+        reason: 'Merged',
+        replacedBy: 'AYU001'
+      });
+
+      const { previewId, diff } = await importService.preview(await getImportRows(db));
+      expect(diff.changed).toEqual([]);
+
+      await importService.apply(previewId);
+      expect(await getCode('AYU002')).toMatchObject({
+        status: 'deprecated',
+        status_reason: 'Merged',
+        replaced_by: 'AYU001'
+      });
+    });
+
+    test('keeps a curator-retired code retired on re-import', async () => {
+      await codeSystemService.setCodeStatus('AYU002', 'retired', { reason: 'Withdrawn' });
+
+      const results = await importService.importRows(await getImportRows(db), { source: 'csv' });
+
+      expect(results).toMatchObject({ retired: 0, reactivated: 0 });
+      expect(await getCode('AYU002')).toMatchObject({ status: 'retired', status_reason: 'Withdrawn' });
+    });
+
+    test('reactivates a code retired for going missing once it is imported again', async () => {
+      const rows = await getImportRows(db);
+
+      const first = await importService.importRows(rows.filter(row => row.code !== 'AYU003'), {
+        source: 'csv',
+        retireMissing: true
+      });
+      expect(first).toMatchObject({ retired: 1, reactivated: 0 });
+      expect((await getCode('AYU003')).status).toBe('retired');
+
+      const { diff } = await importService.preview(rows);
+      expect(diff.changed).toEqual([{
+        code: 'AYU003',
+        display: 'Kapha Dosha Imbalance',
+        changes: { status: { from: 'retired', to: 'active' } }
+      }]);
+
+      const second = await importService.importRows(rows, { source: 'csv' });
+      expect(second).toMatchObject({ retired: 0, reactivated: 1 });
+      expect(await getCode('AYU003')).toMatchObject({ status: 'active', status_reason: null });
+    });
+  });
+});
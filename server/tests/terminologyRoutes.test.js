@@ -0,0 +1,62 @@
+const request = require('supertest');
+const { silenceConsole } = require('./testDatabase');
+const { createTestServer } = require('./testServer');
+
+describe('terminology routes', () => {
+  let testServer;
+  let app;
+
+  silenceConsole();
+
+  beforeAll(async () => {
+    testServer = await createTestServer();
+    app = testServer.app;
+  });
+
+  afterAll(async () => {
+    await testServer.cleanup();
+  });
+
+  describe('GET /api/terminology/autocomplete', () => {
+    test('returns ranked results with facets', async () => {
+      const response = await request(app)
+        .get('/api/terminology/autocomplete')
+        .query({ q: 'kutram', facets: 'true' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results.map(result => result.code)).toEqual(['SID001', 'SID002']);
+      expect(response.body.facets.system).toEqual([{ value: 'Siddha', count: 2 }]);
+    });
+
+    test('requires a query', async () => {
+      const response = await request(app).get('/api/terminology/autocomplete');
+
+      expect(response.status).toBe(400);
+    });
+
+    test('returns 400 for an invalid limit or system', async () => {
+      const badLimit = await request(app).get('/api/terminology/autocomplete').query({ q: 'kutram', limit: 'ten' });
+      expect(badLimit.status).toBe(400);
+      expect(badLimit.body).toEqual({ error: 'Bad Request', message: "Invalid limit 'ten'; expected a positive integer" });
+
+      const badSystem = await request(app).get('/api/terminology/autocomplete').query({ q: 'kutram', system: 'Homeopathy' });
+      expect(badSystem.status).toBe(400);
+      expect(badSystem.body.message).toBe("Unknown system 'Homeopathy'; expected one of Ayurveda, Siddha, Unani, ICD-11, TM2");
+    });
+  });
+
+  describe('GET /api/terminology/browse', () => {
+    test('lists the root concepts of a system', async () => {
+      const response = await request(app).get('/api/terminology/browse').query({ system: 'Siddha' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.children.map(child => child.code)).toEqual(['SID001', 'SID002']);
+    });
+
+    test('returns 404 for an unknown code', async () => {
+      const response = await request(app).get('/api/terminology/browse').query({ code: 'AYU999' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const TerminologySearchService = require('../src/services/terminologySearchService');
+const { createTestDatabase, silenceConsole } = require('./testDatabase');
+
+describe('TerminologySearchService autocomplete', () => {
+  let testDatabase;
+  let service;
+
+  silenceConsole();
+
+  beforeAll(async () => {
+    testDatabase = await createTestDatabase();
+    service = new TerminologySearchService(testDatabase.db);
+  });
+
+  afterAll(async () => {
+    await testDatabase.cleanup();
+  });
+
+  const getCodes = (response) => response.results.map(result => result.code);
+
+  test('ranks an exact display match first', async () => {
+    const response = await service.autocomplete('Vata Dosha Imbalance');
+
+    expect(response.results[0]).toMatchObject({ code: 'AYU001', matchedField: 'display', score: 100 });
+  });
+
+  test('matches every token against the start of a word', async () => {
+    expect(getCodes(await service.autocomplete('vat imb'))).toEqual(['AYU001']);
+    expect(getCodes(await service.autocomplete('ata'))).toEqual([]);
+  });
+
+  test('ranks tokens in order above the same tokens out of order', async () => {
+    const inOrder = await service.autocomplete('vayu kutram');
+    const outOfOrder = await service.autocomplete('kutram vayu');
+
+    expect(getCodes(outOfOrder)).toEqual(['SID001']);
+    expect(outOfOrder.results[0].score).toBeLessThan(inOrder.results[0].score);
+  });
+
+  test('matches code prefixes', async () => {
+    const response = await service.autocomplete('sid');
+
+    expect(getCodes(response)).toEqual(['SID001', 'SID002']);
+    expect(response.results.every(result => result.matchedField === 'code')).toBe(true);
+  });
+
+  test('ranks a display hit above the same hit in a description', async () => {
+    const response = await service.autocomplete('constitutional');
+
+    expect(response.results[0]).toMatchObject({ code: 'MG30.0Z', source: 'icd11', matchedField: 'display' });
+    expect(response.results.slice(1).map(result => result.matchedField)).toEqual(['description', 'description', 'description']);
+  });
+
+  test('narrows to a NAMASTE system or to ICD-11', async () => {
+    expect(getCodes(await service.autocomplete('dosha', { system: 'Siddha' }))).toEqual([]);
+    expect(getCodes(await service.autocomplete('factors', { system: 'ICD-11' })).sort()).toEqual(['MG30.0Z', 'MG30.1Z', 'MG30.2Z']);
+    expect(getCodes(await service.autocomplete('constitutional', { specialty: 'General Medicine' })))
+      .not.toContain('MG30.0Z');
+  });
+
+  test('reports the total beyond the limit', async () => {
+    const response = await service.autocomplete('dosha', { limit: 2 });
+
+    expect(response.total).toBe(3);
+    expect(response.results).toHaveLength(2);
+  });
+
+  test('counts hits per system and specialty', async () => {
+    const response = await service.autocomplete('constitutional', { includeFacets: true });
+
+    expect(response.facets).toEqual({
+      system: [{ value: 'Ayurveda', count: 3 }, { value: 'ICD-11', count: 1 }],
+      specialty: [{ value: 'General Medicine', count: 3 }],
+      tm2Type: []
+    });
+  });
+
+  test('rejects an invalid limit, system or TM2 type', async () => {
+    await expect(service.autocomplete('dosha', { limit: 0 })).rejects.toMatchObject({ name: 'ValidationError' });
+    await expect(service.autocomplete('dosha', { limit: '2.5' })).rejects.toMatchObject({ name: 'ValidationError' });
+    await expect(service.autocomplete('dosha', { system: 'ayurveda' })).rejects.toMatchObject({ name: 'ValidationError' });
+    await expect(service.autocomplete('vata', { tm2Type: 'syndrome' })).rejects.toMatchObject({
+      name: 'ValidationError',
+      message: "Unknown tm2Type 'syndrome'; expected disorder or pattern"
+    });
+  });
+
+  test('returns nothing for a query without words', async () => {
+    expect(await service.autocomplete(' -- ')).toMatchObject({ total: 0, results: [] });
+  });
+
+  test('finds codes by their Sanskrit designations', async () => {
+    await testDatabase.db.run(
+      "INSERT INTO namaste_designations (code, language, value) VALUES ('AYU001', 'sa-Latn', 'vātadoṣa')"
+    );
+
+    const response = await service.autocomplete('vātadoṣa');
+    expect(response.results[0]).toMatchObject({ code: 'AYU001', matchedField: 'designations', score: 100 });
+  });
+  describe('beyond the candidate limit', () => {
+    beforeAll(async () => {
+      await testDatabase.db.run(`
+        INSERT INTO namaste_codes (code, display, system_name, specialty, description)
+        VALUES ('AAA001', 'Sandhigata Roga', 'Ayurveda', 'Musculoskeletal', 'Aggravated Pitta in the joints')
+      `);
+      service.candidateLimit = 1;
+    });
+
+    afterAll(() => {
+      service.candidateLimit = 500;
+    });
+
+    test('keeps the best-ranked candidates rather than the first codes', async () => {
+      const response = await service.autocomplete('pitta');
+
+      expect(response.results[0]).toMatchObject({ code: 'AYU002', matchedField: 'display' });
+    });
+
+    test('counts every match in the total', async () => {
+      const response = await service.autocomplete('dosha');
+
+      expect(response.total).toBe(3);
+      expect(response.results).toHaveLength(1);
+    });
+  });
+
+  describe('TM2 codes', () => {
+    beforeAll(async () => {
+      await testDatabase.db.run(`
+        INSERT INTO icd11_codes (code, release_id, display, system_uri, tm2_type, status)
+        VALUES ('SK20', '2024-01', 'Vata disorder (TM2)', 'http://id.who.int/icd/release/11/mms', 'disorder', 'active')
+      `);
+    });
+
+    test('puts TM2 codes in a system facet of their own', async () => {
+      const response = await service.autocomplete('vata', { includeFacets: true });
+
+      expect(response.results.find(result => result.code === 'SK20')).toMatchObject({ systemName: 'TM2', tm2Type: 'disorder' });
+      expect(response.facets.tm2Type).toEqual([{ value: 'disorder', count: 1 }]);
+    });
+
+    test('narrows to TM2, to the other ICD-11 codes or to a TM2 type', async () => {
+      expect(getCodes(await service.autocomplete('vata', { system: 'TM2' }))).toEqual(['SK20']);
+      expect(getCodes(await service.autocomplete('vata', { system: 'ICD-11' }))).toEqual([]);
+      expect(getCodes(await service.autocomplete('vata', { tm2Type: 'disorder' }))).toEqual(['SK20']);
+      expect(getCodes(await service.autocomplete('vata', { tm2Type: 'pattern' }))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../src/models/database');
+
+/**
+ * A seeded database in a temporary directory, removed again by cleanup()
+ */
+async function createTestDatabase() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ayush-terminology-test-'));
+  const db = new Database(path.join(directory, 'test.db'));
+  await db.initialize();
+
+  return {
+    db,
+    cleanup: async () => {
+      await db.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * The stored NAMASTE codes as import rows, so a test can re-import them
+ * unchanged or edit a few
+ */
+async function getImportRows(db) {
+  return db.all(`
+    SELECT code, display, system_name AS system, specialty, description
+    FROM namaste_codes
+    ORDER BY code
+  `);
+}
+
+// Keep connection and seeding messages out of the test output
+function silenceConsole() {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+}
+
+module.exports = {
+  createTestDatabase,
+  getImportRows,
+  silenceConsole
+};
@@ -0,0 +1,37 @@
+const AyushTerminologyServer = require('../src/app');
+const { createTestDatabase } = require('./testDatabase');
+
+/**
+ * The app on a seeded temporary database, for requests through supertest
+ */
+async function createTestServer() {
+  const testDatabase = await createTestDatabase();
+  const server = new AyushTerminologyServer();
+
+  const dbPath = process.env.DB_PATH;
+  process.env.DB_PATH = testDatabase.db.dbPath;
+  try {
+    await server.initialize();
+  } finally {
+    if (dbPath === undefined) {
+      delete process.env.DB_PATH;
+    } else {
+      process.env.DB_PATH = dbPath;
+    }
+  }
+
+  return {
+    app: server.app,
+    db: server.db,
+    cleanup: async () => {
+      // Audit events are written after the response; let them finish
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await server.db.close();
+      await testDatabase.cleanup();
+    }
+  };
+}
+
+module.exports = {
+  createTestServer
+};
@@ -0,0 +1,22 @@
+const { classifyTM2 } = require('../src/utils/tm2');
+
+describe('classifyTM2', () => {
+  test('classifies TM2 disorders and patterns by code range', () => {
+    expect(classifyTM2('SK20', 'Vata disorder (TM2)')).toBe('disorder');
+    expect(classifyTM2('SP7Y')).toBe('disorder');
+    expect(classifyTM2('SR10', 'Vata pattern (TM2)')).toBe('pattern');
+    expect(classifyTM2('SV2Z')).toBe('pattern');
+  });
+
+  test('leaves TM1 and biomedical codes out', () => {
+    expect(classifyTM2('SA00', 'Disorder of the brain (TM1)')).toBeNull();
+    expect(classifyTM2('MG30.0Z', 'Constitutional factors')).toBeNull();
+    expect(classifyTM2(null)).toBeNull();
+  });
+
+  test('falls back to the TM2 suffix of the title outside the known ranges', () => {
+    expect(classifyTM2('SZ10', 'Kapha pattern (TM2)')).toBe('pattern');
+    expect(classifyTM2('SZ20', 'Kapha disorder (TM2)')).toBe('disorder');
+    expect(classifyTM2('SZ30', 'Kapha disorder')).toBeNull();
+  });
+});